@@ -0,0 +1,428 @@
+/**
+ * Admin Console Controller
+ * Admin-only panels, loaded by dashboard/admin.html after dashboard.js
+ */
+
+const USER_ROLES = ['admin', 'manager', 'staff'];
+const AUDIT_PAGE_SIZE = 50;
+
+// Filter and page of the audit log being shown
+let auditQuery = { offset: 0 };
+
+/**
+ * Initialize admin panels
+ * Runs after initializeDashboard so the user's permissions are loaded
+ */
+async function initializeAdminConsole() {
+    setupButton('storageCheckBtn', 'storage.check', showStorageCheck);
+    await initializeAuditLog();
+
+    const userManagement = document.getElementById('userManagement');
+    if (userManagement && !can('users.manage')) {
+        userManagement.style.display = 'none';
+        return;
+    }
+
+    const createUserForm = document.getElementById('createUserForm');
+    if (createUserForm) {
+        createUserForm.addEventListener('submit', handleCreateUser);
+    }
+
+    await loadUsers();
+}
+
+/**
+ * Load and display users
+ */
+async function loadUsers() {
+    const userTable = document.getElementById('userTable');
+    if (!userTable) return;
+
+    try {
+        const data = await listUsers();
+        renderUserTable(data.users);
+    } catch (error) {
+        userTable.innerHTML = `<div class="error-message show">Failed to load users: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Render user table
+ */
+function renderUserTable(users) {
+    const userTable = document.getElementById('userTable');
+    const self = getUserInfo().email;
+
+    userTable.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Status</th>
+                    <th>Scopes</th>
+                    <th>Telegram</th>
+                    <th>Created</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${users.map(user => {
+                    const isSelf = user.email === self;
+                    return `
+                        <tr>
+                            <td>${escapeHtml(user.email)}${isSelf ? ' (you)' : ''}</td>
+                            <td>
+                                <select data-role-email="${escapeHtml(user.email)}" ${isSelf ? 'disabled' : ''}>
+                                    ${USER_ROLES.map(role => `
+                                        <option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                            <td class="${user.disabled ? 'low-stock' : ''}">${user.disabled ? 'Disabled' : 'Active'}</td>
+                            <td>
+                                Categories: ${escapeHtml(formatScopeList(user.scopes?.categories))}<br>
+                                Locations: ${escapeHtml(formatScopeList(user.scopes?.locations))}
+                                <button class="btn btn-secondary btn-small" data-scope-email="${escapeHtml(user.email)}">
+                                    Edit
+                                </button>
+                            </td>
+                            <td>
+                                ${escapeHtml(user.telegramUserId || 'Not linked')}
+                                <button class="btn btn-secondary btn-small" data-telegram-email="${escapeHtml(user.email)}">
+                                    Edit
+                                </button>
+                            </td>
+                            <td>${formatTimestamp(user.createdAt)}</td>
+                            <td>
+                                ${isSelf ? '' : `
+                                    <button class="btn ${user.disabled ? 'btn-primary' : 'btn-danger'} btn-small"
+                                            data-toggle-email="${escapeHtml(user.email)}"
+                                            data-disabled="${user.disabled}">
+                                        ${user.disabled ? 'Enable' : 'Disable'}
+                                    </button>
+                                `}
+                                <button class="btn btn-secondary btn-small" data-reset-email="${escapeHtml(user.email)}">
+                                    Reset Password
+                                </button>
+                                <button class="btn btn-secondary btn-small" data-revoke-email="${escapeHtml(user.email)}">
+                                    Sign Out Everywhere
+                                </button>
+                            </td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+
+    userTable.querySelectorAll('select[data-role-email]').forEach(select => {
+        select.addEventListener('change', () => changeUser(select.dataset.roleEmail, { role: select.value }));
+    });
+    userTable.querySelectorAll('button[data-toggle-email]').forEach(button => {
+        button.addEventListener('click', () => changeUser(button.dataset.toggleEmail, {
+            disabled: button.dataset.disabled !== 'true',
+        }));
+    });
+    userTable.querySelectorAll('button[data-reset-email]').forEach(button => {
+        button.addEventListener('click', () => resetPassword(button.dataset.resetEmail));
+    });
+    userTable.querySelectorAll('button[data-scope-email]').forEach(button => {
+        const user = users.find(u => u.email === button.dataset.scopeEmail);
+        button.addEventListener('click', () => editScopes(user));
+    });
+    userTable.querySelectorAll('button[data-telegram-email]').forEach(button => {
+        const user = users.find(u => u.email === button.dataset.telegramEmail);
+        button.addEventListener('click', () => editTelegramLink(user));
+    });
+    userTable.querySelectorAll('button[data-revoke-email]').forEach(button => {
+        button.addEventListener('click', () => signOutEverywhere(button.dataset.revokeEmail));
+    });
+}
+
+/**
+ * Create a user from the form
+ */
+async function handleCreateUser(e) {
+    e.preventDefault();
+    const form = e.target;
+
+    try {
+        await createUser({
+            email: document.getElementById('newUserEmail').value,
+            role: document.getElementById('newUserRole').value,
+            password: document.getElementById('newUserPassword').value,
+        });
+        form.reset();
+        await loadUsers();
+    } catch (error) {
+        alert(`Failed to create user: ${error.message}`);
+    }
+}
+
+/**
+ * Apply a role or disabled change to a user
+ */
+async function changeUser(email, changes) {
+    if (changes.disabled && !confirm(`Disable ${email}? They will no longer be able to log in.`)) {
+        await loadUsers();
+        return;
+    }
+
+    try {
+        await updateUser(email, changes);
+    } catch (error) {
+        alert(`Failed to update user: ${error.message}`);
+    }
+    await loadUsers();
+}
+
+/**
+ * Restrict a user to some categories and locations (blank for all)
+ */
+async function editScopes(user) {
+    const categoryAnswer = prompt(
+        `Categories ${user.email} may work with, comma-separated. Leave blank for all categories.`,
+        (user.scopes?.categories || []).join(', ')
+    );
+    if (categoryAnswer === null) return;
+
+    const locationAnswer = prompt(
+        `Locations ${user.email} may work with, comma-separated. Leave blank for all locations.`,
+        (user.scopes?.locations || []).join(', ')
+    );
+    if (locationAnswer === null) return;
+
+    const toList = answer => answer.split(',').map(value => value.trim()).filter(Boolean);
+    await changeUser(user.email, {
+        scopes: { categories: toList(categoryAnswer), locations: toList(locationAnswer) },
+    });
+}
+
+/**
+ * Link a Telegram account so the bot acts with this user's permissions (blank to unlink)
+ */
+async function editTelegramLink(user) {
+    const answer = prompt(
+        `Telegram user ID for ${user.email}. The bot replies with the ID when an unlinked account sends a command. Leave blank to unlink.`,
+        user.telegramUserId || ''
+    );
+    if (answer === null) return;
+
+    await changeUser(user.email, { telegramUserId: answer.trim() || null });
+}
+
+function formatScopeList(values) {
+    return values && values.length ? values.join(', ') : 'All';
+}
+
+/**
+ * Kill switch: end every session of a user
+ */
+async function signOutEverywhere(email) {
+    if (!confirm(`Sign ${email} out of every device?`)) return;
+
+    try {
+        const data = await revokeUserSessions(email);
+        alert(data.message);
+    } catch (error) {
+        alert(`Failed to revoke sessions: ${error.message}`);
+    }
+}
+
+/**
+ * Prompt for and set a new password
+ */
+async function resetPassword(email) {
+    const password = prompt(`New password for ${email} (at least 8 characters). They will be signed out everywhere.`);
+    if (password === null) return;
+
+    try {
+        await resetUserPassword(email, password);
+        alert(`Password reset for ${email}`);
+    } catch (error) {
+        alert(`Failed to reset password: ${error.message}`);
+    }
+}
+
+/**
+ * Show how the storage backend matches the layout the Worker expects
+ */
+async function showStorageCheck() {
+    const panel = document.getElementById('storageCheck');
+    if (!panel) return;
+
+    panel.innerHTML = '<h2>Storage Check</h2><p>Checking...</p>';
+    panel.classList.add('show');
+
+    try {
+        const data = await checkStorage();
+        const source = data.backend === 'd1' ? 'The D1 database' : 'The spreadsheet';
+        panel.innerHTML = `
+            <h2>Storage Check (${escapeHtml(data.backend)})</h2>
+            <p>${data.ok ? `✓ ${source} matches the expected layout.` : `⚠️ ${source} needs attention.`}</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>${data.backend === 'd1' ? 'Table' : 'Tab'}</th>
+                        <th>Status</th>
+                        <th>Details</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.checks.map(check => `
+                        <tr>
+                            <td>${escapeHtml(check.name)}</td>
+                            <td class="${check.ok ? '' : 'low-stock'}">${check.ok ? 'OK' : 'Problem'}</td>
+                            <td>
+                                ${check.error ? escapeHtml(check.error) : ''}
+                                ${(check.diagnostics || []).map(line => `<br>${escapeHtml(line)}`).join('')}
+                                ${check.columns ? `${check.rows} items; ${Object.entries(check.columns)
+                                    .map(([field, column]) => `${escapeHtml(field)} → ${column}`).join(', ')}` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        panel.innerHTML = `
+            <h2>Storage Check</h2>
+            <div class="error-message show">Failed to check storage: ${escapeHtml(error.message)}</div>
+        `;
+    }
+}
+
+/**
+ * Wire up the audit log filters and show the newest entries
+ */
+async function initializeAuditLog() {
+    const panel = document.getElementById('auditLog');
+    if (!panel) return;
+
+    if (!can('audit.view')) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    document.getElementById('auditFilterForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        auditQuery = {
+            actor: document.getElementById('auditActor').value.trim(),
+            event: document.getElementById('auditEvent').value,
+            route: document.getElementById('auditRoute').value.trim(),
+            from: document.getElementById('auditFrom').value,
+            to: document.getElementById('auditTo').value,
+            offset: 0,
+        };
+        loadAuditLog();
+    });
+    document.getElementById('auditPrevBtn').addEventListener('click', () => {
+        auditQuery.offset = Math.max(0, auditQuery.offset - AUDIT_PAGE_SIZE);
+        loadAuditLog();
+    });
+    document.getElementById('auditNextBtn').addEventListener('click', () => {
+        auditQuery.offset += AUDIT_PAGE_SIZE;
+        loadAuditLog();
+    });
+
+    await loadAuditLog();
+}
+
+/**
+ * Load and display the current page of the audit log
+ */
+async function loadAuditLog() {
+    const auditTable = document.getElementById('auditTable');
+
+    try {
+        const data = await getAuditLog({ ...auditQuery, limit: AUDIT_PAGE_SIZE });
+        fillAuditEvents(data.events);
+        renderAuditTable(data);
+    } catch (error) {
+        auditTable.innerHTML = `<div class="error-message show">Failed to load audit log: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Offer the event types the Worker records, once
+ */
+function fillAuditEvents(events) {
+    const select = document.getElementById('auditEvent');
+    if (select.options.length > 1) return;
+
+    select.insertAdjacentHTML('beforeend', events.map(event => `
+        <option value="${escapeHtml(event)}">${escapeHtml(event)}</option>
+    `).join(''));
+}
+
+/**
+ * Render one page of audit entries with paging controls
+ */
+function renderAuditTable(data) {
+    const auditTable = document.getElementById('auditTable');
+    const first = data.total === 0 ? 0 : data.offset + 1;
+    const last = data.offset + data.entries.length;
+
+    document.getElementById('auditPageInfo').textContent = `${first}–${last} of ${data.total}`;
+    document.getElementById('auditPrevBtn').disabled = data.offset === 0;
+    document.getElementById('auditNextBtn').disabled = last >= data.total;
+
+    if (data.entries.length === 0) {
+        auditTable.innerHTML = '<p>No audit entries match.</p>';
+        return;
+    }
+
+    auditTable.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Time</th>
+                    <th>Actor</th>
+                    <th>IP</th>
+                    <th>Event</th>
+                    <th>Route</th>
+                    <th>Status</th>
+                    <th>Target</th>
+                    <th>Change</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${data.entries.map(entry => `
+                    <tr>
+                        <td>${formatTimestamp(entry.timestamp)}</td>
+                        <td>${escapeHtml(entry.actor || '—')}${entry.role ? ` (${escapeHtml(entry.role)})` : ''}</td>
+                        <td>${escapeHtml(entry.ip)}</td>
+                        <td>${escapeHtml(entry.event)}</td>
+                        <td>${escapeHtml(entry.route)}</td>
+                        <td class="${entry.status >= 400 ? 'low-stock' : ''}">${entry.status}</td>
+                        <td>${escapeHtml(entry.target)}</td>
+                        <td class="audit-change">${formatAuditChange(entry.before, entry.after)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Summarize an entry's before/after values as HTML
+ * Two records are shown as the fields that changed; anything else as JSON.
+ */
+function formatAuditChange(before, after) {
+    const isRecord = value => value && typeof value === 'object' && !Array.isArray(value);
+    const show = value => escapeHtml(typeof value === 'string' ? value : JSON.stringify(value));
+
+    if (isRecord(before) && isRecord(after)) {
+        const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+            .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+        return changed.length
+            ? changed.map(key => `${escapeHtml(key)}: ${show(before[key] ?? '')} → ${show(after[key] ?? '')}`).join('<br>')
+            : 'No change';
+    }
+
+    return [
+        before !== null ? `Before: ${show(before)}` : '',
+        after !== null ? `After: ${show(after)}` : '',
+    ].filter(Boolean).join('<br>');
+}
@@ -0,0 +1,234 @@
+/**
+ * AI Report History Controller
+ * Saved report list, report view and comparison, loaded by every dashboard after dashboard.js
+ */
+
+const REPORT_PAGE_SIZE = 20;
+// Offset of the history page shown; pages come back newest first
+let reportHistoryOffset = 0;
+
+/**
+ * Initialize the report history panel
+ * Runs after initializeDashboard so the user's permissions are loaded
+ */
+function initializeReportHistory() {
+    setupButton('reportHistoryBtn', 'reports.ai', () => showReportHistory(0));
+
+    const compareBtn = document.getElementById('reportCompareBtn');
+    if (compareBtn) {
+        compareBtn.addEventListener('click', compareSelectedReports);
+    }
+
+    const prevBtn = document.getElementById('reportPrevBtn');
+    if (prevBtn) {
+        prevBtn.addEventListener('click', () => showReportHistory(Math.max(reportHistoryOffset - REPORT_PAGE_SIZE, 0)));
+    }
+
+    const nextBtn = document.getElementById('reportNextBtn');
+    if (nextBtn) {
+        nextBtn.addEventListener('click', () => showReportHistory(reportHistoryOffset + REPORT_PAGE_SIZE));
+    }
+}
+
+/**
+ * Show one page of saved reports
+ */
+async function showReportHistory(offset = reportHistoryOffset) {
+    const panel = document.getElementById('reportHistory');
+    const table = document.getElementById('reportHistoryTable');
+    if (!panel || !table) return;
+
+    panel.classList.add('show');
+    reportHistoryOffset = offset;
+
+    try {
+        const data = await listAIReports(offset, REPORT_PAGE_SIZE);
+        renderReportHistory(data);
+    } catch (error) {
+        table.innerHTML = `<div class="error-message show">Failed to load report history: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Reload the history after a new report, if it is open
+ */
+async function refreshReportHistory() {
+    const panel = document.getElementById('reportHistory');
+    if (panel && panel.classList.contains('show')) {
+        await showReportHistory(0);
+    }
+}
+
+/**
+ * Render saved reports with a View button and a compare checkbox each
+ */
+function renderReportHistory(data) {
+    const table = document.getElementById('reportHistoryTable');
+    const first = data.total === 0 ? 0 : data.offset + 1;
+    const last = data.offset + data.reports.length;
+
+    document.getElementById('reportPageInfo').textContent = `${first}–${last} of ${data.total}`;
+    document.getElementById('reportPrevBtn').disabled = data.offset === 0;
+    document.getElementById('reportNextBtn').disabled = last >= data.total;
+    document.getElementById('reportCompareBtn').disabled = true;
+
+    if (data.reports.length === 0) {
+        table.innerHTML = '<p>No saved reports yet. Generate one to start the history.</p>';
+        return;
+    }
+
+    table.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Compare</th>
+                    <th>Generated</th>
+                    <th>By</th>
+                    <th>Model</th>
+                    <th>Restock Items</th>
+                    <th>Summary</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${data.reports.map(report => `
+                    <tr>
+                        <td><input type="checkbox" data-compare-id="${escapeHtml(report.reportId)}" data-created-at="${escapeHtml(report.createdAt)}"></td>
+                        <td>${formatTimestamp(report.createdAt)}</td>
+                        <td>${escapeHtml(report.createdBy)}${report.source === 'telegram' ? ' (Telegram)' : ''}</td>
+                        <td>${escapeHtml(report.model)}${report.structured ? '' : ' (computed)'}</td>
+                        <td>${report.lowStockCount}</td>
+                        <td>${escapeHtml(report.summary)}</td>
+                        <td>
+                            <button class="btn btn-secondary btn-small" data-report-id="${escapeHtml(report.reportId)}">View</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    table.querySelectorAll('button[data-report-id]').forEach(button => {
+        button.addEventListener('click', () => showSavedReport(button.dataset.reportId));
+    });
+
+    table.querySelectorAll('input[data-compare-id]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const checked = table.querySelectorAll('input[data-compare-id]:checked').length;
+            document.getElementById('reportCompareBtn').disabled = checked !== 2;
+        });
+    });
+}
+
+/**
+ * Show a saved report in the AI report panel, ready to send to Telegram
+ */
+async function showSavedReport(reportId) {
+    const aiReport = document.getElementById('aiReport');
+    if (!aiReport) return;
+
+    try {
+        const data = await getAIReport(reportId);
+        currentReportText = data.text;
+        aiReport.innerHTML = `
+            <h2>AI Report from ${formatTimestamp(data.createdAt)}</h2>
+            <p class="freshness">
+                ${escapeHtml(data.reportId)} by ${escapeHtml(data.createdBy)} using ${escapeHtml(data.model)};
+                based on ${data.snapshot.length} items.
+                ${data.structured ? '' : 'Computed from the stock figures because the AI response could not be used.'}
+            </p>
+            <div class="ai-report-content">${formatAIReport(data.report)}</div>
+        `;
+        aiReport.classList.add('show');
+        aiReport.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        alert(`Failed to load report: ${error.message}`);
+    }
+}
+
+/**
+ * Compare the two checked reports, older first
+ */
+async function compareSelectedReports() {
+    const checked = [...document.querySelectorAll('#reportHistoryTable input[data-compare-id]:checked')]
+        .sort((a, b) => a.dataset.createdAt.localeCompare(b.dataset.createdAt));
+    if (checked.length !== 2) return;
+
+    const diffPanel = document.getElementById('reportDiff');
+
+    try {
+        const data = await compareAIReports(checked[0].dataset.compareId, checked[1].dataset.compareId);
+        diffPanel.innerHTML = renderReportDiff(data);
+    } catch (error) {
+        diffPanel.innerHTML = `<div class="error-message show">Failed to compare reports: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Diff view: restock changes, new and dropped advice, and stock movements between the two reports
+ */
+function renderReportDiff({ from, to, diff }) {
+    const restock = diff.lowStockItems;
+    const entryName = entry => `${escapeHtml(entry.itemName || entry.itemId)} (${escapeHtml(entry.itemId)})`;
+    const textChanges = changes => [
+        ...changes.added.map(text => `<li class="diff-added">+ ${escapeHtml(text)}</li>`),
+        ...changes.removed.map(text => `<li class="diff-removed">− ${escapeHtml(text)}</li>`),
+    ].join('') || '<li>No change</li>';
+
+    return `
+        <h3>Changes from ${formatTimestamp(from.createdAt)} to ${formatTimestamp(to.createdAt)}</h3>
+        <div class="ai-report-content">
+            ${diff.summaryChanged ? `
+                <p class="diff-removed">− ${escapeHtml(from.summary)}</p>
+                <p class="diff-added">+ ${escapeHtml(to.summary)}</p>
+            ` : `<p>${escapeHtml(to.summary)}</p>`}
+
+            <h3>Restock Items</h3>
+            <ul>
+                ${restock.added.map(entry => `
+                    <li class="diff-added">+ [${escapeHtml(entry.priority)}] ${entryName(entry)}: order ${entry.restockQuantity}</li>
+                `).join('')}
+                ${restock.removed.map(entry => `
+                    <li class="diff-removed">− [${escapeHtml(entry.priority)}] ${entryName(entry)}: order ${entry.restockQuantity}</li>
+                `).join('')}
+                ${restock.changed.map(entry => `
+                    <li>${entryName(entry)}: order ${entry.before.restockQuantity} → ${entry.after.restockQuantity},
+                        priority ${escapeHtml(entry.before.priority)} → ${escapeHtml(entry.after.priority)}</li>
+                `).join('')}
+                ${restock.added.length + restock.removed.length + restock.changed.length === 0 ? '<li>No change</li>' : ''}
+            </ul>
+
+            <h3>Recommendations</h3>
+            <ul>${textChanges(diff.recommendations)}</ul>
+
+            <h3>Insights</h3>
+            <ul>${textChanges(diff.insights)}</ul>
+
+            <h3>Stock Changes</h3>
+            ${diff.stock.changed.length ? `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Item</th>
+                            <th>Before</th>
+                            <th>After</th>
+                            <th>Change</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${diff.stock.changed.map(item => `
+                            <tr>
+                                <td>${entryName(item)}</td>
+                                <td>${item.before}</td>
+                                <td>${item.after}</td>
+                                <td class="${item.delta < 0 ? 'diff-removed' : 'diff-added'}">${item.delta > 0 ? '+' : ''}${item.delta}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : '<p>No stock changes.</p>'}
+            ${diff.stock.added.length ? `<p>New items: ${diff.stock.added.map(entryName).join(', ')}</p>` : ''}
+            ${diff.stock.removed.length ? `<p>Removed items: ${diff.stock.removed.map(entryName).join(', ')}</p>` : ''}
+        </div>
+    `;
+}
@@ -6,10 +6,14 @@
 
 const API_BASE_URL = "https://gingin.tokogangan.workers.dev";
 
+// In-flight refresh shared by concurrent requests, since refresh tokens are single-use
+let refreshPromise = null;
+
 /**
  * Make authenticated API request
+ * An expired access token is refreshed once before giving up.
  */
-async function apiRequest(endpoint, options = {}) {
+async function apiRequest(endpoint, options = {}, retry = true) {
     const token = localStorage.getItem('authToken');
     
     if (!token) {
@@ -27,20 +31,92 @@ async function apiRequest(endpoint, options = {}) {
 
     // Handle 401 Unauthorized
     if (response.status === 401) {
+        if (retry && await refreshAccessToken()) {
+            return apiRequest(endpoint, options, false);
+        }
         localStorage.clear();
         window.location.href = 'login.html';
         throw new Error('Session expired');
     }
 
-    // Handle 403 Forbidden
+    // Handle 403 Forbidden: a role without the permission leaves the page, while a scope
+    // denial (an item or location outside the user's scopes) is reported by the caller
     if (response.status === 403) {
-        window.location.href = 'unauthorized.html';
-        throw new Error('Access denied');
+        const data = await response.clone().json().catch(() => ({}));
+        if (data.permission) {
+            window.location.href = 'unauthorized.html';
+            throw new Error('Access denied');
+        }
+    }
+
+    // Handle 429 Too Many Requests
+    if (response.status === 429) {
+        const data = await response.json().catch(() => ({}));
+        const retryAfter = parseInt(response.headers.get('Retry-After')) || data.retryAfter;
+        throw new Error(data.error || `Too many requests. Try again in ${retryAfter || 'a few'} seconds.`);
     }
 
     return response;
 }
 
+/**
+ * Swap the refresh token for a new access token
+ * @returns {Promise<boolean>} Whether a new access token was stored
+ */
+async function refreshAccessToken() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) {
+        return false;
+    }
+
+    if (!refreshPromise) {
+        refreshPromise = fetch(`${API_BASE_URL}/api/auth/refresh`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ refreshToken }),
+        })
+            .then(async (response) => {
+                if (!response.ok) {
+                    return false;
+                }
+                storeSession(await response.json());
+                return true;
+            })
+            .catch(() => false)
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+
+    return refreshPromise;
+}
+
+/**
+ * Parse a JSON response, throwing the Worker's error message on failure
+ * Sheet layout problems are attached to the error as `diagnostics`.
+ */
+async function parseResponse(response, fallbackError = 'Request failed') {
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const error = new Error(data.error || fallbackError);
+        error.diagnostics = data.diagnostics || [];
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Check the storage backend layout (admin only)
+ */
+async function checkStorage() {
+    const response = await apiRequest('/api/admin/storage-check');
+    return parseResponse(response, 'Failed to check storage');
+}
+
 /**
  * Get current user information
  */
@@ -49,23 +125,491 @@ async function getCurrentUser() {
     return response.json();
 }
 
+// Last inventory response per query with its ETag, for conditional requests
+const inventoryResponses = new Map();
+
 /**
  * Get inventory data
+ * With a location, quantities and minimums are those held at that location.
+ * Repeat loads send If-None-Match; on 304 the previous data comes back with notModified set.
  */
-async function getInventory() {
-    const response = await apiRequest('/api/inventory');
-    return response.json();
+async function getInventory(location) {
+    const query = location ? `?location=${encodeURIComponent(location)}` : '';
+    const previous = inventoryResponses.get(query);
+    const response = await apiRequest(`/api/inventory${query}`, previous ? {
+        headers: { 'If-None-Match': previous.etag },
+    } : {});
+
+    if (response.status === 304 && previous) {
+        return { ...previous.data, notModified: true, checkedAt: new Date().toISOString() };
+    }
+
+    const data = await parseResponse(response, 'Failed to load inventory');
+    const etag = response.headers.get('ETag');
+    if (etag) {
+        inventoryResponses.set(query, { etag, data });
+    }
+    return data;
+}
+
+/**
+ * Download the inventory as a csv, xlsx or json file
+ * @returns {Promise<Object>} { blob, filename }
+ */
+async function exportInventory(format, location) {
+    const params = new URLSearchParams({ format });
+    if (location) params.set('location', location);
+    const response = await apiRequest(`/api/inventory/export?${params}`);
+    if (!response.ok) {
+        await parseResponse(response, 'Failed to export inventory');
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = /filename="([^"]+)"/.exec(disposition)?.[1] || `inventory.${format}`;
+    return { blob: await response.blob(), filename };
+}
+
+/**
+ * Upload an import file for a dry run; nothing changes until applyImport
+ */
+async function previewImport(file, format, location) {
+    const params = new URLSearchParams({ format });
+    if (location) params.set('location', location);
+    const response = await apiRequest(`/api/inventory/import?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': file.type || 'application/octet-stream' },
+        body: file,
+    });
+    return parseResponse(response, 'Failed to preview import');
+}
+
+/**
+ * Apply a previewed import
+ */
+async function applyImport(importId) {
+    const response = await apiRequest(`/api/inventory/import/${encodeURIComponent(importId)}/apply`, {
+        method: 'POST',
+    });
+    return parseResponse(response, 'Failed to apply import');
+}
+
+/**
+ * Consumption forecasts and days until stockout, per item
+ */
+async function getForecast(location) {
+    const query = location ? `?location=${encodeURIComponent(location)}` : '';
+    const response = await apiRequest(`/api/forecast${query}`);
+    return parseResponse(response, 'Failed to load forecast');
+}
+
+/**
+ * What stock on hand is worth, by category and location
+ */
+async function getValuation(method, location) {
+    const params = new URLSearchParams();
+    if (method) params.set('method', method);
+    if (location) params.set('location', location);
+    const query = params.toString() ? `?${params}` : '';
+    const response = await apiRequest(`/api/reports/valuation${query}`);
+    return parseResponse(response, 'Failed to load valuation');
+}
+
+/**
+ * Get the locations the current user can see
+ */
+async function getLocations() {
+    const response = await apiRequest('/api/locations');
+    return parseResponse(response, 'Failed to load locations');
 }
 
 /**
- * Update stock quantity
+ * Update stock quantity at a location (the default location when omitted)
+ * Pass the item's lastUpdated value to have the Worker reject stale updates.
+ * A 409 throws an error whose `conflict` property holds the current item.
  */
-async function updateStock(itemId, quantity) {
+async function updateStock(itemId, quantity, lastUpdated, location) {
     const response = await apiRequest('/api/update-stock', {
         method: 'POST',
-        body: JSON.stringify({ itemId, quantity }),
+        body: JSON.stringify({ itemId, quantity, lastUpdated, location }),
     });
-    return response.json();
+    const data = await response.json();
+
+    if (response.status === 409) {
+        const error = new Error(data.error || 'Item was changed by someone else');
+        error.conflict = data.current;
+        throw error;
+    }
+
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to update stock');
+    }
+
+    return data;
+}
+
+/**
+ * Move stock between two locations
+ */
+async function createTransfer(transfer) {
+    const response = await apiRequest('/api/transfers', {
+        method: 'POST',
+        body: JSON.stringify(transfer),
+    });
+    return parseResponse(response, 'Failed to record transfer');
+}
+
+/**
+ * Set an item's minimum stock at one location (admin/manager)
+ */
+async function setLocationMinimum(itemId, location, minimumStock) {
+    const response = await apiRequest(
+        `/api/items/${encodeURIComponent(itemId)}/locations/${encodeURIComponent(location)}`,
+        {
+            method: 'PUT',
+            body: JSON.stringify({ minimumStock }),
+        }
+    );
+    return parseResponse(response, 'Failed to update location minimum');
+}
+
+/**
+ * Create an inventory item (admin/manager)
+ */
+async function createItem(item) {
+    const response = await apiRequest('/api/items', {
+        method: 'POST',
+        body: JSON.stringify(item),
+    });
+    return parseResponse(response, 'Failed to create item');
+}
+
+/**
+ * Update an item's name, category or minimum stock (admin/manager)
+ */
+async function updateItem(itemId, changes) {
+    const response = await apiRequest(`/api/items/${encodeURIComponent(itemId)}`, {
+        method: 'PUT',
+        body: JSON.stringify(changes),
+    });
+    return parseResponse(response, 'Failed to update item');
+}
+
+/**
+ * Delete an item (admin/manager)
+ * Items that still hold stock need force = true
+ */
+async function deleteItem(itemId, force = false) {
+    const query = force ? '?force=true' : '';
+    const response = await apiRequest(`/api/items/${encodeURIComponent(itemId)}${query}`, {
+        method: 'DELETE',
+    });
+    return parseResponse(response, 'Failed to delete item');
+}
+
+/**
+ * Get stock movement history, optionally for a single item
+ */
+async function getStockMovements(itemId) {
+    const query = itemId ? `?itemId=${encodeURIComponent(itemId)}` : '';
+    const response = await apiRequest(`/api/stock-movements${query}`);
+    return parseResponse(response, 'Failed to load stock movements');
+}
+
+/**
+ * Record a stock movement (receipt, issue or adjustment)
+ * Transfers between locations go through createTransfer
+ */
+async function recordStockMovement(movement) {
+    const response = await apiRequest('/api/stock-movements', {
+        method: 'POST',
+        body: JSON.stringify(movement),
+    });
+    return parseResponse(response, 'Failed to record movement');
+}
+
+/**
+ * Find the item a scanned barcode or QR label refers to
+ */
+async function lookupBarcode(code) {
+    const response = await apiRequest(`/api/items/by-barcode/${encodeURIComponent(code)}`);
+    return parseResponse(response, 'Failed to look up barcode');
+}
+
+/**
+ * Receive or issue stock of a scanned item
+ * @param {string} action - receive or issue
+ * @param {Object} fields - { quantity, location, reason, note }
+ */
+async function quickMovement(code, action, fields) {
+    const response = await apiRequest(`/api/items/by-barcode/${encodeURIComponent(code)}/${action}`, {
+        method: 'POST',
+        body: JSON.stringify(fields),
+    });
+    return parseResponse(response, 'Failed to record movement');
+}
+
+/**
+ * Printable page of QR labels for the given items, or every visible item
+ * @returns {Promise<Blob>} HTML page
+ */
+async function getLabelSheet(itemIds = []) {
+    const query = itemIds.length ? `?itemIds=${encodeURIComponent(itemIds.join(','))}` : '';
+    const response = await apiRequest(`/api/items/labels${query}`);
+    if (!response.ok) {
+        await parseResponse(response, 'Failed to build labels');
+    }
+    return response.blob();
+}
+
+/**
+ * List suppliers with the items they supply
+ */
+async function listSuppliers() {
+    const response = await apiRequest('/api/suppliers');
+    return parseResponse(response, 'Failed to load suppliers');
+}
+
+/**
+ * Add a supplier: { name, contactName, email, phone, leadTimeDays, notes }
+ */
+async function createSupplier(supplier) {
+    const response = await apiRequest('/api/suppliers', {
+        method: 'POST',
+        body: JSON.stringify(supplier),
+    });
+    return parseResponse(response, 'Failed to create supplier');
+}
+
+/**
+ * Change a supplier's details
+ */
+async function updateSupplier(supplierId, changes) {
+    const response = await apiRequest(`/api/suppliers/${encodeURIComponent(supplierId)}`, {
+        method: 'PUT',
+        body: JSON.stringify(changes),
+    });
+    return parseResponse(response, 'Failed to update supplier');
+}
+
+/**
+ * Delete a supplier and its item links
+ */
+async function deleteSupplier(supplierId) {
+    const response = await apiRequest(`/api/suppliers/${encodeURIComponent(supplierId)}`, {
+        method: 'DELETE',
+    });
+    return parseResponse(response, 'Failed to delete supplier');
+}
+
+/**
+ * Link an item to a supplier: { unitCost, minimumOrderQuantity, leadTimeDays, preferred }
+ */
+async function setSupplierItem(supplierId, itemId, terms) {
+    const response = await apiRequest(
+        `/api/suppliers/${encodeURIComponent(supplierId)}/items/${encodeURIComponent(itemId)}`,
+        { method: 'PUT', body: JSON.stringify(terms) }
+    );
+    return parseResponse(response, 'Failed to save supplier item');
+}
+
+/**
+ * Unlink an item from a supplier
+ */
+async function removeSupplierItem(supplierId, itemId) {
+    const response = await apiRequest(
+        `/api/suppliers/${encodeURIComponent(supplierId)}/items/${encodeURIComponent(itemId)}`,
+        { method: 'DELETE' }
+    );
+    return parseResponse(response, 'Failed to remove supplier item');
+}
+
+/**
+ * Get reorder points and quantities, optionally for a single item with its suppliers
+ */
+async function getReorderPlans(itemId) {
+    const query = itemId ? `?itemId=${encodeURIComponent(itemId)}` : '';
+    const response = await apiRequest(`/api/reorder${query}`);
+    return parseResponse(response, 'Failed to load reorder plans');
+}
+
+/**
+ * List purchase orders, optionally by status
+ */
+async function listPurchaseOrders(status) {
+    const query = status ? `?status=${encodeURIComponent(status)}` : '';
+    const response = await apiRequest(`/api/purchase-orders${query}`);
+    return parseResponse(response, 'Failed to load purchase orders');
+}
+
+/**
+ * Get a single purchase order
+ */
+async function getPurchaseOrder(poId) {
+    const response = await apiRequest(`/api/purchase-orders/${encodeURIComponent(poId)}`);
+    return parseResponse(response, 'Failed to load purchase order');
+}
+
+/**
+ * Draft a purchase order: { lines, supplier, note } or { fromLowStock: true }
+ */
+async function createPurchaseOrder(order) {
+    const response = await apiRequest('/api/purchase-orders', {
+        method: 'POST',
+        body: JSON.stringify(order),
+    });
+    return parseResponse(response, 'Failed to create purchase order');
+}
+
+/**
+ * Change a draft purchase order's supplier, note or lines
+ */
+async function updatePurchaseOrder(poId, changes) {
+    const response = await apiRequest(`/api/purchase-orders/${encodeURIComponent(poId)}`, {
+        method: 'PUT',
+        body: JSON.stringify(changes),
+    });
+    return parseResponse(response, 'Failed to update purchase order');
+}
+
+/**
+ * Approve, send or cancel a purchase order
+ */
+async function purchaseOrderAction(poId, action) {
+    const response = await apiRequest(`/api/purchase-orders/${encodeURIComponent(poId)}/${action}`, {
+        method: 'POST',
+    });
+    return parseResponse(response, `Failed to ${action} purchase order`);
+}
+
+/**
+ * Receive goods against a purchase order; omit lines to receive everything outstanding
+ * Goods go to the given location, or the default location when omitted
+ */
+async function receivePurchaseOrder(poId, lines, location) {
+    const response = await apiRequest(`/api/purchase-orders/${encodeURIComponent(poId)}/receive`, {
+        method: 'POST',
+        body: JSON.stringify({ ...(lines ? { lines } : {}), location }),
+    });
+    return parseResponse(response, 'Failed to receive purchase order');
+}
+
+/**
+ * List invoices, optionally by status
+ */
+async function listInvoices(status) {
+    const query = status ? `?status=${encodeURIComponent(status)}` : '';
+    const response = await apiRequest(`/api/invoices${query}`);
+    return parseResponse(response, 'Failed to load invoices');
+}
+
+/**
+ * Get a single invoice
+ */
+async function getInvoice(invoiceId) {
+    const response = await apiRequest(`/api/invoices/${encodeURIComponent(invoiceId)}`);
+    return parseResponse(response, 'Failed to load invoice');
+}
+
+/**
+ * Create an invoice: { customer, lines: [{ itemId, quantity, unitPrice }], note, location, status }
+ * With status 'paid' the lines are issued from stock straight away
+ */
+async function createInvoice(invoice) {
+    const response = await apiRequest('/api/invoices', {
+        method: 'POST',
+        body: JSON.stringify(invoice),
+    });
+    return parseResponse(response, 'Failed to create invoice');
+}
+
+/**
+ * Mark an invoice paid or cancel it
+ */
+async function invoiceAction(invoiceId, action) {
+    const response = await apiRequest(`/api/invoices/${encodeURIComponent(invoiceId)}/${action}`, {
+        method: 'POST',
+    });
+    return parseResponse(response, `Failed to ${action} invoice`);
+}
+
+/**
+ * List the current user's active sessions
+ */
+async function getSessions() {
+    const response = await apiRequest('/api/auth/sessions');
+    return parseResponse(response, 'Failed to load sessions');
+}
+
+/**
+ * End one of the current user's sessions
+ */
+async function revokeSession(sessionId) {
+    const response = await apiRequest(`/api/auth/sessions/${encodeURIComponent(sessionId)}`, {
+        method: 'DELETE',
+    });
+    return parseResponse(response, 'Failed to revoke session');
+}
+
+/**
+ * Sign a user out of every session (admin)
+ */
+async function revokeUserSessions(email) {
+    const response = await apiRequest(`/api/admin/users/${encodeURIComponent(email)}/revoke-sessions`, {
+        method: 'POST',
+    });
+    return parseResponse(response, 'Failed to revoke sessions');
+}
+
+/**
+ * List users (admin)
+ */
+async function listUsers() {
+    const response = await apiRequest('/api/admin/users');
+    return parseResponse(response, 'Failed to load users');
+}
+
+/**
+ * Create a user (admin)
+ */
+async function createUser(user) {
+    const response = await apiRequest('/api/admin/users', {
+        method: 'POST',
+        body: JSON.stringify(user),
+    });
+    return parseResponse(response, 'Failed to create user');
+}
+
+/**
+ * Change a user's role or disabled flag (admin)
+ */
+async function updateUser(email, changes) {
+    const response = await apiRequest(`/api/admin/users/${encodeURIComponent(email)}`, {
+        method: 'PUT',
+        body: JSON.stringify(changes),
+    });
+    return parseResponse(response, 'Failed to update user');
+}
+
+/**
+ * Set a new password for a user (admin)
+ */
+async function resetUserPassword(email, password) {
+    const response = await apiRequest(`/api/admin/users/${encodeURIComponent(email)}/reset-password`, {
+        method: 'POST',
+        body: JSON.stringify({ password }),
+    });
+    return parseResponse(response, 'Failed to reset password');
+}
+
+/**
+ * Search the audit log (admin)
+ * @param {Object} filter - { actor, event, route, from, to, limit, offset }; blank values are left out
+ */
+async function getAuditLog(filter = {}) {
+    const params = new URLSearchParams(Object.entries(filter).filter(([, value]) => value !== '' && value != null));
+    const query = params.toString() ? `?${params}` : '';
+    const response = await apiRequest(`/api/admin/audit${query}`);
+    return parseResponse(response, 'Failed to load audit log');
 }
 
 /**
@@ -78,6 +622,43 @@ async function generateAIReport() {
     return response.json();
 }
 
+/**
+ * Ask the AI assistant a question: { answer, citations, unknownIds, toolCalls }
+ * @param {Array} history - Earlier turns as { role: 'user' | 'model', text }
+ */
+async function askAssistant(question, history = []) {
+    const response = await apiRequest('/api/ai/ask', {
+        method: 'POST',
+        body: JSON.stringify({ question, history }),
+    });
+    return parseResponse(response, 'Failed to get an answer');
+}
+
+/**
+ * Saved AI reports, newest first: { reports, total }
+ */
+async function listAIReports(offset = 0, limit = 20) {
+    const response = await apiRequest(`/api/ai-reports?offset=${offset}&limit=${limit}`);
+    return parseResponse(response, 'Failed to load report history');
+}
+
+/**
+ * A saved AI report with the stock figures it was based on
+ */
+async function getAIReport(reportId) {
+    const response = await apiRequest(`/api/ai-reports/${encodeURIComponent(reportId)}`);
+    return parseResponse(response, 'Failed to load report');
+}
+
+/**
+ * What changed between two saved AI reports
+ */
+async function compareAIReports(fromId, toId) {
+    const params = new URLSearchParams({ from: fromId, to: toId });
+    const response = await apiRequest(`/api/ai-reports/compare?${params}`);
+    return parseResponse(response, 'Failed to compare reports');
+}
+
 /**
  * Send report to Telegram
  */
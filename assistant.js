@@ -0,0 +1,95 @@
+/**
+ * AI Assistant Controller
+ * Chat panel for questions about the inventory, loaded by every dashboard after dashboard.js
+ */
+
+// Earlier turns sent with each question so follow-ups have context
+const assistantHistory = [];
+
+/**
+ * Initialize the chat panel
+ * Runs after initializeDashboard so the user's permissions are loaded
+ */
+function initializeAssistant() {
+    setupButton('assistantBtn', 'ai.ask', () => {
+        document.getElementById('assistant').classList.add('show');
+        document.getElementById('assistantQuestion').focus();
+    });
+
+    const form = document.getElementById('assistantForm');
+    if (form) {
+        form.addEventListener('submit', handleAskQuestion);
+    }
+
+    const clearBtn = document.getElementById('assistantClearBtn');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            assistantHistory.length = 0;
+            document.getElementById('assistantMessages').innerHTML = '';
+        });
+    }
+}
+
+/**
+ * Send the question with the conversation so far and show the answer
+ */
+async function handleAskQuestion(event) {
+    event.preventDefault();
+
+    const input = document.getElementById('assistantQuestion');
+    const button = event.target.querySelector('button[type="submit"]');
+    const question = input.value.trim();
+    if (!question) return;
+
+    appendChatMessage('user', escapeHtml(question));
+    input.value = '';
+    button.disabled = true;
+
+    try {
+        const data = await askAssistant(question, assistantHistory);
+        assistantHistory.push({ role: 'user', text: question }, { role: 'model', text: data.answer });
+        appendChatMessage('model', formatAnswer(data));
+    } catch (error) {
+        appendChatMessage('error', escapeHtml(error.message));
+    } finally {
+        button.disabled = false;
+        input.focus();
+    }
+}
+
+function appendChatMessage(role, html) {
+    const messages = document.getElementById('assistantMessages');
+    messages.insertAdjacentHTML('beforeend', `<div class="chat-message chat-${role}">${html}</div>`);
+    messages.scrollTop = messages.scrollHeight;
+
+    messages.querySelectorAll('button[data-item-id]:not([data-wired])').forEach(button => {
+        button.dataset.wired = 'true';
+        button.addEventListener('click', () => showMovementHistory(button.dataset.itemId));
+    });
+}
+
+/**
+ * Answer text with each cited item ID linked to its movement history
+ * IDs the Worker could not match to an item are flagged rather than linked.
+ */
+function formatAnswer(data) {
+    const cited = new Map(data.citations.map(citation => [citation.itemId.toLowerCase(), citation]));
+    const unknown = new Set(data.unknownIds.map(id => id.toLowerCase()));
+    const canOpen = can('movements.view');
+
+    const html = escapeHtml(data.answer).replace(/\[([^\]\s]{1,64})\]/g, (match, id) => {
+        const citation = cited.get(id.toLowerCase());
+        if (citation) {
+            return canOpen
+                ? `<button class="chat-citation" data-item-id="${escapeHtml(citation.itemId)}">${escapeHtml(citation.itemId)}</button>`
+                : `<span class="chat-citation">${escapeHtml(citation.itemId)}</span>`;
+        }
+        return unknown.has(id.toLowerCase()) ? `<span class="chat-unknown" title="No such item">${match}</span>` : match;
+    });
+
+    const tools = data.toolCalls.length
+        ? `<div class="chat-tools">Looked up: ${data.toolCalls.map(call => escapeHtml(call.name)).join(', ')}</div>`
+        : '';
+
+    return html.replace(/\n/g, '<br>') + tools;
+}
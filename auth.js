@@ -40,9 +40,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 // Store token and user info
                 if (data.token) {
-                    localStorage.setItem('authToken', data.token);
-                    localStorage.setItem('userRole', data.role);
-                    localStorage.setItem('userEmail', data.email);
+                    storeSession(data);
                 }
 
                 // Redirect based on role
@@ -83,11 +81,38 @@ function getAuthToken() {
     return localStorage.getItem('authToken');
 }
 
+/**
+ * Store tokens and user info from a login or refresh response
+ */
+function storeSession(data) {
+    localStorage.setItem('authToken', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    localStorage.setItem('userRole', data.role);
+    localStorage.setItem('userEmail', data.email);
+}
+
 /**
  * Logout user
+ * Revokes the session on the server so the tokens stop working everywhere
  */
-function logout() {
+async function logout() {
+    const token = getAuthToken();
+
+    if (token) {
+        try {
+            await fetch(`${API_BASE_URL}/api/auth/logout`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                },
+            });
+        } catch (error) {
+            // Still sign out locally if the Worker is unreachable
+        }
+    }
+
     localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('userRole');
     localStorage.removeItem('userEmail');
     window.location.href = 'login.html';
@@ -105,6 +130,6 @@ function getUserInfo() {
 
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { getAuthToken, logout, getUserInfo };
+    module.exports = { getAuthToken, storeSession, logout, getUserInfo };
 }
 
@@ -0,0 +1,314 @@
+/**
+ * Barcode Controller
+ * Camera scanning with quick receive and issue, and QR label printing, loaded by every
+ * dashboard after dashboard.js; only the staff dashboard has the scanner panel
+ */
+
+// Decoder for browsers without BarcodeDetector, loaded the first time the camera starts
+const BARCODE_FALLBACK_SCRIPT = 'https://cdn.jsdelivr.net/npm/@zxing/library@0.21.3/umd/index.min.js';
+// How often a camera frame is checked for a code
+const SCAN_INTERVAL_MS = 250;
+
+const QUICK_MOVEMENT_TYPES = {
+    receive: 'receipt',
+    issue: 'issue',
+};
+
+let scannerStream = null;
+let scannerTimer = null;
+let decodeBarcode = null;
+
+/**
+ * Initialize the label button and, where the dashboard has one, the scanner panel
+ * Runs after initializeDashboard so the user's permissions and locations are loaded
+ */
+async function initializeBarcodes() {
+    setupButton('printLabelsBtn', 'inventory.view', () => printLabels());
+
+    if (!document.getElementById('scanner')) return;
+
+    setupButton('scanBtn', 'inventory.view', openScanner);
+    document.getElementById('scannerCloseBtn').addEventListener('click', closeScanner);
+    // Handheld scanners type the code and press Enter, so they work through this form too
+    document.getElementById('scanCodeForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const code = document.getElementById('scanCode').value.trim();
+        if (code) {
+            stopCamera();
+            showScannedItem(code);
+        }
+    });
+}
+
+function openScanner() {
+    const panel = document.getElementById('scanner');
+    panel.classList.add('show');
+    panel.scrollIntoView({ behavior: 'smooth' });
+    document.getElementById('scanResult').innerHTML = '';
+    document.getElementById('scanCode').focus();
+    startCamera();
+}
+
+function closeScanner() {
+    stopCamera();
+    document.getElementById('scanner').classList.remove('show');
+    document.getElementById('scanResult').innerHTML = '';
+}
+
+/**
+ * Start the camera and check its frames for a code until one is found
+ */
+async function startCamera() {
+    const status = document.getElementById('scannerStatus');
+    if (scannerStream) return;
+
+    if (!navigator.mediaDevices?.getUserMedia) {
+        status.textContent = 'No camera available here; type the code or use a handheld scanner.';
+        return;
+    }
+
+    try {
+        status.textContent = 'Starting camera...';
+        decodeBarcode = decodeBarcode || await createBarcodeDecoder();
+        scannerStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+
+        const video = document.getElementById('scannerVideo');
+        video.srcObject = scannerStream;
+        video.style.display = 'block';
+        await video.play();
+        status.textContent = 'Point the camera at a barcode or QR label.';
+        scheduleScan();
+    } catch (error) {
+        stopCamera();
+        status.textContent = `Camera unavailable (${error.message}); type the code or use a handheld scanner.`;
+    }
+}
+
+function stopCamera() {
+    clearTimeout(scannerTimer);
+    scannerStream?.getTracks().forEach(track => track.stop());
+    scannerStream = null;
+
+    const video = document.getElementById('scannerVideo');
+    video.srcObject = null;
+    video.style.display = 'none';
+    document.getElementById('scannerStatus').textContent = '';
+}
+
+function scheduleScan() {
+    scannerTimer = setTimeout(async () => {
+        let code = null;
+        try {
+            code = await decodeBarcode(document.getElementById('scannerVideo'));
+        } catch (error) {
+            // A frame the decoder cannot read; try the next one
+        }
+
+        // The scanner may have been closed while the frame was decoded
+        if (!scannerStream) return;
+
+        if (code) {
+            stopCamera();
+            await showScannedItem(code);
+        } else {
+            scheduleScan();
+        }
+    }, SCAN_INTERVAL_MS);
+}
+
+/**
+ * Build a function that returns the first code in a video frame, or null
+ * Uses the browser's BarcodeDetector where it supports any formats, and ZXing otherwise.
+ */
+async function createBarcodeDecoder() {
+    const formats = 'BarcodeDetector' in window ? await BarcodeDetector.getSupportedFormats() : [];
+    if (formats.length) {
+        const detector = new BarcodeDetector({ formats });
+        return async video => (await detector.detect(video))[0]?.rawValue || null;
+    }
+
+    await loadScript(BARCODE_FALLBACK_SCRIPT);
+    const reader = new ZXing.MultiFormatReader();
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+
+    return async video => {
+        if (!video.videoWidth) return null;
+
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        context.drawImage(video, 0, 0);
+        const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+
+        // ZXing reads grey levels
+        const luminances = new Uint8ClampedArray(canvas.width * canvas.height);
+        for (let i = 0; i < luminances.length; i++) {
+            luminances[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+        }
+        const source = new ZXing.RGBLuminanceSource(luminances, canvas.width, canvas.height);
+
+        try {
+            return reader.decode(new ZXing.BinaryBitmap(new ZXing.HybridBinarizer(source))).getText();
+        } catch (error) {
+            // NotFoundException: no readable code in this frame
+            return null;
+        }
+    };
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.crossOrigin = 'anonymous';
+        script.onload = resolve;
+        script.onerror = () => reject(new Error('the barcode decoder could not be loaded'));
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Look up a scanned code and show the item with the quick receive/issue form
+ * @param {string} [message] - Shown above the item, e.g. what was just recorded
+ */
+async function showScannedItem(code, message = '') {
+    const result = document.getElementById('scanResult');
+    document.getElementById('scanCode').value = '';
+    result.innerHTML = `<p>Looking up ${escapeHtml(code)}...</p>`;
+
+    try {
+        const data = await lookupBarcode(code);
+        renderScannedItem(code, data, message);
+    } catch (error) {
+        result.innerHTML = `
+            <div class="error-message show">${escapeHtml(error.message)}</div>
+            <div class="inline-form">
+                <button class="btn btn-primary btn-small" data-scan-action="next">Scan Again</button>
+            </div>
+        `;
+        result.querySelector('[data-scan-action="next"]').addEventListener('click', scanNext);
+    }
+}
+
+function renderScannedItem(code, data, message) {
+    const result = document.getElementById('scanResult');
+    const { item } = data;
+    const locations = locationConfig.locations.filter(location => can('stock.quick', { ...item, location }));
+    const canRecord = data.reasonCodes && locations.length > 0;
+    const selected = locations.includes(currentLocation) ? currentLocation : locationConfig.defaultLocation;
+
+    result.innerHTML = `
+        ${message ? `<p><strong>${escapeHtml(message)}</strong></p>` : ''}
+        <h3>${escapeHtml(item.itemName)}</h3>
+        <p>
+            <strong>Item ID:</strong> ${escapeHtml(item.itemId)}
+            &nbsp; <strong>Category:</strong> ${escapeHtml(item.category)}
+            ${item.barcode ? `&nbsp; <strong>Barcode:</strong> ${escapeHtml(item.barcode)}` : ''}
+            &nbsp; <strong>Total:</strong> ${item.quantity}
+        </p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Location</th>
+                    <th>Quantity</th>
+                    <th>Minimum Stock</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${item.locations.map(level => `
+                    <tr class="${level.quantity <= level.minimumStock ? 'low-stock' : ''}">
+                        <td>${escapeHtml(level.location)}</td>
+                        <td>${level.quantity}</td>
+                        <td>${level.minimumStock}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${canRecord ? `
+            <form id="quickMovementForm" class="inline-form">
+                <select id="quickAction">
+                    <option value="receive">Receive</option>
+                    <option value="issue">Issue</option>
+                </select>
+                <input type="number" id="quickQuantity" class="stock-input" min="1" value="1" required>
+                <select id="quickReason"></select>
+                ${locations.length > 1 ? `
+                    <select id="quickLocation">
+                        ${locations.map(location => `
+                            <option value="${escapeHtml(location)}" ${location === selected ? 'selected' : ''}>${escapeHtml(location)}</option>
+                        `).join('')}
+                    </select>
+                ` : ''}
+                <input type="text" id="quickNote" placeholder="Note">
+                <button type="submit" class="btn btn-primary btn-small">Record</button>
+            </form>
+        ` : ''}
+        <div class="inline-form">
+            <button class="btn btn-primary btn-small" data-scan-action="next">Scan Next</button>
+            <button class="btn btn-secondary btn-small" data-scan-action="label">Print Label</button>
+        </div>
+    `;
+
+    result.querySelector('[data-scan-action="next"]').addEventListener('click', scanNext);
+    result.querySelector('[data-scan-action="label"]').addEventListener('click', () => printLabels([item.itemId]));
+
+    if (canRecord) {
+        setupQuickMovementForm(code, item, data.reasonCodes, locations);
+    }
+}
+
+function setupQuickMovementForm(code, item, reasonCodes, locations) {
+    const actionSelect = document.getElementById('quickAction');
+    const reasonSelect = document.getElementById('quickReason');
+
+    const updateReasons = () => {
+        reasonSelect.innerHTML = (reasonCodes[QUICK_MOVEMENT_TYPES[actionSelect.value]] || [])
+            .map(reason => `<option value="${reason}">${reason}</option>`)
+            .join('');
+    };
+    actionSelect.addEventListener('change', updateReasons);
+    updateReasons();
+
+    document.getElementById('quickMovementForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const action = actionSelect.value;
+        const quantity = parseInt(document.getElementById('quickQuantity').value);
+        const location = document.getElementById('quickLocation')?.value || locations[0];
+
+        try {
+            await quickMovement(code, action, {
+                quantity,
+                location,
+                reason: reasonSelect.value,
+                note: document.getElementById('quickNote').value,
+            });
+            await loadInventory();
+            await showScannedItem(code, `${action === 'receive' ? 'Received' : 'Issued'} ${quantity} of ${item.itemName} at ${location}.`);
+        } catch (error) {
+            alert(`Failed to record movement: ${error.message}`);
+        }
+    });
+}
+
+function scanNext() {
+    document.getElementById('scanResult').innerHTML = '';
+    document.getElementById('scanCode').focus();
+    startCamera();
+}
+
+/**
+ * Open a printable sheet of QR labels for the given items, or every item the user can see
+ */
+async function printLabels(itemIds = []) {
+    // Open the window while the click still counts, so popup blockers allow it
+    const labelWindow = window.open('', '_blank');
+
+    try {
+        const sheet = await getLabelSheet(itemIds);
+        labelWindow.location.href = URL.createObjectURL(sheet);
+    } catch (error) {
+        labelWindow?.close();
+        alert(`Failed to print labels: ${error.message}`);
+    }
+}
@@ -4,12 +4,40 @@
  */
 
 let currentUserRole = null;
+let currentPermissions = [];
+let currentScopes = null;
+let currentInventory = [];
+// Locations the user can see; currentLocation is '' for the all-locations view
+let locationConfig = { locations: [], defaultLocation: null };
+let currentLocation = '';
+// Plain-text version of the last AI report, for sending to Telegram
+let currentReportText = '';
+// Forecast per itemId from /api/forecast, and the inventory table's sort order ('' keeps sheet order)
+let currentForecasts = new Map();
+let inventorySort = '';
+
+// Items whose earliest likely stockout is this close are highlighted
+const DAYS_LEFT_WARNING = 7;
+
+// Permissions the Worker limits to a user's categories/locations (see worker/utils/permissions.js)
+const SCOPED_PERMISSIONS = ['inventory.view', 'movements.view', 'stock.adjust', 'stock.quick', 'items.edit'];
 
 /**
  * Initialize dashboard
+ * Controls are shown from the effective permissions returned by /api/user,
+ * not from the role name.
  */
 async function initializeDashboard(role) {
     currentUserRole = role;
+
+    try {
+        const user = await getCurrentUser();
+        currentUserRole = user.role || role;
+        currentPermissions = user.permissions || [];
+        currentScopes = user.scopes || null;
+    } catch (error) {
+        currentPermissions = [];
+    }
     
     // Setup logout button
     const logoutBtn = document.getElementById('logoutBtn');
@@ -24,6 +52,12 @@ async function initializeDashboard(role) {
         });
     }
 
+    // Setup sessions button
+    const sessionsBtn = document.getElementById('sessionsBtn');
+    if (sessionsBtn) {
+        sessionsBtn.addEventListener('click', showSessions);
+    }
+
     // Display user info
     const userInfo = getUserInfo();
     const userInfoEl = document.getElementById('userInfo');
@@ -37,22 +71,106 @@ async function initializeDashboard(role) {
         refreshBtn.addEventListener('click', loadInventory);
     }
 
-    // Setup AI report button
-    const aiReportBtn = document.getElementById('aiReportBtn');
-    if (aiReportBtn) {
-        aiReportBtn.addEventListener('click', generateReport);
-    }
+    // Setup permission-gated buttons
+    setupButton('aiReportBtn', 'reports.ai', generateReport);
+    setupButton('addItemBtn', 'items.edit', () => openItemEditor());
+    setupButton('telegramBtn', 'notify.telegram', sendReportToTelegram);
 
-    // Setup Telegram button (admin/manager only)
-    const telegramBtn = document.getElementById('telegramBtn');
-    if (telegramBtn && (role === 'admin' || role === 'manager')) {
-        telegramBtn.addEventListener('click', sendReportToTelegram);
+    await setupLocationFilter();
+
+    const sortSelect = document.getElementById('inventorySort');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', () => {
+            inventorySort = sortSelect.value;
+            renderInventoryTable(currentInventory);
+        });
     }
 
     // Load inventory on page load
     await loadInventory();
 }
 
+/**
+ * Fill the location filter; it stays hidden when there is only one location
+ */
+async function setupLocationFilter() {
+    const select = document.getElementById('locationFilter');
+
+    try {
+        locationConfig = await getLocations();
+    } catch (error) {
+        locationConfig = { locations: [], defaultLocation: null };
+    }
+
+    // Users scoped to a single non-default location work in that location's view
+    if (locationConfig.locations.length === 1 && locationConfig.locations[0] !== locationConfig.defaultLocation) {
+        currentLocation = locationConfig.locations[0];
+    }
+
+    if (!select) return;
+
+    if (locationConfig.locations.length <= 1) {
+        select.style.display = 'none';
+        return;
+    }
+
+    select.innerHTML = `
+        <option value="">All locations</option>
+        ${locationConfig.locations.map(location => `
+            <option value="${escapeHtml(location)}">${escapeHtml(location)}</option>
+        `).join('')}
+    `;
+    select.addEventListener('change', () => {
+        currentLocation = select.value;
+        loadInventory();
+    });
+}
+
+/**
+ * Whether the dashboard has more than one location to choose from
+ */
+function hasMultipleLocations() {
+    return locationConfig.locations.length > 1;
+}
+
+/**
+ * Check a permission, optionally for a specific item
+ * Mirrors hasPermission in the Worker; the Worker still enforces it.
+ */
+function can(permission, item) {
+    if (!currentPermissions.includes(permission)) {
+        return false;
+    }
+
+    if (!item || !SCOPED_PERMISSIONS.includes(permission) || !currentScopes) {
+        return true;
+    }
+
+    const categories = currentScopes.categories || [];
+    const locations = currentScopes.locations || [];
+
+    if (categories.length && item.category !== undefined && !categories.includes(item.category)) {
+        return false;
+    }
+
+    return !(locations.length && item.location !== undefined && !locations.includes(item.location));
+}
+
+/**
+ * Wire a button to a handler, hiding it when the user lacks the permission
+ */
+function setupButton(id, permission, handler) {
+    const button = document.getElementById(id);
+    if (!button) return;
+
+    if (!can(permission)) {
+        button.style.display = 'none';
+        return;
+    }
+
+    button.addEventListener('click', handler);
+}
+
 /**
  * Load and display inventory
  */
@@ -68,24 +186,51 @@ async function loadInventory() {
     }
 
     try {
-        const data = await getInventory();
+        // The table still loads if the forecast cannot be computed
+        const [data, forecast] = await Promise.all([
+            getInventory(currentLocation),
+            getForecast(currentLocation).catch(() => null),
+        ]);
+        currentForecasts = new Map((forecast?.forecasts || []).map(entry => [entry.itemId, entry]));
         
         if (loadingIndicator) loadingIndicator.style.display = 'none';
         
         if (data.inventory && Array.isArray(data.inventory)) {
             renderInventoryTable(data.inventory);
+            renderFreshness(data);
         } else {
             throw new Error('Invalid inventory data');
         }
     } catch (error) {
         if (loadingIndicator) loadingIndicator.style.display = 'none';
         if (errorMessage) {
-            errorMessage.textContent = error.message || 'Failed to load inventory';
+            // A sheet that does not match the expected layout comes with one line per problem
+            errorMessage.innerHTML = [error.message || 'Failed to load inventory', ...(error.diagnostics || [])]
+                .map(line => escapeHtml(line))
+                .join('<br>');
             errorMessage.classList.add('show');
         }
     }
 }
 
+/**
+ * Say when the inventory shown was read from storage
+ * The Worker serves a snapshot up to maxAge seconds old; a 304 means nothing changed since.
+ */
+function renderFreshness(data) {
+    const freshness = document.getElementById('inventoryFreshness');
+    if (!freshness || !data.readAt) return;
+
+    const parts = [`Data as of ${new Date(data.readAt).toLocaleTimeString()}`];
+    if (data.cached && data.maxAge) {
+        parts.push(`cached up to ${data.maxAge}s`);
+    }
+    if (data.notModified) {
+        parts.push(`unchanged at ${new Date(data.checkedAt).toLocaleTimeString()}`);
+    }
+    freshness.textContent = parts.join(' · ');
+}
+
 /**
  * Render inventory table
  */
@@ -93,7 +238,13 @@ function renderInventoryTable(inventory) {
     const inventoryTable = document.getElementById('inventoryTable');
     if (!inventoryTable) return;
 
-    const canUpdate = currentUserRole === 'admin' || currentUserRole === 'manager';
+    currentInventory = inventory;
+
+    const hasItemEditor = document.getElementById('itemEditor') !== null;
+    const showActions = can('stock.adjust') || (hasItemEditor && can('items.edit'));
+    // Totals span several locations, so quantities are only set with a location selected
+    const canSetQuantity = currentLocation !== '' || !hasMultipleLocations();
+    const showHistory = can('movements.view');
 
     let html = `
         <table>
@@ -105,41 +256,72 @@ function renderInventoryTable(inventory) {
                     <th>Quantity</th>
                     <th>Minimum Stock</th>
                     <th>Status</th>
-                    ${canUpdate ? '<th>Action</th>' : ''}
+                    <th>Days Left</th>
+                    ${showActions ? '<th>Action</th>' : ''}
                     <th>Last Updated</th>
+                    ${showHistory ? '<th>History</th>' : ''}
                 </tr>
             </thead>
             <tbody>
     `;
 
-    inventory.forEach(item => {
+    sortInventory(inventory).forEach(item => {
         const isLowStock = item.quantity <= item.minimumStock;
         const statusClass = isLowStock ? 'low-stock' : '';
         const statusText = isLowStock ? '⚠️ Low Stock' : '✓ OK';
+        const canUpdateItem = canSetQuantity && can('stock.adjust', item);
+        const breakdown = !currentLocation && hasMultipleLocations() && item.locations
+            ? item.locations.map(level => `${escapeHtml(level.location)}: ${level.quantity}`).join(', ')
+            : '';
+        const canEditItem = hasItemEditor && can('items.edit', item);
 
         html += `
             <tr>
                 <td>${item.itemId || item.id}</td>
-                <td>${item.itemName || item.name}</td>
-                <td>${item.category || 'N/A'}</td>
-                <td class="${statusClass}">${item.quantity}</td>
+                <td>${escapeHtml(item.itemName || item.name)}</td>
+                <td>${escapeHtml(item.category || 'N/A')}</td>
+                <td class="${statusClass}">
+                    ${item.quantity}
+                    ${breakdown ? `<span class="location-breakdown">${breakdown}</span>` : ''}
+                </td>
                 <td>${item.minimumStock}</td>
                 <td class="${statusClass}">${statusText}</td>
-                ${canUpdate ? `
+                ${renderDaysLeft(currentForecasts.get(item.itemId))}
+                ${showActions ? `
+                    <td>
+                        ${canUpdateItem ? `
+                            <input type="number" 
+                                   class="stock-input" 
+                                   value="${item.quantity}" 
+                                   min="0"
+                                   data-item-id="${item.itemId || item.id}">
+                            <button class="btn btn-primary" 
+                                    style="margin-left: 10px; padding: 6px 12px;"
+                                    onclick="updateItemStock('${item.itemId || item.id}')">
+                                Update
+                            </button>
+                        ` : ''}
+                        ${canEditItem ? `
+                            <button class="btn btn-secondary btn-small"
+                                    onclick="openItemEditor('${item.itemId || item.id}')">
+                                Edit
+                            </button>
+                            <button class="btn btn-danger btn-small"
+                                    onclick="confirmDeleteItem('${item.itemId || item.id}')">
+                                Delete
+                            </button>
+                        ` : ''}
+                    </td>
+                ` : ''}
+                <td>${formatTimestamp(item.lastUpdated)}</td>
+                ${showHistory ? `
                     <td>
-                        <input type="number" 
-                               class="stock-input" 
-                               value="${item.quantity}" 
-                               min="0"
-                               data-item-id="${item.itemId || item.id}">
-                        <button class="btn btn-primary" 
-                                style="margin-left: 10px; padding: 6px 12px;"
-                                onclick="updateItemStock('${item.itemId || item.id}')">
-                            Update
+                        <button class="btn btn-secondary btn-small"
+                                onclick="showMovementHistory('${item.itemId || item.id}')">
+                            History
                         </button>
                     </td>
                 ` : ''}
-                <td>${item.lastUpdated || 'N/A'}</td>
             </tr>
         `;
     });
@@ -152,10 +334,49 @@ function renderInventoryTable(inventory) {
     inventoryTable.innerHTML = html;
 }
 
+/**
+ * Items in the order chosen in the sort menu
+ * Days left puts the soonest stockout first and items with no forecast consumption last.
+ */
+function sortInventory(inventory) {
+    if (inventorySort === 'daysLeft') {
+        const daysLeft = item => currentForecasts.get(item.itemId)?.daysLeft ?? Infinity;
+        return [...inventory].sort((a, b) => daysLeft(a) - daysLeft(b));
+    }
+    if (inventorySort === 'itemName') {
+        return [...inventory].sort((a, b) => String(a.itemName).localeCompare(String(b.itemName)));
+    }
+    return inventory;
+}
+
+/**
+ * Days Left cell: the forecast with its 80% range in the tooltip
+ */
+function renderDaysLeft(forecast) {
+    if (!forecast) {
+        return '<td>N/A</td>';
+    }
+    if (forecast.daysLeft === null) {
+        return '<td title="No consumption in the forecast window">—</td>';
+    }
+
+    const latest = forecast.daysLeftHigh === null ? 'no stockout' : `${forecast.daysLeftHigh} days`;
+    const title = `${forecast.dailyRate}/day; 80% range ${forecast.daysLeftLow} to ${latest}`
+        + `${forecast.stockoutDate ? `; stockout around ${forecast.stockoutDate}` : ''}`
+        + `${forecast.lowConfidence ? '; short history' : ''}`;
+    const soon = forecast.daysLeftLow !== null && forecast.daysLeftLow <= DAYS_LEFT_WARNING;
+
+    return `<td class="${soon ? 'low-stock' : ''}" title="${escapeHtml(title)}">
+        ${forecast.daysLeft}${forecast.lowConfidence ? '*' : ''}
+    </td>`;
+}
+
 /**
  * Update item stock
+ * On a version conflict the user is asked to merge their change into the
+ * current value, retry with their own value, or keep the other update.
  */
-async function updateItemStock(itemId) {
+async function updateItemStock(itemId, baseItem) {
     const input = document.querySelector(`input[data-item-id="${itemId}"]`);
     if (!input) return;
 
@@ -165,15 +386,516 @@ async function updateItemStock(itemId) {
         return;
     }
 
+    const seen = baseItem || currentInventory.find(i => (i.itemId || i.id) === itemId) || {};
+
     try {
-        await updateStock(itemId, newQuantity);
+        await updateStock(itemId, newQuantity, seen.lastUpdated, currentLocation || undefined);
         alert('Stock updated successfully');
         await loadInventory();
     } catch (error) {
-        alert(`Failed to update stock: ${error.message}`);
+        if (!error.conflict) {
+            alert(`Failed to update stock: ${error.message}`);
+            return;
+        }
+
+        const current = error.conflict;
+        const merged = Math.max(0, current.quantity + (newQuantity - seen.quantity));
+        const answer = prompt(
+            `${current.itemName} was changed by someone else while you were editing.\n\n` +
+            `You saw: ${seen.quantity}\n` +
+            `Now: ${current.quantity} (updated ${formatTimestamp(current.lastUpdated)})\n` +
+            `You entered: ${newQuantity}\n\n` +
+            `The suggested value applies your change on top of theirs. ` +
+            `Edit it and press OK to save, or Cancel to keep their update.`,
+            String(merged)
+        );
+
+        if (answer === null) {
+            await loadInventory();
+            return;
+        }
+
+        input.value = answer;
+        await updateItemStock(itemId, current);
+    }
+}
+
+/**
+ * Open the item editor, empty for a new item or pre-filled from the table
+ */
+function openItemEditor(itemId) {
+    const editor = document.getElementById('itemEditor');
+    if (!editor) return;
+
+    const found = itemId ? currentInventory.find(i => (i.itemId || i.id) === itemId) : null;
+    // In a location view, minimumStock and lastUpdated are the location's; edit the item's own
+    const item = found ? {
+        ...found,
+        minimumStock: found.itemMinimumStock ?? found.minimumStock,
+        lastUpdated: found.itemLastUpdated ?? found.lastUpdated,
+    } : null;
+    const isNew = !item;
+
+    editor.innerHTML = `
+        <h2>${isNew ? 'Add Item' : `Edit ${escapeHtml(item.itemName)}`}</h2>
+        <form id="itemForm">
+            <div class="form-group">
+                <label for="itemFormId">Item ID</label>
+                <input type="text" id="itemFormId" required
+                       value="${isNew ? '' : escapeHtml(item.itemId)}" ${isNew ? '' : 'readonly'}>
+            </div>
+            <div class="form-group">
+                <label for="itemFormName">Item Name</label>
+                <input type="text" id="itemFormName" required value="${isNew ? '' : escapeHtml(item.itemName)}">
+            </div>
+            <div class="form-group">
+                <label for="itemFormCategory">Category</label>
+                <input type="text" id="itemFormCategory" required value="${isNew ? '' : escapeHtml(item.category)}">
+            </div>
+            <div class="form-group">
+                <label for="itemFormMinimum">Minimum Stock</label>
+                <input type="number" id="itemFormMinimum" min="0" required value="${isNew ? 0 : item.minimumStock}">
+            </div>
+            <div class="form-group">
+                <label for="itemFormUnitCost">Unit Cost</label>
+                <input type="number" id="itemFormUnitCost" min="0" step="0.01" value="${isNew ? '' : item.unitCost ?? ''}">
+            </div>
+            <div class="form-group">
+                <label for="itemFormSellingPrice">Selling Price</label>
+                <input type="number" id="itemFormSellingPrice" min="0" step="0.01" value="${isNew ? '' : item.sellingPrice ?? ''}">
+            </div>
+            <div class="form-group">
+                <label for="itemFormBarcode">Barcode</label>
+                <input type="text" id="itemFormBarcode" maxlength="64" value="${isNew ? '' : escapeHtml(item.barcode ?? '')}">
+            </div>
+            ${isNew ? `
+                <div class="form-group">
+                    <label for="itemFormQuantity">Opening Quantity</label>
+                    <input type="number" id="itemFormQuantity" min="0" value="0">
+                </div>
+            ` : ''}
+            <div class="action-buttons">
+                <button type="submit" class="btn btn-primary">${isNew ? 'Create Item' : 'Save Changes'}</button>
+                <button type="button" id="itemFormCancel" class="btn btn-secondary">Cancel</button>
+            </div>
+        </form>
+    `;
+    editor.classList.add('show');
+    editor.scrollIntoView({ behavior: 'smooth' });
+
+    document.getElementById('itemFormCancel').addEventListener('click', closeItemEditor);
+    document.getElementById('itemForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const fields = {
+            itemName: document.getElementById('itemFormName').value,
+            category: document.getElementById('itemFormCategory').value,
+            minimumStock: parseInt(document.getElementById('itemFormMinimum').value),
+            // Blank clears the price
+            unitCost: document.getElementById('itemFormUnitCost').value,
+            sellingPrice: document.getElementById('itemFormSellingPrice').value,
+            // Blank clears the barcode
+            barcode: document.getElementById('itemFormBarcode').value,
+        };
+
+        try {
+            if (isNew) {
+                await createItem({
+                    itemId: document.getElementById('itemFormId').value,
+                    quantity: parseInt(document.getElementById('itemFormQuantity').value) || 0,
+                    ...fields,
+                });
+            } else {
+                await updateItem(item.itemId, { ...fields, lastUpdated: item.lastUpdated });
+            }
+            closeItemEditor();
+            await loadInventory();
+        } catch (error) {
+            alert(`Failed to save item: ${error.message}`);
+        }
+    });
+}
+
+function closeItemEditor() {
+    const editor = document.getElementById('itemEditor');
+    if (!editor) return;
+
+    editor.classList.remove('show');
+    editor.innerHTML = '';
+}
+
+/**
+ * Delete an item after confirmation, asking again if it still holds stock
+ */
+async function confirmDeleteItem(itemId) {
+    const item = currentInventory.find(i => (i.itemId || i.id) === itemId);
+    if (!item || !confirm(`Delete ${item.itemName} (${itemId})? This cannot be undone.`)) {
+        return;
+    }
+
+    const force = item.quantity > 0
+        && confirm(`${item.itemName} still has ${item.quantity} in stock. Delete it anyway?`);
+    if (item.quantity > 0 && !force) {
+        return;
+    }
+
+    try {
+        await deleteItem(itemId, force);
+        await loadInventory();
+    } catch (error) {
+        alert(`Failed to delete item: ${error.message}`);
     }
 }
 
+/**
+ * Show the stock movement ledger for one item
+ */
+async function showMovementHistory(itemId) {
+    const panel = document.getElementById('movementHistory');
+    if (!panel) return;
+
+    const item = currentInventory.find(i => (i.itemId || i.id) === itemId) || {};
+    const canUpdate = can('stock.adjust', item);
+
+    panel.innerHTML = `<h2>Movement History: ${escapeHtml(item.itemName || itemId)}</h2><p>Loading...</p>`;
+    panel.classList.add('show');
+
+    try {
+        const data = await getStockMovements(itemId);
+
+        let html = `<h2>Movement History: ${escapeHtml(item.itemName || itemId)}</h2>`;
+
+        if (hasMultipleLocations() && item.locations) {
+            html += renderLocationLevels(item);
+        }
+
+        if (canUpdate) {
+            html += renderMovementForm(itemId, data.reasonCodes || {});
+        }
+
+        if (data.movements.length === 0) {
+            html += '<p>No movements recorded for this item yet.</p>';
+        } else {
+            html += `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Type</th>
+                            ${hasMultipleLocations() ? '<th>Location</th>' : ''}
+                            <th>Change</th>
+                            <th>Reason</th>
+                            <th>User</th>
+                            <th>Reference</th>
+                            <th>Note</th>
+                            <th>Balance</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${data.movements.map(movement => `
+                            <tr>
+                                <td>${new Date(movement.timestamp).toLocaleString()}</td>
+                                <td>${movement.type}</td>
+                                ${hasMultipleLocations() ? `<td>${escapeHtml(movement.location)}</td>` : ''}
+                                <td class="${movement.delta < 0 ? 'low-stock' : ''}">${movement.delta > 0 ? '+' : ''}${movement.delta}</td>
+                                <td>${movement.reason}</td>
+                                <td>${escapeHtml(movement.user)}</td>
+                                <td>${escapeHtml(movement.reference)}</td>
+                                <td>${escapeHtml(movement.note)}</td>
+                                <td>${movement.balance}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        // Supplier terms and reorder figures, on dashboards that load suppliers.js
+        const showSuppliers = typeof showItemSuppliers === 'function' && can('suppliers.view');
+        if (showSuppliers) {
+            html += '<div id="itemSuppliers"></div>';
+        }
+
+        panel.innerHTML = html;
+
+        if (hasMultipleLocations() && item.locations) {
+            setupLocationLevels(item);
+        }
+        if (canUpdate) {
+            setupMovementForm(itemId, data.reasonCodes || {});
+        }
+        if (showSuppliers) {
+            showItemSuppliers(itemId);
+        }
+    } catch (error) {
+        panel.innerHTML = `
+            <h2>Movement History: ${escapeHtml(item.itemName || itemId)}</h2>
+            <div class="error-message show">Failed to load history: ${escapeHtml(error.message)}</div>
+        `;
+    }
+}
+
+/**
+ * Render an item's stock at each location, with minimum editing and a transfer form
+ */
+function renderLocationLevels(item) {
+    const canEditMinimum = can('items.edit', item);
+    const transferable = item.locations.filter(level => can('stock.adjust', { ...item, location: level.location }));
+
+    return `
+        <h3>Stock by Location</h3>
+        <table>
+            <thead>
+                <tr>
+                    <th>Location</th>
+                    <th>Quantity</th>
+                    <th>Minimum Stock</th>
+                    <th>Status</th>
+                    ${canEditMinimum ? '<th></th>' : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${item.locations.map(level => `
+                    <tr>
+                        <td>${escapeHtml(level.location)}</td>
+                        <td>${level.quantity}</td>
+                        <td>${level.minimumStock}</td>
+                        <td class="${level.quantity <= level.minimumStock ? 'low-stock' : ''}">
+                            ${level.quantity <= level.minimumStock ? '⚠️ Low Stock' : '✓ OK'}
+                        </td>
+                        ${canEditMinimum ? `
+                            <td>
+                                <button class="btn btn-secondary btn-small" data-edit-minimum="${escapeHtml(level.location)}">Edit Min</button>
+                            </td>
+                        ` : ''}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${transferable.length > 1 ? `
+            <form id="transferForm" class="inline-form">
+                <select id="transferFrom">
+                    ${transferable.map(level => `<option value="${escapeHtml(level.location)}">${escapeHtml(level.location)}</option>`).join('')}
+                </select>
+                →
+                <select id="transferTo">
+                    ${transferable.map((level, i) => `<option value="${escapeHtml(level.location)}" ${i === 1 ? 'selected' : ''}>${escapeHtml(level.location)}</option>`).join('')}
+                </select>
+                <input type="number" id="transferQuantity" class="stock-input" min="1" placeholder="Qty" required>
+                <input type="text" id="transferNote" placeholder="Note">
+                <button type="submit" class="btn btn-primary btn-small">Transfer</button>
+            </form>
+        ` : ''}
+    `;
+}
+
+function setupLocationLevels(item) {
+    const panel = document.getElementById('movementHistory');
+
+    panel.querySelectorAll('button[data-edit-minimum]').forEach(button => {
+        button.addEventListener('click', async () => {
+            const location = button.dataset.editMinimum;
+            const level = item.locations.find(l => l.location === location);
+            const answer = prompt(`Minimum stock for ${item.itemName} at ${location}:`, String(level.minimumStock));
+            if (answer === null) return;
+
+            try {
+                await setLocationMinimum(item.itemId, location, parseInt(answer));
+                await loadInventory();
+                await showMovementHistory(item.itemId);
+            } catch (error) {
+                alert(`Failed to update minimum stock: ${error.message}`);
+            }
+        });
+    });
+
+    const form = document.getElementById('transferForm');
+    if (!form) return;
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        try {
+            await createTransfer({
+                itemId: item.itemId,
+                from: document.getElementById('transferFrom').value,
+                to: document.getElementById('transferTo').value,
+                quantity: parseInt(document.getElementById('transferQuantity').value),
+                note: document.getElementById('transferNote').value,
+            });
+            await loadInventory();
+            await showMovementHistory(item.itemId);
+        } catch (error) {
+            alert(`Failed to transfer stock: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Render the record-movement form shown above the history table
+ * Transfers have their own form in the Stock by Location section.
+ */
+function renderMovementForm(itemId, reasonCodes) {
+    const types = Object.keys(reasonCodes).filter(type => type !== 'transfer');
+    const locations = locationConfig.locations.filter(location => can('stock.adjust', { location }));
+
+    return `
+        <form id="movementForm" class="inline-form">
+            ${locations.length > 1 ? `
+                <select id="movementLocation">
+                    ${locations.map(location => `
+                        <option value="${escapeHtml(location)}" ${location === (currentLocation || locationConfig.defaultLocation) ? 'selected' : ''}>
+                            ${escapeHtml(location)}
+                        </option>
+                    `).join('')}
+                </select>
+            ` : ''}
+            <select id="movementType">
+                ${types.map(type => `<option value="${type}">${type}</option>`).join('')}
+            </select>
+            <input type="number" id="movementDelta" class="stock-input" placeholder="+/- qty" required>
+            <input type="number" id="movementUnitCost" class="stock-input" min="0" step="0.01" placeholder="Unit cost">
+            <select id="movementReason"></select>
+            <input type="text" id="movementReference" placeholder="Reference">
+            <input type="text" id="movementNote" placeholder="Note">
+            <button type="submit" class="btn btn-primary btn-small">Record</button>
+        </form>
+    `;
+}
+
+function setupMovementForm(itemId, reasonCodes) {
+    const form = document.getElementById('movementForm');
+    const typeSelect = document.getElementById('movementType');
+    const reasonSelect = document.getElementById('movementReason');
+    if (!form) return;
+
+    const unitCostInput = document.getElementById('movementUnitCost');
+
+    const updateReasons = () => {
+        reasonSelect.innerHTML = (reasonCodes[typeSelect.value] || [])
+            .map(reason => `<option value="${reason}">${reason}</option>`)
+            .join('');
+        // Only receipts carry the price paid
+        unitCostInput.style.display = typeSelect.value === 'receipt' ? '' : 'none';
+        unitCostInput.value = '';
+    };
+    typeSelect.addEventListener('change', updateReasons);
+    updateReasons();
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const delta = parseInt(document.getElementById('movementDelta').value);
+        if (isNaN(delta) || delta === 0) {
+            alert('Please enter a non-zero quantity change');
+            return;
+        }
+
+        try {
+            await recordStockMovement({
+                itemId,
+                type: typeSelect.value,
+                delta,
+                reason: reasonSelect.value,
+                reference: document.getElementById('movementReference').value,
+                note: document.getElementById('movementNote').value,
+                location: document.getElementById('movementLocation')?.value || currentLocation || undefined,
+                unitCost: typeSelect.value === 'receipt' ? unitCostInput.value : undefined,
+            });
+            await loadInventory();
+            await showMovementHistory(itemId);
+        } catch (error) {
+            alert(`Failed to record movement: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Show the current user's active sessions with the option to end them
+ */
+async function showSessions() {
+    const panel = document.getElementById('sessionList');
+    if (!panel) return;
+
+    panel.classList.add('show');
+
+    try {
+        const data = await getSessions();
+
+        panel.innerHTML = `
+            <h2>Active Sessions</h2>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Device</th>
+                        <th>IP Address</th>
+                        <th>Signed In</th>
+                        <th>Last Active</th>
+                        <th>Action</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.sessions.map(session => `
+                        <tr>
+                            <td>${escapeHtml(session.userAgent || 'Unknown')}${session.current ? ' <strong>(this device)</strong>' : ''}</td>
+                            <td>${escapeHtml(session.ip)}</td>
+                            <td>${formatTimestamp(session.createdAt)}</td>
+                            <td>${formatTimestamp(session.lastUsedAt)}</td>
+                            <td>
+                                <button class="btn btn-danger btn-small"
+                                        data-session-id="${escapeHtml(session.sessionId)}"
+                                        data-current="${session.current}">
+                                    ${session.current ? 'Log Out' : 'Revoke'}
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        panel.querySelectorAll('button[data-session-id]').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (button.dataset.current === 'true') {
+                    logout();
+                    return;
+                }
+                try {
+                    await revokeSession(button.dataset.sessionId);
+                    await showSessions();
+                } catch (error) {
+                    alert(`Failed to revoke session: ${error.message}`);
+                }
+            });
+        });
+    } catch (error) {
+        panel.innerHTML = `
+            <h2>Active Sessions</h2>
+            <div class="error-message show">Failed to load sessions: ${escapeHtml(error.message)}</div>
+        `;
+    }
+}
+
+/**
+ * Format a lastUpdated value, which may be a plain date or a full ISO timestamp
+ */
+function formatTimestamp(value) {
+    if (!value) return 'N/A';
+    return value.includes('T') ? new Date(value).toLocaleString() : value;
+}
+
+/**
+ * Escape user-entered text before inserting it into HTML
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Generate AI report
  */
@@ -188,14 +910,22 @@ async function generateReport() {
 
     try {
         const data = await generateAIReport();
-        
+
         if (aiReport && data.report) {
+            currentReportText = data.text || '';
             aiReport.innerHTML = `
                 <h2>AI-Generated Inventory Report</h2>
+                ${data.structured === false ? `
+                    <p class="freshness">The AI response could not be used, so this report was computed from the stock figures.</p>
+                ` : ''}
                 <div class="ai-report-content">${formatAIReport(data.report)}</div>
             `;
             aiReport.classList.add('show');
         }
+
+        if (typeof refreshReportHistory === 'function') {
+            await refreshReportHistory();
+        }
     } catch (error) {
         if (errorMessage) {
             errorMessage.textContent = `Failed to generate report: ${error.message}`;
@@ -206,28 +936,42 @@ async function generateReport() {
 
 /**
  * Format AI report for display
+ * Structured reports list restock items with quantity, priority and rationale.
  */
 function formatAIReport(report) {
     if (typeof report === 'string') {
         // If report is plain text, preserve line breaks
-        return report.replace(/\n/g, '<br>');
+        return escapeHtml(report).replace(/\n/g, '<br>');
     } else if (typeof report === 'object') {
         // If report is structured JSON
         let html = '';
         if (report.summary) {
-            html += `<p><strong>Summary:</strong> ${report.summary}</p>`;
+            html += `<p><strong>Summary:</strong> ${escapeHtml(report.summary)}</p>`;
         }
         if (report.lowStockItems && Array.isArray(report.lowStockItems)) {
             html += '<h3>Low Stock Items:</h3><ul>';
             report.lowStockItems.forEach(item => {
-                html += `<li>${item}</li>`;
+                html += typeof item === 'string' ? `<li>${escapeHtml(item)}</li>` : `
+                    <li>
+                        <span class="${item.priority === 'high' ? 'low-stock' : ''}">[${escapeHtml(item.priority)}]</span>
+                        <strong>${escapeHtml(item.itemName || item.itemId)}</strong> (${escapeHtml(item.itemId)}):
+                        order ${item.restockQuantity}. ${escapeHtml(item.rationale)}
+                    </li>
+                `;
             });
             html += '</ul>';
         }
         if (report.recommendations && Array.isArray(report.recommendations)) {
             html += '<h3>Recommendations:</h3><ul>';
             report.recommendations.forEach(rec => {
-                html += `<li>${rec}</li>`;
+                html += `<li>${escapeHtml(rec)}</li>`;
+            });
+            html += '</ul>';
+        }
+        if (report.insights && report.insights.length) {
+            html += '<h3>Insights:</h3><ul>';
+            report.insights.forEach(insight => {
+                html += `<li>${escapeHtml(insight)}</li>`;
             });
             html += '</ul>';
         }
@@ -248,7 +992,7 @@ async function sendReportToTelegram() {
         return;
     }
 
-    const reportText = aiReport.querySelector('.ai-report-content').textContent;
+    const reportText = currentReportText || aiReport.querySelector('.ai-report-content').textContent;
 
     try {
         await sendToTelegram(reportText);
@@ -261,6 +1005,9 @@ async function sendReportToTelegram() {
     }
 }
 
-// Make updateItemStock available globally
+// Make table actions available globally
 window.updateItemStock = updateItemStock;
+window.showMovementHistory = showMovementHistory;
+window.openItemEditor = openItemEditor;
+window.confirmDeleteItem = confirmDeleteItem;
 
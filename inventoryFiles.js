@@ -0,0 +1,179 @@
+/**
+ * Inventory File Controller
+ * Export and import buttons and the import preview, loaded by the manager and admin dashboards after dashboard.js
+ */
+
+const IMPORT_FIELD_LABELS = {
+    itemName: 'Name',
+    category: 'Category',
+    quantity: 'Quantity',
+    minimumStock: 'Minimum',
+    unitCost: 'Unit Cost',
+    sellingPrice: 'Selling Price',
+    barcode: 'Barcode',
+};
+
+const IMPORT_ACTION_LABELS = {
+    create: 'New item',
+    update: 'Change',
+    unchanged: 'No change',
+    invalid: 'Invalid',
+};
+
+/**
+ * Initialize export and import controls
+ * Runs after initializeDashboard so the user's permissions and location filter are loaded
+ */
+async function initializeInventoryFiles() {
+    const exportFormat = document.getElementById('exportFormat');
+    if (exportFormat && !can('inventory.view')) {
+        exportFormat.style.display = 'none';
+    }
+    setupButton('exportBtn', 'inventory.view', handleExportInventory);
+
+    const importFile = document.getElementById('importFile');
+    setupButton('importBtn', 'import.preview', () => importFile.click());
+    if (importFile) {
+        importFile.addEventListener('change', handleImportFile);
+    }
+}
+
+/**
+ * Download the inventory shown, at the selected location, in the chosen format
+ */
+async function handleExportInventory() {
+    const format = document.getElementById('exportFormat').value;
+
+    try {
+        const { blob, filename } = await exportInventory(format, currentLocation);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        alert(`Export failed: ${error.message}`);
+    }
+}
+
+/**
+ * Preview the chosen file against the inventory
+ * Quantities in the file are compared with, and would be set at, the selected location
+ */
+async function handleImportFile(e) {
+    const file = e.target.files[0];
+    // Clear the input so choosing the same file again still triggers a preview
+    e.target.value = '';
+    if (!file) return;
+
+    const format = file.name.split('.').pop().toLowerCase();
+    const panel = document.getElementById('importPreview');
+    panel.innerHTML = `<h2>Import ${escapeHtml(file.name)}</h2><p>Checking the file...</p>`;
+    panel.classList.add('show');
+
+    try {
+        const data = await previewImport(file, format, currentLocation);
+        renderImportPreview(file.name, data);
+    } catch (error) {
+        panel.innerHTML = `
+            <h2>Import ${escapeHtml(file.name)}</h2>
+            <div class="error-message show">${escapeHtml(error.message)}</div>
+            <button class="btn btn-secondary btn-small" data-import-action="close">Close</button>
+        `;
+        panel.querySelector('[data-import-action="close"]').addEventListener('click', closeImportPreview);
+    }
+}
+
+function renderImportPreview(filename, data) {
+    const panel = document.getElementById('importPreview');
+    const { summary } = data;
+
+    let status;
+    if (summary.invalid > 0) {
+        status = 'Fix the invalid rows and import the file again; nothing has been changed.';
+    } else if (!data.importId) {
+        status = 'The file matches the inventory; there is nothing to import.';
+    } else if (!can('import.apply')) {
+        status = 'An admin has to apply imports. Send them the file.';
+    } else {
+        status = `Nothing has been changed yet. Apply before ${formatTimestamp(data.expiresAt)}.`;
+    }
+
+    const rows = data.rows.filter(row => row.action !== 'unchanged');
+
+    panel.innerHTML = `
+        <h2>Import ${escapeHtml(filename)}</h2>
+        <p>
+            <strong>New items:</strong> ${summary.create}
+            &nbsp; <strong>Changed:</strong> ${summary.update}
+            &nbsp; <strong>Unchanged:</strong> ${summary.unchanged}
+            &nbsp; <strong>Invalid:</strong> ${summary.invalid}
+            &nbsp; <strong>Location:</strong> ${escapeHtml(data.location)}
+        </p>
+        <p>${escapeHtml(status)}</p>
+        ${rows.length ? `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Row</th>
+                        <th>Item ID</th>
+                        <th>Action</th>
+                        <th>Changes</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="${row.action === 'invalid' ? 'low-stock' : ''}">
+                            <td>${row.row}</td>
+                            <td>${escapeHtml(row.itemId)}</td>
+                            <td>${IMPORT_ACTION_LABELS[row.action] || escapeHtml(row.action)}</td>
+                            <td>${row.error ? escapeHtml(row.error) : formatImportChanges(row)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+        <div class="inline-form">
+            ${data.importId && can('import.apply') ? '<button class="btn btn-primary btn-small" data-import-action="apply">Apply Import</button>' : ''}
+            <button class="btn btn-secondary btn-small" data-import-action="close">${data.importId && can('import.apply') ? 'Discard' : 'Close'}</button>
+        </div>
+    `;
+
+    panel.querySelector('[data-import-action="apply"]')?.addEventListener('click', () => runApplyImport(filename, data));
+    panel.querySelector('[data-import-action="close"]').addEventListener('click', closeImportPreview);
+}
+
+function formatImportChanges(row) {
+    return Object.entries(row.changes)
+        .filter(([field]) => IMPORT_FIELD_LABELS[field])
+        .map(([field, { from, to }]) => row.action === 'create'
+            ? `${IMPORT_FIELD_LABELS[field]}: ${escapeHtml(to)}`
+            : `${IMPORT_FIELD_LABELS[field]}: ${escapeHtml(from ?? '-')} → ${escapeHtml(to ?? '-')}`)
+        .join('<br>');
+}
+
+async function runApplyImport(filename, data) {
+    const { summary } = data;
+    if (!confirm(`Create ${summary.create} and change ${summary.update} item(s) at ${data.location}?`)) return;
+
+    const panel = document.getElementById('importPreview');
+
+    try {
+        const result = await applyImport(data.importId);
+        panel.innerHTML = `
+            <h2>Import ${escapeHtml(filename)}</h2>
+            <p>Created ${result.created.length} and changed ${result.updated.length} item(s); ${result.movements.length} stock movement(s) recorded under ${escapeHtml(result.importId)}.</p>
+            <button class="btn btn-secondary btn-small" data-import-action="close">Close</button>
+        `;
+        panel.querySelector('[data-import-action="close"]').addEventListener('click', closeImportPreview);
+        await loadInventory();
+    } catch (error) {
+        alert(`Import failed: ${error.message}`);
+    }
+}
+
+function closeImportPreview() {
+    const panel = document.getElementById('importPreview');
+    panel.classList.remove('show');
+    panel.innerHTML = '';
+}
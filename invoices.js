@@ -0,0 +1,321 @@
+/**
+ * Invoice Controller
+ * Invoice list, create form and detail panels, loaded by every dashboard after dashboard.js
+ */
+
+const INVOICE_STATUS_LABELS = {
+    pending: 'Pending',
+    paying: 'Being paid',
+    paid: 'Paid',
+    cancelled: 'Cancelled',
+};
+
+// Lines added to the create form but not yet submitted
+const draftInvoiceLines = [];
+
+/**
+ * Initialize invoice panels
+ * Runs after initializeDashboard so the user's permissions and inventory are loaded
+ */
+async function initializeInvoices() {
+    const panel = document.getElementById('invoices');
+    if (!panel) return;
+
+    if (!can('invoices.view')) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    const form = document.getElementById('createInvoiceForm');
+    if (form) {
+        if (can('invoices.edit')) {
+            form.addEventListener('submit', handleCreateInvoice);
+            document.getElementById('addInvoiceLineBtn').addEventListener('click', addInvoiceLine);
+            // Refill on focus so items added since the page loaded can be chosen
+            const itemSelect = document.getElementById('newInvoiceItem');
+            itemSelect.addEventListener('focus', fillInvoiceItemOptions);
+            itemSelect.addEventListener('change', () => {
+                const item = currentInventory.find(i => i.itemId === itemSelect.value);
+                document.getElementById('newInvoicePrice').value = item?.sellingPrice ?? '';
+            });
+            fillInvoiceItemOptions();
+        } else {
+            form.style.display = 'none';
+        }
+    }
+
+    const statusFilter = document.getElementById('invoiceStatusFilter');
+    if (statusFilter) {
+        statusFilter.addEventListener('change', loadInvoices);
+    }
+
+    await loadInvoices();
+}
+
+/**
+ * Load and display invoices
+ */
+async function loadInvoices() {
+    const invoiceTable = document.getElementById('invoiceTable');
+    if (!invoiceTable) return;
+
+    const status = document.getElementById('invoiceStatusFilter')?.value || '';
+
+    try {
+        const data = await listInvoices(status);
+        renderInvoiceTable(data.invoices);
+    } catch (error) {
+        invoiceTable.innerHTML = `<div class="error-message show">Failed to load invoices: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Render invoice list
+ */
+function renderInvoiceTable(invoices) {
+    const invoiceTable = document.getElementById('invoiceTable');
+
+    if (invoices.length === 0) {
+        invoiceTable.innerHTML = '<p>No invoices.</p>';
+        return;
+    }
+
+    invoiceTable.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Invoice</th>
+                    <th>Status</th>
+                    <th>Customer</th>
+                    <th>Lines</th>
+                    <th>Total</th>
+                    <th>Created</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${invoices.map(invoice => `
+                    <tr>
+                        <td>${escapeHtml(invoice.invoiceId)}</td>
+                        <td>${INVOICE_STATUS_LABELS[invoice.status] || escapeHtml(invoice.status)}</td>
+                        <td>${escapeHtml(invoice.customer)}</td>
+                        <td>${invoice.lines.length}</td>
+                        <td>${formatMoney(invoice.total)}</td>
+                        <td>${formatTimestamp(invoice.createdAt)} by ${escapeHtml(invoice.createdBy)}</td>
+                        <td>
+                            <button class="btn btn-secondary btn-small" data-invoice-id="${escapeHtml(invoice.invoiceId)}">View</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    invoiceTable.querySelectorAll('button[data-invoice-id]').forEach(button => {
+        button.addEventListener('click', () => showInvoice(button.dataset.invoiceId));
+    });
+}
+
+function fillInvoiceItemOptions() {
+    const select = document.getElementById('newInvoiceItem');
+    const selected = select.value;
+
+    select.innerHTML = '<option value="">Item...</option>' + currentInventory.map(item => `
+        <option value="${escapeHtml(item.itemId)}">${escapeHtml(item.itemName)} (${escapeHtml(item.itemId)})</option>
+    `).join('');
+    select.value = selected;
+}
+
+/**
+ * Add the chosen item, quantity and price to the invoice being created
+ */
+function addInvoiceLine() {
+    const itemId = document.getElementById('newInvoiceItem').value;
+    const quantity = parseInt(document.getElementById('newInvoiceQuantity').value);
+    const unitPrice = parseFloat(document.getElementById('newInvoicePrice').value);
+
+    if (!itemId || !(quantity > 0) || !(unitPrice >= 0)) {
+        alert('Choose an item and enter a quantity and unit price.');
+        return;
+    }
+
+    const existing = draftInvoiceLines.find(line => line.itemId === itemId);
+    if (existing) {
+        Object.assign(existing, { quantity, unitPrice });
+    } else {
+        draftInvoiceLines.push({ itemId, quantity, unitPrice });
+    }
+
+    document.getElementById('newInvoiceQuantity').value = 1;
+    document.getElementById('newInvoicePrice').value = '';
+    renderDraftInvoiceLines();
+}
+
+function renderDraftInvoiceLines() {
+    const container = document.getElementById('newInvoiceLines');
+
+    if (draftInvoiceLines.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const total = draftInvoiceLines.reduce((sum, line) => sum + line.quantity * line.unitPrice, 0);
+    container.innerHTML = `
+        <table>
+            <tbody>
+                ${draftInvoiceLines.map((line, index) => `
+                    <tr>
+                        <td>${escapeHtml(invoiceItemLabel(line.itemId))}</td>
+                        <td>${line.quantity} x ${formatMoney(line.unitPrice)}</td>
+                        <td>${formatMoney(line.quantity * line.unitPrice)}</td>
+                        <td><button type="button" class="btn btn-danger btn-small" data-remove-line="${index}">Remove</button></td>
+                    </tr>
+                `).join('')}
+                <tr><td colspan="2"><strong>Total</strong></td><td><strong>${formatMoney(total)}</strong></td><td></td></tr>
+            </tbody>
+        </table>
+    `;
+
+    container.querySelectorAll('button[data-remove-line]').forEach(button => {
+        button.addEventListener('click', () => {
+            draftInvoiceLines.splice(parseInt(button.dataset.removeLine), 1);
+            renderDraftInvoiceLines();
+        });
+    });
+}
+
+/**
+ * Create an invoice from the form
+ * Stock is issued at the location selected in the inventory filter
+ */
+async function handleCreateInvoice(e) {
+    e.preventDefault();
+
+    if (draftInvoiceLines.length === 0) {
+        alert('Add at least one line first.');
+        return;
+    }
+
+    const paid = document.getElementById('newInvoicePaid').checked;
+
+    try {
+        const data = await createInvoice({
+            customer: document.getElementById('newInvoiceCustomer').value,
+            note: document.getElementById('newInvoiceNote').value,
+            lines: draftInvoiceLines,
+            location: currentLocation || undefined,
+            status: paid ? 'paid' : 'pending',
+        });
+
+        e.target.reset();
+        draftInvoiceLines.length = 0;
+        renderDraftInvoiceLines();
+
+        if (paid) {
+            await loadInventory();
+        }
+        await loadInvoices();
+        await showInvoice(data.invoice.invoiceId);
+    } catch (error) {
+        alert(`Failed to create invoice: ${error.message}`);
+    }
+}
+
+/**
+ * Show an invoice with the actions its status allows
+ */
+async function showInvoice(invoiceId) {
+    const panel = document.getElementById('invoiceDetail');
+    if (!panel) return;
+
+    panel.innerHTML = `<h2>Invoice ${escapeHtml(invoiceId)}</h2><p>Loading...</p>`;
+    panel.classList.add('show');
+
+    try {
+        const data = await getInvoice(invoiceId);
+        renderInvoiceDetail(data.invoice);
+    } catch (error) {
+        panel.innerHTML = `
+            <h2>Invoice ${escapeHtml(invoiceId)}</h2>
+            <div class="error-message show">Failed to load invoice: ${escapeHtml(error.message)}</div>
+        `;
+    }
+}
+
+function renderInvoiceDetail(invoice) {
+    const panel = document.getElementById('invoiceDetail');
+    const isPending = invoice.status === 'pending';
+    const nothingIssued = invoice.lines.every(line => line.issued === 0);
+
+    const actions = [
+        can('invoices.edit') && isPending && '<button class="btn btn-primary btn-small" data-invoice-action="pay">Mark as Paid</button>',
+        can('invoices.edit') && isPending && nothingIssued && '<button class="btn btn-danger btn-small" data-invoice-action="cancel">Cancel Invoice</button>',
+    ].filter(Boolean);
+
+    panel.innerHTML = `
+        <h2>Invoice ${escapeHtml(invoice.invoiceId)}</h2>
+        <p>
+            <strong>Status:</strong> ${INVOICE_STATUS_LABELS[invoice.status] || escapeHtml(invoice.status)}
+            &nbsp; <strong>Customer:</strong> ${escapeHtml(invoice.customer)}
+            &nbsp; <strong>Location:</strong> ${escapeHtml(invoice.location)}
+            ${invoice.paidAt ? `&nbsp; <strong>Paid:</strong> ${formatTimestamp(invoice.paidAt)} by ${escapeHtml(invoice.paidBy)}` : ''}
+        </p>
+        ${invoice.note ? `<p><strong>Note:</strong> ${escapeHtml(invoice.note)}</p>` : ''}
+        <table>
+            <thead>
+                <tr>
+                    <th>Item</th>
+                    <th>Quantity</th>
+                    <th>Unit Price</th>
+                    <th>Amount</th>
+                    <th>Issued</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${invoice.lines.map(line => `
+                    <tr>
+                        <td>${escapeHtml(invoiceItemLabel(line.itemId))}</td>
+                        <td>${line.quantity}</td>
+                        <td>${formatMoney(line.unitPrice)}</td>
+                        <td>${formatMoney(line.quantity * line.unitPrice)}</td>
+                        <td>${line.issued}</td>
+                    </tr>
+                `).join('')}
+                <tr><td colspan="3"><strong>Total</strong></td><td><strong>${formatMoney(invoice.total)}</strong></td><td></td></tr>
+            </tbody>
+        </table>
+        <div class="inline-form">${actions.join('')}</div>
+    `;
+
+    panel.querySelectorAll('button[data-invoice-action]').forEach(button => {
+        button.addEventListener('click', () => runInvoiceAction(invoice, button.dataset.invoiceAction));
+    });
+}
+
+/**
+ * Handle a button in the invoice detail view
+ */
+async function runInvoiceAction(invoice, action) {
+    if (action === 'cancel' && !confirm(`Cancel ${invoice.invoiceId}?`)) return;
+
+    try {
+        await invoiceAction(invoice.invoiceId, action);
+        if (action === 'pay') {
+            await loadInventory();
+        }
+    } catch (error) {
+        alert(`Invoice update failed: ${error.message}`);
+    }
+
+    await loadInvoices();
+    await showInvoice(invoice.invoiceId);
+}
+
+function invoiceItemLabel(itemId) {
+    const item = currentInventory.find(i => i.itemId === itemId);
+    return item ? `${item.itemName} (${itemId})` : itemId;
+}
+
+function formatMoney(value) {
+    return Number(value).toFixed(2);
+}
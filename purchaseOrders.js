@@ -0,0 +1,254 @@
+/**
+ * Purchase Order Controller
+ * PO list and detail panels, loaded by the manager and admin dashboards after dashboard.js
+ */
+
+const PO_STATUS_LABELS = {
+    draft: 'Draft',
+    approved: 'Approved',
+    sent: 'Sent',
+    receiving: 'Being received',
+    partially_received: 'Partially received',
+    received: 'Received',
+    cancelled: 'Cancelled',
+};
+
+/**
+ * Initialize purchase order panels
+ * Runs after initializeDashboard so the user's permissions are loaded
+ */
+async function initializePurchaseOrders() {
+    const panel = document.getElementById('purchaseOrders');
+    if (!panel) return;
+
+    if (!can('po.view')) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    const draftBtn = document.getElementById('draftPoBtn');
+    if (draftBtn) {
+        if (can('po.edit')) {
+            draftBtn.addEventListener('click', draftFromLowStock);
+        } else {
+            draftBtn.style.display = 'none';
+        }
+    }
+
+    const statusFilter = document.getElementById('poStatusFilter');
+    if (statusFilter) {
+        statusFilter.addEventListener('change', loadPurchaseOrders);
+    }
+
+    await loadPurchaseOrders();
+}
+
+/**
+ * Load and display purchase orders
+ */
+async function loadPurchaseOrders() {
+    const poTable = document.getElementById('poTable');
+    if (!poTable) return;
+
+    const status = document.getElementById('poStatusFilter')?.value || '';
+
+    try {
+        const data = await listPurchaseOrders(status);
+        renderPurchaseOrderTable(data.purchaseOrders);
+    } catch (error) {
+        poTable.innerHTML = `<div class="error-message show">Failed to load purchase orders: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Render purchase order list
+ */
+function renderPurchaseOrderTable(purchaseOrders) {
+    const poTable = document.getElementById('poTable');
+
+    if (purchaseOrders.length === 0) {
+        poTable.innerHTML = '<p>No purchase orders.</p>';
+        return;
+    }
+
+    poTable.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>PO</th>
+                    <th>Status</th>
+                    <th>Supplier</th>
+                    <th>Lines</th>
+                    <th>Created</th>
+                    <th>Updated</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${purchaseOrders.map(po => `
+                    <tr>
+                        <td>${escapeHtml(po.poId)}</td>
+                        <td>${PO_STATUS_LABELS[po.status] || escapeHtml(po.status)}</td>
+                        <td>${escapeHtml(po.supplier || '-')}</td>
+                        <td>${po.lines.length}</td>
+                        <td>${formatTimestamp(po.createdAt)} by ${escapeHtml(po.createdBy)}</td>
+                        <td>${formatTimestamp(po.updatedAt)}</td>
+                        <td>
+                            <button class="btn btn-secondary btn-small" data-po-id="${escapeHtml(po.poId)}">View</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    poTable.querySelectorAll('button[data-po-id]').forEach(button => {
+        button.addEventListener('click', () => showPurchaseOrder(button.dataset.poId));
+    });
+}
+
+/**
+ * Draft a PO for every low-stock item with suggested quantities
+ */
+async function draftFromLowStock() {
+    const supplier = prompt('Supplier for the new purchase order (optional):', '');
+    if (supplier === null) return;
+
+    try {
+        const data = await createPurchaseOrder({ fromLowStock: true, supplier });
+        await loadPurchaseOrders();
+        await showPurchaseOrder(data.purchaseOrder.poId);
+    } catch (error) {
+        alert(`Failed to draft purchase order: ${error.message}`);
+    }
+}
+
+/**
+ * Show a purchase order with the actions its status allows
+ */
+async function showPurchaseOrder(poId) {
+    const panel = document.getElementById('poDetail');
+    if (!panel) return;
+
+    panel.innerHTML = `<h2>Purchase Order ${escapeHtml(poId)}</h2><p>Loading...</p>`;
+    panel.classList.add('show');
+
+    try {
+        const data = await getPurchaseOrder(poId);
+        renderPurchaseOrderDetail(data.purchaseOrder);
+    } catch (error) {
+        panel.innerHTML = `
+            <h2>Purchase Order ${escapeHtml(poId)}</h2>
+            <div class="error-message show">Failed to load purchase order: ${escapeHtml(error.message)}</div>
+        `;
+    }
+}
+
+function renderPurchaseOrderDetail(po) {
+    const panel = document.getElementById('poDetail');
+    const isDraft = po.status === 'draft';
+    const canReceive = can('po.receive') && ['sent', 'partially_received'].includes(po.status);
+    const canEditLines = can('po.edit') && isDraft;
+
+    const actions = [
+        canEditLines && '<button class="btn btn-secondary btn-small" data-po-action="edit">Edit Supplier / Note</button>',
+        can('po.approve') && isDraft && '<button class="btn btn-primary btn-small" data-po-action="approve">Approve</button>',
+        can('po.edit') && po.status === 'approved' && '<button class="btn btn-primary btn-small" data-po-action="send">Mark as Sent</button>',
+        canReceive && '<button class="btn btn-primary btn-small" data-po-action="receive">Receive Entered</button>',
+        canReceive && '<button class="btn btn-primary btn-small" data-po-action="receive-all">Receive All</button>',
+        can('po.edit') && ['draft', 'approved', 'sent'].includes(po.status) && '<button class="btn btn-danger btn-small" data-po-action="cancel">Cancel PO</button>',
+    ].filter(Boolean);
+
+    panel.innerHTML = `
+        <h2>Purchase Order ${escapeHtml(po.poId)}</h2>
+        <p>
+            <strong>Status:</strong> ${PO_STATUS_LABELS[po.status] || escapeHtml(po.status)}
+            &nbsp; <strong>Supplier:</strong> ${escapeHtml(po.supplier || '-')}
+            ${po.approvedBy ? `&nbsp; <strong>Approved by:</strong> ${escapeHtml(po.approvedBy)}` : ''}
+            ${po.sentAt ? `&nbsp; <strong>Sent:</strong> ${formatTimestamp(po.sentAt)}` : ''}
+        </p>
+        ${po.note ? `<p><strong>Note:</strong> ${escapeHtml(po.note)}</p>` : ''}
+        <table>
+            <thead>
+                <tr>
+                    <th>Item</th>
+                    <th>Ordered</th>
+                    <th>Received</th>
+                    <th>Outstanding</th>
+                    ${canReceive ? '<th>Receive</th>' : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${po.lines.map(line => {
+                    const item = currentInventory.find(i => i.itemId === line.itemId);
+                    const outstanding = line.quantity - line.received;
+                    return `
+                        <tr>
+                            <td>${escapeHtml(item ? `${item.itemName} (${line.itemId})` : line.itemId)}</td>
+                            <td>
+                                ${canEditLines
+                                    ? `<input type="number" class="stock-input" min="0" value="${line.quantity}" data-po-line="${escapeHtml(line.itemId)}">`
+                                    : line.quantity}
+                            </td>
+                            <td>${line.received}</td>
+                            <td>${outstanding}</td>
+                            ${canReceive ? `
+                                <td>
+                                    <input type="number" class="stock-input" min="0" max="${outstanding}" value="0"
+                                           data-receive-line="${escapeHtml(line.itemId)}" ${outstanding === 0 ? 'disabled' : ''}>
+                                </td>
+                            ` : ''}
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+        ${canEditLines ? '<p><button class="btn btn-secondary btn-small" data-po-action="save-lines">Save Quantities</button> Set a quantity to 0 to remove the line.</p>' : ''}
+        <div class="inline-form">${actions.join('')}</div>
+    `;
+
+    panel.querySelectorAll('button[data-po-action]').forEach(button => {
+        button.addEventListener('click', () => runPurchaseOrderAction(po, button.dataset.poAction));
+    });
+}
+
+/**
+ * Handle a button in the PO detail view
+ */
+async function runPurchaseOrderAction(po, action) {
+    const panel = document.getElementById('poDetail');
+
+    try {
+        if (action === 'edit') {
+            const supplier = prompt('Supplier:', po.supplier);
+            if (supplier === null) return;
+            const note = prompt('Note:', po.note);
+            if (note === null) return;
+            await updatePurchaseOrder(po.poId, { supplier, note, updatedAt: po.updatedAt });
+        } else if (action === 'save-lines') {
+            const lines = [...panel.querySelectorAll('input[data-po-line]')]
+                .map(input => ({ itemId: input.dataset.poLine, quantity: parseInt(input.value) || 0 }))
+                .filter(line => line.quantity > 0);
+            await updatePurchaseOrder(po.poId, { lines, updatedAt: po.updatedAt });
+        } else if (action === 'receive' || action === 'receive-all') {
+            const lines = action === 'receive-all' ? null : [...panel.querySelectorAll('input[data-receive-line]')]
+                .map(input => ({ itemId: input.dataset.receiveLine, quantity: parseInt(input.value) || 0 }))
+                .filter(line => line.quantity > 0);
+            if (lines && lines.length === 0) {
+                alert('Enter the quantities received first.');
+                return;
+            }
+            // Goods are received at the location selected in the inventory filter
+            await receivePurchaseOrder(po.poId, lines, currentLocation || undefined);
+            await loadInventory();
+        } else {
+            if (action === 'cancel' && !confirm(`Cancel ${po.poId}?`)) return;
+            await purchaseOrderAction(po.poId, action);
+        }
+    } catch (error) {
+        alert(`Purchase order update failed: ${error.message}`);
+    }
+
+    await loadPurchaseOrders();
+    await showPurchaseOrder(po.poId);
+}
@@ -0,0 +1,277 @@
+/**
+ * Supplier Controller
+ * Supplier directory and the item view's supplier/reorder section,
+ * loaded by the manager and admin dashboards after dashboard.js
+ */
+
+let supplierDirectory = [];
+
+/**
+ * Initialize the supplier directory panel
+ * Runs after initializeDashboard so the user's permissions are loaded
+ */
+async function initializeSuppliers() {
+    const panel = document.getElementById('suppliers');
+    if (!panel) return;
+
+    if (!can('suppliers.view')) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    const form = document.getElementById('createSupplierForm');
+    if (form) {
+        if (can('suppliers.edit')) {
+            form.addEventListener('submit', handleCreateSupplier);
+        } else {
+            form.style.display = 'none';
+        }
+    }
+
+    await loadSuppliers();
+}
+
+/**
+ * Load and display suppliers
+ */
+async function loadSuppliers() {
+    const supplierTable = document.getElementById('supplierTable');
+
+    try {
+        const data = await listSuppliers();
+        supplierDirectory = data.suppliers;
+        if (supplierTable) {
+            renderSupplierTable(supplierDirectory);
+        }
+    } catch (error) {
+        if (supplierTable) {
+            supplierTable.innerHTML = `<div class="error-message show">Failed to load suppliers: ${escapeHtml(error.message)}</div>`;
+        }
+    }
+}
+
+/**
+ * Render supplier directory
+ */
+function renderSupplierTable(suppliers) {
+    const supplierTable = document.getElementById('supplierTable');
+    const canEdit = can('suppliers.edit');
+
+    if (suppliers.length === 0) {
+        supplierTable.innerHTML = '<p>No suppliers yet.</p>';
+        return;
+    }
+
+    supplierTable.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Name</th>
+                    <th>Contact</th>
+                    <th>Email</th>
+                    <th>Phone</th>
+                    <th>Lead Time</th>
+                    <th>Items</th>
+                    ${canEdit ? '<th>Actions</th>' : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${suppliers.map(supplier => `
+                    <tr>
+                        <td>${escapeHtml(supplier.name)}</td>
+                        <td>${escapeHtml(supplier.contactName)}</td>
+                        <td>${escapeHtml(supplier.email)}</td>
+                        <td>${escapeHtml(supplier.phone)}</td>
+                        <td>${supplier.leadTimeDays} days</td>
+                        <td>${supplier.items.length}</td>
+                        ${canEdit ? `
+                            <td>
+                                <button class="btn btn-secondary btn-small" data-edit-supplier="${escapeHtml(supplier.supplierId)}">Edit</button>
+                                <button class="btn btn-danger btn-small" data-delete-supplier="${escapeHtml(supplier.supplierId)}">Delete</button>
+                            </td>
+                        ` : ''}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    supplierTable.querySelectorAll('button[data-edit-supplier]').forEach(button => {
+        const supplier = suppliers.find(s => s.supplierId === button.dataset.editSupplier);
+        button.addEventListener('click', () => editSupplier(supplier));
+    });
+    supplierTable.querySelectorAll('button[data-delete-supplier]').forEach(button => {
+        const supplier = suppliers.find(s => s.supplierId === button.dataset.deleteSupplier);
+        button.addEventListener('click', () => confirmDeleteSupplier(supplier));
+    });
+}
+
+/**
+ * Add a supplier from the form
+ */
+async function handleCreateSupplier(e) {
+    e.preventDefault();
+    const form = e.target;
+
+    try {
+        await createSupplier({
+            name: document.getElementById('newSupplierName').value,
+            contactName: document.getElementById('newSupplierContact').value,
+            email: document.getElementById('newSupplierEmail').value,
+            phone: document.getElementById('newSupplierPhone').value,
+            leadTimeDays: parseInt(document.getElementById('newSupplierLeadTime').value) || 0,
+        });
+        form.reset();
+        await loadSuppliers();
+    } catch (error) {
+        alert(`Failed to create supplier: ${error.message}`);
+    }
+}
+
+/**
+ * Edit a supplier's contact details and lead time
+ */
+async function editSupplier(supplier) {
+    const changes = {};
+    for (const [field, label] of [
+        ['contactName', 'Contact name'],
+        ['email', 'Email'],
+        ['phone', 'Phone'],
+        ['leadTimeDays', 'Lead time (days)'],
+    ]) {
+        const answer = prompt(`${label} for ${supplier.name}:`, supplier[field]);
+        if (answer === null) return;
+        changes[field] = field === 'leadTimeDays' ? parseInt(answer) : answer;
+    }
+
+    try {
+        await updateSupplier(supplier.supplierId, changes);
+    } catch (error) {
+        alert(`Failed to update supplier: ${error.message}`);
+    }
+    await loadSuppliers();
+}
+
+async function confirmDeleteSupplier(supplier) {
+    if (!confirm(`Delete ${supplier.name}? Its item terms will be removed as well.`)) return;
+
+    try {
+        await deleteSupplier(supplier.supplierId);
+    } catch (error) {
+        alert(`Failed to delete supplier: ${error.message}`);
+    }
+    await loadSuppliers();
+}
+
+/**
+ * Show an item's suppliers and reorder figures inside the item view
+ */
+async function showItemSuppliers(itemId) {
+    const container = document.getElementById('itemSuppliers');
+    if (!container) return;
+
+    container.innerHTML = '<h3>Suppliers &amp; Reordering</h3><p>Loading...</p>';
+
+    try {
+        const data = await getReorderPlans(itemId);
+        const plan = data.plans[0];
+        const canEdit = can('suppliers.edit');
+
+        if (canEdit && supplierDirectory.length === 0) {
+            await loadSuppliers();
+        }
+
+        container.innerHTML = `
+            <h3>Suppliers &amp; Reordering</h3>
+            ${plan ? `
+                <p>
+                    <strong>Usage:</strong> ${plan.dailyUsage}/day
+                    &nbsp; <strong>On order:</strong> ${plan.onOrder}
+                    &nbsp; <strong>Reorder point:</strong> ${plan.reorderPoint}
+                    &nbsp; <strong>Suggested order:</strong>
+                    ${plan.reorderQuantity}${plan.supplierName ? ` from ${escapeHtml(plan.supplierName)} (${plan.leadTimeDays} days)` : ''}
+                    ${plan.needsReorder ? '<span class="low-stock">Reorder now</span>' : ''}
+                </p>
+            ` : ''}
+            ${data.suppliers.length === 0 ? '<p>No suppliers linked to this item.</p>' : `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Supplier</th>
+                            <th>Unit Cost</th>
+                            <th>MOQ</th>
+                            <th>Lead Time</th>
+                            <th>Preferred</th>
+                            ${canEdit ? '<th></th>' : ''}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${data.suppliers.map(supplier => `
+                            <tr>
+                                <td>${escapeHtml(supplier.name)}</td>
+                                <td>${supplier.terms.unitCost}</td>
+                                <td>${supplier.terms.minimumOrderQuantity}</td>
+                                <td>${supplier.terms.leadTimeDays ?? supplier.leadTimeDays} days</td>
+                                <td>${supplier.terms.preferred ? 'Yes' : ''}</td>
+                                ${canEdit ? `
+                                    <td>
+                                        <button class="btn btn-danger btn-small" data-unlink-supplier="${escapeHtml(supplier.supplierId)}">Remove</button>
+                                    </td>
+                                ` : ''}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+            ${canEdit && supplierDirectory.length > 0 ? `
+                <form id="linkSupplierForm" class="inline-form">
+                    <select id="linkSupplierId">
+                        ${supplierDirectory.map(supplier => `
+                            <option value="${escapeHtml(supplier.supplierId)}">${escapeHtml(supplier.name)}</option>
+                        `).join('')}
+                    </select>
+                    <input type="number" id="linkUnitCost" min="0" step="0.01" placeholder="Unit cost" required>
+                    <input type="number" id="linkMoq" min="1" placeholder="MOQ" value="1" required>
+                    <input type="number" id="linkLeadTime" min="0" placeholder="Lead time (blank = supplier)">
+                    <label><input type="checkbox" id="linkPreferred"> Preferred</label>
+                    <button type="submit" class="btn btn-primary btn-small">Save Supplier Terms</button>
+                </form>
+            ` : ''}
+        `;
+
+        container.querySelectorAll('button[data-unlink-supplier]').forEach(button => {
+            button.addEventListener('click', async () => {
+                try {
+                    await removeSupplierItem(button.dataset.unlinkSupplier, itemId);
+                } catch (error) {
+                    alert(`Failed to remove supplier: ${error.message}`);
+                }
+                await showItemSuppliers(itemId);
+            });
+        });
+
+        const form = document.getElementById('linkSupplierForm');
+        if (form) {
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const leadTime = document.getElementById('linkLeadTime').value;
+                try {
+                    await setSupplierItem(document.getElementById('linkSupplierId').value, itemId, {
+                        unitCost: parseFloat(document.getElementById('linkUnitCost').value),
+                        minimumOrderQuantity: parseInt(document.getElementById('linkMoq').value),
+                        leadTimeDays: leadTime === '' ? null : parseInt(leadTime),
+                        preferred: document.getElementById('linkPreferred').checked,
+                    });
+                } catch (error) {
+                    alert(`Failed to save supplier terms: ${error.message}`);
+                }
+                await showItemSuppliers(itemId);
+            });
+        }
+    } catch (error) {
+        container.innerHTML = `
+            <h3>Suppliers &amp; Reordering</h3>
+            <div class="error-message show">Failed to load suppliers: ${escapeHtml(error.message)}</div>
+        `;
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Valuation Controller
+ * Stock valuation summary card, loaded by dashboard/admin.html after dashboard.js
+ */
+
+const VALUATION_METHOD_LABELS = {
+    average: 'Weighted average',
+    fifo: 'FIFO',
+};
+
+/**
+ * Initialize the valuation card
+ * Runs after initializeDashboard so the user's permissions and location filter are loaded
+ */
+async function initializeValuation() {
+    const panel = document.getElementById('valuation');
+    if (!panel) return;
+
+    if (!can('reports.valuation')) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    document.getElementById('valuationMethod').addEventListener('change', loadValuation);
+    document.getElementById('valuationRefreshBtn').addEventListener('click', loadValuation);
+    // Follow the inventory's location filter
+    document.getElementById('locationFilter')?.addEventListener('change', loadValuation);
+
+    await loadValuation();
+}
+
+/**
+ * Load and display the valuation for the selected method and location
+ */
+async function loadValuation() {
+    const summary = document.getElementById('valuationSummary');
+    const method = document.getElementById('valuationMethod').value;
+
+    try {
+        const data = await getValuation(method, currentLocation);
+        renderValuation(data);
+    } catch (error) {
+        summary.innerHTML = `<div class="error-message show">Failed to load valuation: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderValuation(data) {
+    const summary = document.getElementById('valuationSummary');
+    const { totals } = data;
+
+    const notes = [
+        totals.costMissing && `${totals.costMissing} item(s) have stock with no known cost, counted at 0.`,
+        totals.priceMissing && `${totals.priceMissing} item(s) have no selling price, left out of retail value.`,
+    ].filter(Boolean);
+
+    summary.innerHTML = `
+        <p>
+            <strong>Stock value:</strong> ${formatMoney(totals.value)}
+            &nbsp; <strong>Retail value:</strong> ${formatMoney(totals.retailValue)}
+            &nbsp; <strong>Units:</strong> ${totals.quantity}
+        </p>
+        <p class="freshness">
+            ${VALUATION_METHOD_LABELS[data.method] || escapeHtml(data.method)}
+            ${data.location ? ` at ${escapeHtml(data.location)}` : ', all locations'},
+            as of ${formatTimestamp(data.readAt)}
+        </p>
+        ${notes.map(note => `<p>${escapeHtml(note)}</p>`).join('')}
+        <h3>By Category</h3>
+        ${renderValuationTable('Category', data.byCategory.map(row => ({ ...row, name: row.category })))}
+        <h3>By Location</h3>
+        ${renderValuationTable('Location', data.byLocation.map(row => ({ ...row, name: row.location })))}
+    `;
+}
+
+function renderValuationTable(heading, rows) {
+    if (rows.length === 0) {
+        return '<p>No stock.</p>';
+    }
+
+    return `
+        <table>
+            <thead>
+                <tr>
+                    <th>${heading}</th>
+                    <th>Units</th>
+                    <th>Value</th>
+                    <th>Retail Value</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <td>${escapeHtml(row.name)}</td>
+                        <td>${row.quantity}</td>
+                        <td>${formatMoney(row.value)}</td>
+                        <td>${formatMoney(row.retailValue)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
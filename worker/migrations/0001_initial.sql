@@ -0,0 +1,77 @@
+-- D1 schema for STORAGE_BACKEND = "d1"
+-- Mirrors the spreadsheet tabs; see worker/utils/d1Storage.js
+-- Apply with: npx wrangler d1 migrations apply <database-name> --remote
+
+-- Item totals across all locations (Inventory tab)
+CREATE TABLE IF NOT EXISTS items (
+    item_id TEXT PRIMARY KEY,
+    item_name TEXT NOT NULL,
+    category TEXT NOT NULL DEFAULT 'Uncategorized',
+    quantity INTEGER NOT NULL DEFAULT 0,
+    minimum_stock INTEGER NOT NULL DEFAULT 0,
+    last_updated TEXT NOT NULL DEFAULT ''
+);
+
+-- Explicit per-location levels; the default location holds the remainder (Stock tab)
+CREATE TABLE IF NOT EXISTS stock (
+    item_id TEXT NOT NULL,
+    location TEXT NOT NULL,
+    quantity INTEGER NOT NULL DEFAULT 0,
+    minimum_stock INTEGER NOT NULL DEFAULT 0,
+    last_updated TEXT NOT NULL DEFAULT '',
+    PRIMARY KEY (item_id, location)
+);
+
+-- Append-only stock ledger, ordered by rowid (Movements tab)
+CREATE TABLE IF NOT EXISTS movements (
+    movement_id TEXT PRIMARY KEY,
+    timestamp TEXT NOT NULL,
+    item_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    delta INTEGER NOT NULL,
+    reason TEXT NOT NULL DEFAULT '',
+    user_email TEXT NOT NULL DEFAULT '',
+    reference TEXT NOT NULL DEFAULT '',
+    note TEXT NOT NULL DEFAULT '',
+    balance INTEGER NOT NULL DEFAULT 0,
+    location TEXT NOT NULL DEFAULT ''
+);
+
+CREATE INDEX IF NOT EXISTS movements_item ON movements (item_id);
+
+CREATE TABLE IF NOT EXISTS suppliers (
+    supplier_id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    contact_name TEXT NOT NULL DEFAULT '',
+    email TEXT NOT NULL DEFAULT '',
+    phone TEXT NOT NULL DEFAULT '',
+    lead_time_days INTEGER NOT NULL DEFAULT 0,
+    notes TEXT NOT NULL DEFAULT '',
+    updated_at TEXT NOT NULL DEFAULT ''
+);
+
+-- NULL lead_time_days falls back to the supplier's lead time
+CREATE TABLE IF NOT EXISTS supplier_items (
+    supplier_id TEXT NOT NULL,
+    item_id TEXT NOT NULL,
+    unit_cost REAL NOT NULL DEFAULT 0,
+    minimum_order_quantity INTEGER NOT NULL DEFAULT 1,
+    lead_time_days INTEGER,
+    preferred INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (supplier_id, item_id)
+);
+
+-- lines holds JSON: [{ itemId, quantity, received }]
+CREATE TABLE IF NOT EXISTS purchase_orders (
+    po_id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    supplier TEXT NOT NULL DEFAULT '',
+    lines TEXT NOT NULL DEFAULT '[]',
+    note TEXT NOT NULL DEFAULT '',
+    created_at TEXT NOT NULL DEFAULT '',
+    created_by TEXT NOT NULL DEFAULT '',
+    approved_by TEXT NOT NULL DEFAULT '',
+    sent_at TEXT NOT NULL DEFAULT '',
+    received_at TEXT NOT NULL DEFAULT '',
+    updated_at TEXT NOT NULL DEFAULT ''
+);
@@ -0,0 +1,17 @@
+-- Append-only audit log, ordered by rowid (Audit tab)
+-- before and after hold JSON, or NULL when not recorded
+CREATE TABLE IF NOT EXISTS audit_log (
+    audit_id TEXT PRIMARY KEY,
+    timestamp TEXT NOT NULL,
+    actor TEXT NOT NULL DEFAULT '',
+    role TEXT NOT NULL DEFAULT '',
+    ip TEXT NOT NULL DEFAULT '',
+    event TEXT NOT NULL DEFAULT 'request',
+    route TEXT NOT NULL DEFAULT '',
+    status INTEGER NOT NULL DEFAULT 0,
+    target TEXT NOT NULL DEFAULT '',
+    before TEXT,
+    after TEXT
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_actor ON audit_log (actor);
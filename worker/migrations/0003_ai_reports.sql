@@ -0,0 +1,12 @@
+-- Saved AI reports, ordered by rowid (AIReports tab)
+-- report holds the report as JSON; snapshot the stock figures it was based on (utils/aiReports.js)
+CREATE TABLE IF NOT EXISTS ai_reports (
+    report_id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    created_by TEXT NOT NULL DEFAULT '',
+    source TEXT NOT NULL DEFAULT 'dashboard',
+    model TEXT NOT NULL DEFAULT '',
+    structured INTEGER NOT NULL DEFAULT 0,
+    report TEXT NOT NULL,
+    snapshot TEXT NOT NULL DEFAULT '[]'
+);
@@ -0,0 +1,5 @@
+-- Item costs and prices, and the cost paid on each receipt, for inventory valuation (utils/valuation.js)
+-- NULL means not set
+ALTER TABLE items ADD COLUMN unit_cost REAL;
+ALTER TABLE items ADD COLUMN selling_price REAL;
+ALTER TABLE movements ADD COLUMN unit_cost REAL;
@@ -0,0 +1,4 @@
+-- Barcode per item, looked up by /api/items/by-barcode/:code
+-- NULL means none; the index allows any number of items without one
+ALTER TABLE items ADD COLUMN barcode TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS items_barcode ON items (barcode);
@@ -0,0 +1,211 @@
+/**
+ * AI Report History Utilities
+ * Saved reports, comparison and sheet row mapping for the AI report history
+ *
+ * Every generated report is saved with the stock figures it was based on:
+ * { reportId, createdAt, createdBy, source, model, structured, report, snapshot }
+ * where snapshot is [{ itemId, itemName, quantity, minimumStock }].
+ */
+
+import { parseJSON } from './audit.js';
+
+// Where a report was requested from
+export const REPORT_SOURCES = ['dashboard', 'telegram'];
+
+/**
+ * Build the record saved for a newly generated report
+ * @param {Object} result - { report, model, structured } from generateGeminiReport
+ * @param {Array} inventory - Items the report was generated from
+ * @param {Object} user - Requesting user
+ * @param {string} source - One of REPORT_SOURCES
+ */
+export function createReportRecord({ report, model, structured }, inventory, user, source) {
+    return {
+        reportId: generateReportId(),
+        createdAt: new Date().toISOString(),
+        createdBy: user.email,
+        source,
+        model,
+        structured,
+        report,
+        snapshot: inventory.map(item => ({
+            itemId: item.itemId,
+            itemName: item.itemName,
+            quantity: item.quantity,
+            minimumStock: item.minimumStock,
+        })),
+    };
+}
+
+/**
+ * List entry for a saved report, without its items and stock figures
+ */
+export function summarizeReport(record) {
+    return {
+        reportId: record.reportId,
+        createdAt: record.createdAt,
+        createdBy: record.createdBy,
+        source: record.source,
+        model: record.model,
+        structured: record.structured,
+        summary: record.report.summary,
+        lowStockCount: record.report.lowStockItems.length,
+    };
+}
+
+/**
+ * Validate paging for the report list
+ * @returns {Object} { limit, offset }
+ */
+export function parseReportPaging(params) {
+    return {
+        limit: Math.min(Math.max(parseInt(params.get('limit')) || 20, 1), 100),
+        offset: Math.max(parseInt(params.get('offset')) || 0, 0),
+    };
+}
+
+/**
+ * What changed between two saved reports
+ * Restock entries are matched by item ID; recommendations and insights by their
+ * text, ignoring case and surrounding whitespace.
+ * @returns {Object} { summaryChanged, lowStockItems: { added, removed, changed }, recommendations: { added, removed },
+ *   insights: { added, removed }, stock: { changed, added, removed } }
+ */
+export function compareReports(from, to) {
+    const before = new Map(from.report.lowStockItems.map(entry => [entry.itemId, entry]));
+    const after = new Map(to.report.lowStockItems.map(entry => [entry.itemId, entry]));
+
+    const changed = [];
+    for (const [itemId, entry] of after) {
+        const previous = before.get(itemId);
+        if (previous && (previous.restockQuantity !== entry.restockQuantity || previous.priority !== entry.priority)) {
+            changed.push({
+                itemId,
+                itemName: entry.itemName,
+                before: { restockQuantity: previous.restockQuantity, priority: previous.priority },
+                after: { restockQuantity: entry.restockQuantity, priority: entry.priority },
+            });
+        }
+    }
+
+    return {
+        summaryChanged: from.report.summary !== to.report.summary,
+        lowStockItems: {
+            added: [...after.values()].filter(entry => !before.has(entry.itemId)),
+            removed: [...before.values()].filter(entry => !after.has(entry.itemId)),
+            changed,
+        },
+        recommendations: compareText(from.report.recommendations, to.report.recommendations),
+        insights: compareText(from.report.insights, to.report.insights),
+        stock: compareSnapshots(from.snapshot, to.snapshot),
+    };
+}
+
+/**
+ * Generate a sortable, unique report ID
+ */
+export function generateReportId() {
+    const random = crypto.getRandomValues(new Uint32Array(1))[0].toString(36);
+    return `RPT-${Date.now().toString(36).toUpperCase()}-${random.toUpperCase()}`;
+}
+
+/**
+ * Stock snapshot as stored: [[itemId, itemName, quantity, minimumStock], ...]
+ * Rows keep the snapshot compact because a Sheets cell holds at most 50,000 characters.
+ */
+export function encodeSnapshot(snapshot) {
+    return JSON.stringify(snapshot.map(item => [item.itemId, item.itemName, item.quantity, item.minimumStock]));
+}
+
+export function decodeSnapshot(value) {
+    const rows = parseJSON(value);
+    if (!Array.isArray(rows)) {
+        return [];
+    }
+
+    return rows.map(([itemId, itemName, quantity, minimumStock]) => ({
+        itemId,
+        itemName: itemName || '',
+        quantity: parseInt(quantity) || 0,
+        minimumStock: parseInt(minimumStock) || 0,
+    }));
+}
+
+/**
+ * AIReports tab columns (A-H):
+ * Report ID | Created At | Created By | Source | Model | Structured | Report | Snapshot
+ * Report holds the report as JSON; Snapshot is encoded by encodeSnapshot.
+ */
+export function aiReportToRow(record) {
+    return [
+        record.reportId,
+        record.createdAt,
+        record.createdBy,
+        record.source,
+        record.model,
+        record.structured ? 'TRUE' : 'FALSE',
+        JSON.stringify(record.report),
+        encodeSnapshot(record.snapshot),
+    ];
+}
+
+/**
+ * Row back to a record; rows read without the Snapshot column get an empty snapshot
+ */
+export function rowToAIReport(row) {
+    return {
+        reportId: row[0],
+        createdAt: row[1] || '',
+        createdBy: row[2] || '',
+        source: row[3] || 'dashboard',
+        model: row[4] || '',
+        structured: row[5] === 'TRUE',
+        report: normalizeReport(parseJSON(row[6])),
+        snapshot: decodeSnapshot(row[7]),
+    };
+}
+
+/**
+ * Fill in any report fields missing from a stored value
+ */
+export function normalizeReport(report) {
+    return {
+        summary: report?.summary || '',
+        lowStockItems: Array.isArray(report?.lowStockItems) ? report.lowStockItems : [],
+        recommendations: Array.isArray(report?.recommendations) ? report.recommendations : [],
+        insights: Array.isArray(report?.insights) ? report.insights : [],
+    };
+}
+
+function compareText(before, after) {
+    const key = text => text.trim().toLowerCase();
+    const beforeKeys = new Set(before.map(key));
+    const afterKeys = new Set(after.map(key));
+
+    return {
+        added: after.filter(text => !beforeKeys.has(key(text))),
+        removed: before.filter(text => !afterKeys.has(key(text))),
+    };
+}
+
+/**
+ * Quantity changes between two stock snapshots, and items added or removed in between
+ */
+function compareSnapshots(before, after) {
+    const previous = new Map(before.map(item => [item.itemId, item]));
+    const current = new Map(after.map(item => [item.itemId, item]));
+
+    return {
+        changed: after
+            .filter(item => previous.has(item.itemId) && previous.get(item.itemId).quantity !== item.quantity)
+            .map(item => ({
+                itemId: item.itemId,
+                itemName: item.itemName,
+                before: previous.get(item.itemId).quantity,
+                after: item.quantity,
+                delta: item.quantity - previous.get(item.itemId).quantity,
+            })),
+        added: after.filter(item => !previous.has(item.itemId)),
+        removed: before.filter(item => !current.has(item.itemId)),
+    };
+}
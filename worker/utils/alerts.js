@@ -0,0 +1,96 @@
+/**
+ * Low-Stock Alert Utilities
+ * Detection, de-duplication and digest formatting for the scheduled alert job
+ */
+
+// KV key holding the items that have already been alerted
+export const ALERT_STATE_KEY = 'alerts:low-stock';
+
+/**
+ * Read alert settings from environment variables
+ * - LOW_STOCK_THRESHOLD_PERCENT: alert when quantity <= minimumStock * percent / 100 (default 100)
+ * - ALERT_QUIET_HOURS: "start-end" in 24h local hours, e.g. "22-7"; empty disables quiet hours
+ * - ALERT_TIMEZONE: IANA time zone for quiet hours (default UTC)
+ */
+export function getAlertConfig(env) {
+    const percent = parseFloat(env.LOW_STOCK_THRESHOLD_PERCENT);
+    const quietMatch = /^(\d{1,2})-(\d{1,2})$/.exec((env.ALERT_QUIET_HOURS || '').trim());
+
+    return {
+        thresholdPercent: isNaN(percent) || percent < 0 ? 100 : percent,
+        quietHours: quietMatch ? { start: parseInt(quietMatch[1]) % 24, end: parseInt(quietMatch[2]) % 24 } : null,
+        timeZone: env.ALERT_TIMEZONE || 'UTC',
+    };
+}
+
+/**
+ * Whether an item counts as low stock under the configured threshold
+ */
+export function isLowStock(item, config) {
+    return item.quantity <= item.minimumStock * config.thresholdPercent / 100;
+}
+
+/**
+ * Whether the given time falls within quiet hours
+ * Ranges may wrap midnight ("22-7").
+ */
+export function isQuietHours(date, config) {
+    if (!config.quietHours) {
+        return false;
+    }
+
+    const hour = parseInt(new Intl.DateTimeFormat('en-GB', {
+        hour: '2-digit',
+        hourCycle: 'h23',
+        timeZone: config.timeZone,
+    }).format(date));
+    const { start, end } = config.quietHours;
+
+    return start <= end
+        ? hour >= start && hour < end
+        : hour >= start || hour < end;
+}
+
+/**
+ * Compare current inventory with the alert state
+ * @param {Array} inventory - Inventory items
+ * @param {Object} state - { [itemId]: { alertedAt, quantity } } for items already alerted
+ * @returns {Object} { newlyLow, stillLow, recovered } item lists / IDs
+ */
+export function diffLowStock(inventory, state, config) {
+    const low = inventory.filter(item => isLowStock(item, config));
+    const lowIds = new Set(low.map(item => item.itemId));
+
+    return {
+        newlyLow: low.filter(item => !state[item.itemId]),
+        stillLow: low.filter(item => state[item.itemId]),
+        // Items that were alerted but are no longer low (or no longer exist) may alert again later
+        recovered: Object.keys(state).filter(itemId => !lowIds.has(itemId)),
+    };
+}
+
+/**
+ * Format the Telegram digest for newly low items
+ */
+export function formatLowStockDigest(newlyLow, stillLow) {
+    const lines = [
+        `*Low stock alert* (${newlyLow.length} new)`,
+        '',
+        ...newlyLow.map(item =>
+            `- ${escapeMarkdown(item.itemName)} (${escapeMarkdown(item.itemId)}): ${item.quantity} left, minimum ${item.minimumStock}`
+        ),
+    ];
+
+    if (stillLow.length > 0) {
+        lines.push('', `${stillLow.length} other item(s) are still low on stock.`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Escape characters that Telegram's legacy Markdown treats as formatting
+ */
+export function escapeMarkdown(text) {
+    return String(text).replace(/([_*`[])/g, '\\$1');
+}
@@ -0,0 +1,300 @@
+/**
+ * Inventory Assistant Utilities
+ * Tools Gemini can call to answer questions about the inventory, and checks on its answers
+ *
+ * Tools see only what the asking user may see: index.js supplies the data through a
+ * context whose loaders apply the user's scopes, and tools that need a permission the
+ * user lacks are neither offered to Gemini nor run.
+ *
+ * Context: { locations, items(), movements(), reorderPlans(itemIds) }
+ *   items() and movements() resolve to the user's visible items (with `locations`) and
+ *   movements; reorderPlans resolves to utils/reorder.js plans for the given items.
+ */
+
+import { StockError } from './errors.js';
+import { MOVEMENT_TYPES } from './movements.js';
+import { hasPermission } from './permissions.js';
+import { suggestOrderQuantity } from './purchaseOrders.js';
+
+const MAX_QUESTION_LENGTH = 500;
+const MAX_HISTORY_TURNS = 10;
+const MAX_TURN_LENGTH = 4000;
+// Rows one tool call returns, to keep the conversation within Gemini's limits
+const MAX_TOOL_ROWS = 50;
+const DEFAULT_MOVEMENT_DAYS = 30;
+const MAX_MOVEMENT_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Function declarations in the OpenAPI subset Gemini accepts, with the permission each needs
+export const ASSISTANT_TOOLS = [
+    {
+        name: 'list_categories',
+        permission: 'inventory.view',
+        description: 'List item categories with how many items each has and how many are at or below minimum stock.',
+    },
+    {
+        name: 'find_items',
+        permission: 'inventory.view',
+        description: 'Find items by category, name or ID. Returns quantity, minimum stock, whether the item is low '
+            + 'and the suggested order quantity for low items.',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                category: { type: 'STRING', description: 'Exact category name, any case' },
+                query: { type: 'STRING', description: 'Text to look for in the item ID or name' },
+                lowStockOnly: { type: 'BOOLEAN', description: 'Only items at or below their minimum stock' },
+                location: { type: 'STRING', description: 'Report quantities at this location instead of totals' },
+            },
+        },
+    },
+    {
+        name: 'get_item',
+        permission: 'inventory.view',
+        description: 'Get one item with its stock at each location.',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                itemId: { type: 'STRING' },
+            },
+            required: ['itemId'],
+        },
+    },
+    {
+        name: 'list_movements',
+        permission: 'movements.view',
+        description: 'List recent stock movements, newest first, with the total change per movement type.',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                itemId: { type: 'STRING' },
+                type: { type: 'STRING', enum: MOVEMENT_TYPES },
+                days: { type: 'INTEGER', description: `How many days back to look (default ${DEFAULT_MOVEMENT_DAYS})` },
+            },
+        },
+    },
+    {
+        name: 'get_reorder_plans',
+        permission: 'suppliers.view',
+        description: 'Reorder points and quantities from supplier lead times, recent usage and stock on order. '
+            + 'Without an itemId, only items that need reordering are returned.',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                itemId: { type: 'STRING' },
+                category: { type: 'STRING' },
+            },
+        },
+    },
+];
+
+/**
+ * Function declarations for the tools this user may use
+ */
+export function availableTools(user) {
+    return ASSISTANT_TOOLS
+        .filter(tool => hasPermission(user, tool.permission))
+        .map(({ name, description, parameters }) => ({ name, description, ...(parameters ? { parameters } : {}) }));
+}
+
+/**
+ * Validate an /api/ai/ask request body
+ * @param {Object} input - { question, history: [{ role: 'user' | 'model', text }] } where history is the earlier turns
+ * @returns {Object} { question, history } on success, { error } otherwise
+ */
+export function validateQuestion(input) {
+    const question = typeof input?.question === 'string' ? input.question.trim() : '';
+    if (!question) {
+        return { error: 'question required' };
+    }
+    if (question.length > MAX_QUESTION_LENGTH) {
+        return { error: `question must be at most ${MAX_QUESTION_LENGTH} characters` };
+    }
+
+    const history = input.history ?? [];
+    if (!Array.isArray(history)) {
+        return { error: 'history must be a list of { role, text } turns' };
+    }
+    for (const turn of history) {
+        if (!['user', 'model'].includes(turn?.role) || typeof turn.text !== 'string' || !turn.text.trim()) {
+            return { error: 'history turns need a role of user or model and some text' };
+        }
+    }
+
+    return {
+        question,
+        history: history.slice(-MAX_HISTORY_TURNS).map(turn => ({
+            role: turn.role,
+            text: turn.text.slice(0, MAX_TURN_LENGTH),
+        })),
+    };
+}
+
+/**
+ * System instruction for the assistant
+ */
+export function buildAssistantPrompt(user, locations, now = new Date()) {
+    return `You answer questions about a stock inventory for ${user.email} (role: ${user.role}).
+Today is ${now.toISOString().slice(0, 10)}. Stock locations: ${locations.join(', ')}.
+
+Use the tools to look up every figure you give; never guess quantities or invent items.
+Whenever you mention an item, cite its ID in square brackets, e.g. "Widget [ITEM-001]".
+If the tools return nothing relevant, say so. If a tool reports a permission error, tell the user
+they cannot see that information. Keep answers short and give order quantities as whole numbers.`;
+}
+
+/**
+ * Run a tool Gemini asked for
+ * Errors from bad arguments are returned to Gemini as { error } so it can try again.
+ * @returns {Promise<Object>} The tool's result
+ */
+export async function runAssistantTool(name, args, user, context) {
+    const tool = ASSISTANT_TOOLS.find(t => t.name === name);
+    if (!tool) {
+        return { error: `Unknown tool ${name}` };
+    }
+    if (!hasPermission(user, tool.permission)) {
+        return { error: 'Permission denied' };
+    }
+
+    try {
+        return await TOOL_HANDLERS[name](args || {}, context);
+    } catch (error) {
+        if (error instanceof StockError) {
+            return { error: error.message };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Item IDs cited in square brackets in an answer
+ * @param {string} answer - Gemini's answer
+ * @param {Array} items - Items the user may see
+ * @returns {Object} { citations: [{ itemId, itemName }], unknownIds } where unknownIds
+ *   are bracketed IDs that match none of the user's items
+ */
+export function findCitations(answer, items) {
+    const byId = new Map(items.map(item => [item.itemId.toLowerCase(), item]));
+    const citations = new Map();
+    const unknownIds = new Set();
+
+    for (const [, id] of answer.matchAll(/\[([^\]\s]{1,64})\]/g)) {
+        const item = byId.get(id.toLowerCase());
+        if (item) {
+            citations.set(item.itemId, { itemId: item.itemId, itemName: item.itemName });
+        } else {
+            unknownIds.add(id);
+        }
+    }
+
+    return { citations: [...citations.values()], unknownIds: [...unknownIds] };
+}
+
+const TOOL_HANDLERS = {
+    async list_categories(args, context) {
+        const categories = new Map();
+        for (const item of await context.items()) {
+            const entry = categories.get(item.category) || { category: item.category, items: 0, lowStock: 0 };
+            entry.items++;
+            if (item.quantity <= item.minimumStock) {
+                entry.lowStock++;
+            }
+            categories.set(item.category, entry);
+        }
+        return { categories: [...categories.values()] };
+    },
+
+    async find_items({ category, query, lowStockOnly, location }, context) {
+        if (location && !context.locations.includes(location)) {
+            throw new StockError(`location must be one of: ${context.locations.join(', ')}`, 400);
+        }
+
+        const text = (query || '').toLowerCase();
+        const matches = (await context.items())
+            .filter(item => !category || item.category.toLowerCase() === category.toLowerCase())
+            .filter(item => !text || item.itemId.toLowerCase().includes(text) || item.itemName.toLowerCase().includes(text))
+            .map(item => {
+                const level = location && item.locations.find(l => l.location === location);
+                return level ? { ...item, quantity: level.quantity, minimumStock: level.minimumStock, location } : item;
+            })
+            .filter(item => !lowStockOnly || item.quantity <= item.minimumStock);
+
+        return {
+            items: matches.slice(0, MAX_TOOL_ROWS).map(item => ({
+                itemId: item.itemId,
+                itemName: item.itemName,
+                category: item.category,
+                ...(item.location ? { location: item.location } : {}),
+                quantity: item.quantity,
+                minimumStock: item.minimumStock,
+                lowStock: item.quantity <= item.minimumStock,
+                suggestedOrder: item.quantity <= item.minimumStock ? suggestOrderQuantity(item) : 0,
+            })),
+            total: matches.length,
+        };
+    },
+
+    async get_item({ itemId }, context) {
+        const item = findItem(await context.items(), itemId);
+        return {
+            itemId: item.itemId,
+            itemName: item.itemName,
+            category: item.category,
+            quantity: item.quantity,
+            minimumStock: item.minimumStock,
+            lastUpdated: item.lastUpdated,
+            locations: item.locations.map(({ location, quantity, minimumStock }) => ({ location, quantity, minimumStock })),
+        };
+    },
+
+    async list_movements({ itemId, type, days }, context) {
+        const window = Math.min(Math.max(parseInt(days) || DEFAULT_MOVEMENT_DAYS, 1), MAX_MOVEMENT_DAYS);
+        const since = Date.now() - window * DAY_MS;
+        const id = itemId ? findItem(await context.items(), itemId).itemId : null;
+
+        const movements = (await context.movements())
+            .filter(movement => (!id || movement.itemId === id) && (!type || movement.type === type))
+            .filter(movement => Date.parse(movement.timestamp) >= since)
+            .reverse();
+
+        const totalsByType = {};
+        for (const movement of movements) {
+            totalsByType[movement.type] = (totalsByType[movement.type] || 0) + movement.delta;
+        }
+
+        return {
+            days: window,
+            movements: movements.slice(0, MAX_TOOL_ROWS).map(movement => ({
+                timestamp: movement.timestamp,
+                itemId: movement.itemId,
+                type: movement.type,
+                delta: movement.delta,
+                reason: movement.reason,
+                location: movement.location,
+                reference: movement.reference,
+            })),
+            total: movements.length,
+            totalsByType,
+        };
+    },
+
+    async get_reorder_plans({ itemId, category }, context) {
+        const items = await context.items();
+        const ids = itemId
+            ? [findItem(items, itemId).itemId]
+            : items.filter(item => !category || item.category.toLowerCase() === category.toLowerCase()).map(item => item.itemId);
+
+        const plans = (await context.reorderPlans(ids)).filter(plan => itemId || plan.needsReorder);
+        return { plans: plans.slice(0, MAX_TOOL_ROWS), total: plans.length };
+    },
+};
+
+function findItem(items, itemId) {
+    const id = String(itemId || '').toLowerCase();
+    const item = items.find(i => i.itemId.toLowerCase() === id);
+    if (!item) {
+        throw new StockError(`No item ${itemId}`, 404);
+    }
+    return item;
+}
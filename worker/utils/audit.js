@@ -0,0 +1,184 @@
+/**
+ * Audit Log Utilities
+ * Entries, filtering and sheet row mapping for the append-only audit log
+ *
+ * One entry is written for every mutating API call and for each auth event:
+ * { auditId, timestamp, actor, role, ip, event, route, status, target, before, after }
+ */
+
+// 'request' is any mutating API call; the rest are auth and Telegram events
+export const AUDIT_EVENTS = ['request', 'login', 'login_failed', 'refresh_failed', 'logout', 'telegram_adjust'];
+
+// Request fields never written to the log
+const SECRET_FIELDS = ['password', 'passwordHash', 'refreshToken', 'token'];
+
+// Before/after values reported by the handler of the request in progress, keyed by its user object
+const pendingChanges = new WeakMap();
+
+/**
+ * Describe what the current request changed, for the audit entry the router writes after it
+ * @param {Object} user - The request's authenticated user
+ * @param {Object} change - Any of { event, target, before, after }
+ */
+export function noteAuditChange(user, change) {
+    pendingChanges.set(user, { ...pendingChanges.get(user), ...change });
+}
+
+/**
+ * Collect (and forget) what the handler reported for this request
+ */
+export function takeAuditChange(user) {
+    const change = pendingChanges.get(user) || {};
+    pendingChanges.delete(user);
+    return change;
+}
+
+/**
+ * Copy of a request body or record with passwords and tokens blanked out
+ */
+export function redactSecrets(value) {
+    if (Array.isArray(value)) {
+        return value.map(redactSecrets);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => (
+        [key, SECRET_FIELDS.includes(key) ? '[redacted]' : redactSecrets(field)]
+    )));
+}
+
+/**
+ * Complete an audit entry with its ID, timestamp and defaults, with secrets removed
+ * @param {Object} entry - { actor, role, ip, event, route, status, target, before, after }
+ */
+export function createAuditEntry(entry) {
+    return {
+        auditId: generateAuditId(),
+        timestamp: new Date().toISOString(),
+        actor: entry.actor || '',
+        role: entry.role || '',
+        ip: entry.ip || '',
+        event: entry.event || 'request',
+        route: entry.route || '',
+        status: entry.status || 0,
+        target: entry.target || '',
+        before: redactSecrets(entry.before ?? null),
+        after: redactSecrets(entry.after ?? null),
+    };
+}
+
+/**
+ * Validate the filters of an audit log query
+ * @param {URLSearchParams} params - actor, event, route, target, from, to, limit, offset
+ * @returns {Object} { filter } on success, { error } otherwise
+ */
+export function parseAuditFilter(params) {
+    const filter = {
+        actor: (params.get('actor') || '').trim().toLowerCase(),
+        event: (params.get('event') || '').trim(),
+        route: (params.get('route') || '').trim(),
+        target: (params.get('target') || '').trim(),
+        from: params.get('from') || '',
+        to: params.get('to') || '',
+        limit: Math.min(parseInt(params.get('limit')) || 50, 500),
+        offset: Math.max(parseInt(params.get('offset')) || 0, 0),
+    };
+
+    if (filter.event && !AUDIT_EVENTS.includes(filter.event)) {
+        return { error: `event must be one of: ${AUDIT_EVENTS.join(', ')}` };
+    }
+    for (const bound of ['from', 'to']) {
+        if (filter[bound] && isNaN(Date.parse(filter[bound]))) {
+            return { error: `${bound} must be a date or timestamp` };
+        }
+    }
+
+    return { filter };
+}
+
+/**
+ * Filter and page the log, newest first
+ * A date-only `to` includes that whole day.
+ * @returns {Object} { entries, total } where total counts every match
+ */
+export function filterAuditEntries(entries, filter) {
+    const from = filter.from ? Date.parse(filter.from) : -Infinity;
+    const to = !filter.to ? Infinity
+        : /^\d{4}-\d{2}-\d{2}$/.test(filter.to) ? Date.parse(filter.to) + 24 * 60 * 60 * 1000 - 1
+            : Date.parse(filter.to);
+
+    const matches = entries.filter(entry => {
+        const time = Date.parse(entry.timestamp);
+        return (!filter.actor || entry.actor.toLowerCase().includes(filter.actor))
+            && (!filter.event || entry.event === filter.event)
+            && (!filter.route || entry.route.includes(filter.route))
+            && (!filter.target || entry.target === filter.target)
+            && time >= from && time <= to;
+    }).reverse();
+
+    return {
+        entries: matches.slice(filter.offset, filter.offset + filter.limit),
+        total: matches.length,
+    };
+}
+
+/**
+ * Generate a sortable, unique audit entry ID
+ */
+export function generateAuditId() {
+    const random = crypto.getRandomValues(new Uint32Array(1))[0].toString(36);
+    return `AUD-${Date.now().toString(36).toUpperCase()}-${random.toUpperCase()}`;
+}
+
+/**
+ * Audit tab columns (A-K):
+ * Audit ID | Timestamp | Actor | Role | IP | Event | Route | Status | Target | Before | After
+ * Before and After hold JSON.
+ */
+export function auditEntryToRow(entry) {
+    return [
+        entry.auditId,
+        entry.timestamp,
+        entry.actor,
+        entry.role,
+        entry.ip,
+        entry.event,
+        entry.route,
+        String(entry.status),
+        entry.target,
+        entry.before === null ? '' : JSON.stringify(entry.before),
+        entry.after === null ? '' : JSON.stringify(entry.after),
+    ];
+}
+
+export function rowToAuditEntry(row) {
+    return {
+        auditId: row[0],
+        timestamp: row[1] || '',
+        actor: row[2] || '',
+        role: row[3] || '',
+        ip: row[4] || '',
+        event: row[5] || 'request',
+        route: row[6] || '',
+        status: parseInt(row[7]) || 0,
+        target: row[8] || '',
+        before: parseJSON(row[9]),
+        after: parseJSON(row[10]),
+    };
+}
+
+/**
+ * Parse a stored JSON column; blank or unreadable values become null
+ */
+export function parseJSON(value) {
+    if (!value) {
+        return null;
+    }
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+}
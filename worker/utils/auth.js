@@ -1,110 +1,116 @@
 /**
- * Authentication Handler
- * Handles login and token management
- * All authentication is verified by Cloudflare Worker
+ * Authentication Utilities
+ * Rate limiting and login lockout backed by RATE_LIMIT_KV
  */
 
-const API_BASE_URL = "https://gingin.tokogangan.workers.dev";
+/**
+ * Fixed-window limits per scope
+ * limit: requests allowed per window, window: window length in seconds
+ */
+export const RATE_LIMITS = {
+    loginIp: { limit: 20, window: 15 * 60 },
+    loginEmail: { limit: 10, window: 15 * 60 },
+    aiReport: { limit: 10, window: 60 * 60 },
+    aiAsk: { limit: 30, window: 60 * 60 },
+    telegram: { limit: 30, window: 60 * 60 },
+    telegramBot: { limit: 60, window: 60 * 60 },
+};
+
+// Failed logins allowed before the account is locked
+const LOCKOUT_THRESHOLD = 5;
+// First lockout lasts 1 minute and doubles with each further failure
+const LOCKOUT_BASE_SECONDS = 60;
+const LOCKOUT_MAX_SECONDS = 24 * 60 * 60;
+// Failure counters are forgotten after a day without failures
+const LOCKOUT_MEMORY_SECONDS = 24 * 60 * 60;
+
+// Cloudflare KV rejects expirations shorter than 60 seconds
+const KV_MIN_TTL = 60;
 
 /**
- * Handle login form submission
+ * Count a request against a fixed-window limit
+ * @param {Object} env - Environment containing RATE_LIMIT_KV
+ * @param {string} scope - Limit name, used as key prefix
+ * @param {string} identifier - Client IP, email, etc.
+ * @param {Object} options - { limit, window } from RATE_LIMITS
+ * @returns {Promise<Object>} { allowed, remaining, retryAfter }
  */
-document.addEventListener('DOMContentLoaded', () => {
-    const loginForm = document.getElementById('loginForm');
-    const errorMessage = document.getElementById('errorMessage');
-
-    if (loginForm) {
-        loginForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            
-            const email = document.getElementById('email').value;
-            const password = document.getElementById('password').value;
-
-            errorMessage.classList.remove('show');
-            errorMessage.textContent = '';
-
-            try {
-                const response = await fetch(`${API_BASE_URL}/api/auth/login`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({ email, password }),
-                });
-
-                const data = await response.json();
-
-                if (!response.ok) {
-                    throw new Error(data.error || 'Login failed');
-                }
-
-                // Store token and user info
-                if (data.token) {
-                    localStorage.setItem('authToken', data.token);
-                    localStorage.setItem('userRole', data.role);
-                    localStorage.setItem('userEmail', data.email);
-                }
-
-                // Redirect based on role
-                redirectToDashboard(data.role);
-
-            } catch (error) {
-                errorMessage.textContent = error.message || 'An error occurred during login';
-                errorMessage.classList.add('show');
-            }
-        });
+export async function checkRateLimit(env, scope, identifier, { limit, window }) {
+    const now = Math.floor(Date.now() / 1000);
+    const windowStart = now - (now % window);
+    const retryAfter = windowStart + window - now;
+    const key = `rl:${scope}:${identifier.toLowerCase()}:${windowStart}`;
+
+    const count = parseInt(await env.RATE_LIMIT_KV.get(key)) || 0;
+
+    if (count >= limit) {
+        return { allowed: false, remaining: 0, retryAfter };
     }
-});
+
+    await env.RATE_LIMIT_KV.put(key, String(count + 1), {
+        expirationTtl: Math.max(KV_MIN_TTL, retryAfter),
+    });
+
+    return { allowed: true, remaining: limit - count - 1, retryAfter: 0 };
+}
 
 /**
- * Redirect user to appropriate dashboard based on role
+ * Check whether an account is currently locked out
+ * @returns {Promise<number>} Seconds until the lockout ends, 0 if not locked
  */
-function redirectToDashboard(role) {
-    switch (role) {
-        case 'admin':
-            window.location.href = 'dashboard/admin.html';
-            break;
-        case 'manager':
-            window.location.href = 'dashboard/manager.html';
-            break;
-        case 'staff':
-            window.location.href = 'dashboard/staff.html';
-            break;
-        default:
-            window.location.href = 'unauthorized.html';
+export async function getLockout(env, email) {
+    const state = await env.RATE_LIMIT_KV.get(lockoutKey(email), 'json');
+    const now = Math.floor(Date.now() / 1000);
+
+    if (!state || !state.lockedUntil || state.lockedUntil <= now) {
+        return 0;
     }
+
+    return state.lockedUntil - now;
 }
 
 /**
- * Check if user is authenticated
- * Returns token if valid, null otherwise
+ * Record a failed login, locking the account once the threshold is reached
+ * Each failure past the threshold doubles the lockout, up to LOCKOUT_MAX_SECONDS
+ * @returns {Promise<number>} Seconds the account is now locked for, 0 if not locked
  */
-function getAuthToken() {
-    return localStorage.getItem('authToken');
+export async function recordLoginFailure(env, email) {
+    const key = lockoutKey(email);
+    const state = await env.RATE_LIMIT_KV.get(key, 'json') || { failures: 0 };
+    const now = Math.floor(Date.now() / 1000);
+
+    state.failures += 1;
+
+    let lockSeconds = 0;
+    if (state.failures >= LOCKOUT_THRESHOLD) {
+        const exponent = state.failures - LOCKOUT_THRESHOLD;
+        lockSeconds = Math.min(LOCKOUT_BASE_SECONDS * 2 ** exponent, LOCKOUT_MAX_SECONDS);
+        state.lockedUntil = now + lockSeconds;
+    }
+
+    await env.RATE_LIMIT_KV.put(key, JSON.stringify(state), {
+        expirationTtl: LOCKOUT_MEMORY_SECONDS + lockSeconds,
+    });
+
+    return lockSeconds;
 }
 
 /**
- * Logout user
+ * Reset the failure counter after a successful login
  */
-function logout() {
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('userRole');
-    localStorage.removeItem('userEmail');
-    window.location.href = 'login.html';
+export async function clearLoginFailures(env, email) {
+    await env.RATE_LIMIT_KV.delete(lockoutKey(email));
 }
 
 /**
- * Get authenticated user info
+ * Best-effort client IP as seen by Cloudflare
  */
-function getUserInfo() {
-    return {
-        email: localStorage.getItem('userEmail'),
-        role: localStorage.getItem('userRole'),
-    };
+export function getClientIP(request) {
+    return request.headers.get('CF-Connecting-IP')
+        || request.headers.get('X-Forwarded-For')?.split(',')[0].trim()
+        || 'unknown';
 }
 
-// Export for use in other scripts
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { getAuthToken, logout, getUserInfo };
+function lockoutKey(email) {
+    return `lockout:${email.toLowerCase()}`;
 }
-
@@ -0,0 +1,753 @@
+/**
+ * D1 Storage Adapter
+ * Keeps the same data as the spreadsheet tabs in a Cloudflare D1 (SQLite) database
+ *
+ * The schema lives in worker/migrations. Stock levels follow the same rule as the
+ * Stock tab: only explicit rows are stored, and the default location holds the remainder.
+ */
+
+import { StockError } from './errors.js';
+import { generateMovementId } from './movements.js';
+import { parseJSON } from './audit.js';
+import { encodeSnapshot, decodeSnapshot, normalizeReport } from './aiReports.js';
+import { normalizeLines } from './invoices.js';
+import { getLocationConfig, stockLevelsForItem, movementBalances } from './locations.js';
+import { prepareImport } from './inventoryFiles.js';
+import { barcodeOwner } from './items.js';
+
+const TABLES = ['items', 'stock', 'movements', 'suppliers', 'supplier_items', 'purchase_orders', 'audit_log', 'ai_reports', 'invoices'];
+// Columns added to existing tables by later migrations
+const ADDED_COLUMNS = { items: ['unit_cost', 'selling_price', 'barcode'], movements: ['unit_cost'] };
+// D1 limits the statements in one batch; imports are split into chunks of this size
+const IMPORT_BATCH_SIZE = 50;
+// Prefix of the tables that hold the previous data while an import runs
+const IMPORT_BACKUP_PREFIX = 'import_backup_';
+
+/**
+ * Create the D1 storage adapter (see utils/storage.js for the interface)
+ * @param {Object} env - Needs the DB binding
+ */
+export function createD1Storage(env) {
+    const db = env.DB;
+
+    async function findItem(itemId) {
+        const row = await db.prepare('SELECT * FROM items WHERE item_id = ?').bind(itemId).first();
+        if (!row) {
+            throw new StockError('Item not found', 404);
+        }
+        return rowToItem(row);
+    }
+
+    async function assertBarcodeFree(barcode, itemId) {
+        if (!barcode) return;
+
+        const row = await db.prepare('SELECT * FROM items WHERE barcode = ? AND item_id != ?').bind(barcode, itemId).first();
+        if (row) {
+            throw new StockError(`Barcode ${barcode} is already used by ${row.item_id}`, 409);
+        }
+    }
+
+    async function stockRowsForItem(itemId) {
+        const { results } = await db.prepare('SELECT * FROM stock WHERE item_id = ?').bind(itemId).all();
+        return results.map(rowToStock);
+    }
+
+    // `guard` is an SQL condition the write depends on; an upsert from SELECT needs a WHERE, hence 'true'
+    function upsertStock(itemId, level, guard = 'true') {
+        return db.prepare(
+            `INSERT INTO stock (item_id, location, quantity, minimum_stock, last_updated) SELECT ?, ?, ?, ?, ? WHERE ${guard}
+             ON CONFLICT (item_id, location) DO UPDATE SET
+                quantity = excluded.quantity, minimum_stock = excluded.minimum_stock, last_updated = excluded.last_updated`
+        ).bind(itemId, level.location, level.quantity, level.minimumStock, level.lastUpdated);
+    }
+
+    function insertItem(item) {
+        return db.prepare(
+            `INSERT INTO items (item_id, item_name, category, quantity, minimum_stock, last_updated, unit_cost, selling_price, barcode)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        ).bind(
+            item.itemId, item.itemName, item.category, item.quantity, item.minimumStock, item.lastUpdated,
+            item.unitCost ?? null, item.sellingPrice ?? null, item.barcode ?? null
+        );
+    }
+
+    function insertMovement(movement, guard = 'true') {
+        return db.prepare(
+            `INSERT INTO movements
+                (movement_id, timestamp, item_id, type, delta, reason, user_email, reference, note, balance, location, unit_cost)
+             SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ? WHERE ${guard}`
+        ).bind(
+            movement.movementId, movement.timestamp, movement.itemId, movement.type, movement.delta,
+            movement.reason, movement.user, movement.reference, movement.note, movement.balance, movement.location,
+            movement.unitCost ?? null
+        );
+    }
+
+    /**
+     * Write movements, in order, as one transaction
+     * Nothing is written if any of their items changed since it was read; that is a 409.
+     * @param {Array} items - The items the movements are for, as read
+     * @param {Array} stockRows - Their Stock rows, as read
+     * @returns {Promise<Array>} The recorded movements
+     */
+    async function writeMovements(items, stockRows, movements, user) {
+        const config = getLocationConfig(env);
+        const timestamp = new Date().toISOString();
+        const totals = new Map(items.map(item => [item.itemId, {
+            item,
+            quantity: item.quantity,
+            levels: stockLevelsForItem(item, stockRows, config),
+        }]));
+        const recorded = [];
+        const writes = [];
+        // The first write follows the update of every item, the others a single row
+        const guard = () => `changes() = ${writes.length ? 1 : totals.size}`;
+
+        for (const movement of movements) {
+            const total = totals.get(movement.itemId);
+            const location = movement.location || config.defaultLocation;
+            const level = total.levels.find(l => l.location === location);
+            const { balance, locationBalance, error } = movementBalances({ ...total.item, quantity: total.quantity }, level, movement);
+            if (error) {
+                throw new StockError(error);
+            }
+
+            total.quantity = balance;
+            Object.assign(level, { quantity: locationBalance, lastUpdated: timestamp });
+            const entry = {
+                ...movement,
+                location,
+                movementId: generateMovementId(),
+                timestamp,
+                user: user.email,
+                balance,
+                unitCost: movement.unitCost ?? null,
+            };
+            recorded.push(entry);
+            writes.push(insertMovement(entry, guard()));
+            writes.push(upsertStock(movement.itemId, level, guard()));
+        }
+
+        // One statement updates every item, and only if none of them changed since it was read.
+        // A batch is one transaction but does not stop at a statement that matched no rows,
+        // so each write after it only runs if the one before it did.
+        const planned = [...totals.values()].map(({ item, quantity }) => ({ itemId: item.itemId, quantity, version: item.lastUpdated }));
+        const [itemUpdate] = await db.batch([
+            db.prepare(
+                `UPDATE items SET
+                    quantity = (SELECT json_extract(value, '$.quantity') FROM json_each(?1)
+                        WHERE json_extract(value, '$.itemId') = items.item_id),
+                    last_updated = ?2
+                 WHERE item_id IN (SELECT json_extract(value, '$.itemId') FROM json_each(?1))
+                    AND (SELECT COUNT(*) FROM items AS i JOIN json_each(?1)
+                        ON json_extract(value, '$.itemId') = i.item_id AND json_extract(value, '$.version') IS i.last_updated)
+                        = json_array_length(?1)`
+            ).bind(JSON.stringify(planned), timestamp),
+            ...writes,
+        ]);
+
+        if (itemUpdate.meta.changes !== planned.length) {
+            throw new StockError('Conflict: item was changed by someone else', 409,
+                items.length === 1 ? { current: await findItem(items[0].itemId) } : {});
+        }
+
+        return recorded;
+    }
+
+    function saveSupplier(supplier) {
+        return db.prepare(
+            `INSERT OR REPLACE INTO suppliers (supplier_id, name, contact_name, email, phone, lead_time_days, notes, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+        ).bind(
+            supplier.supplierId, supplier.name, supplier.contactName, supplier.email, supplier.phone,
+            supplier.leadTimeDays, supplier.notes, supplier.updatedAt
+        );
+    }
+
+    function saveSupplierItem(link) {
+        return db.prepare(
+            `INSERT OR REPLACE INTO supplier_items (supplier_id, item_id, unit_cost, minimum_order_quantity, lead_time_days, preferred)
+             VALUES (?, ?, ?, ?, ?, ?)`
+        ).bind(
+            link.supplierId, link.itemId, link.unitCost, link.minimumOrderQuantity, link.leadTimeDays, link.preferred ? 1 : 0
+        );
+    }
+
+    function savePurchaseOrder(po) {
+        return db.prepare(
+            `INSERT OR REPLACE INTO purchase_orders
+                (po_id, status, supplier, lines, note, created_at, created_by, approved_by, sent_at, received_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        ).bind(
+            po.poId, po.status, po.supplier, JSON.stringify(po.lines), po.note, po.createdAt, po.createdBy,
+            po.approvedBy, po.sentAt, po.receivedAt, po.updatedAt
+        );
+    }
+
+    function saveInvoice(invoice) {
+        return db.prepare(
+            `INSERT OR REPLACE INTO invoices
+                (invoice_id, status, customer, lines, total, location, note, created_at, created_by, paid_at, paid_by, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        ).bind(
+            invoice.invoiceId, invoice.status, invoice.customer, JSON.stringify(invoice.lines), invoice.total,
+            invoice.location, invoice.note, invoice.createdAt, invoice.createdBy, invoice.paidAt, invoice.paidBy,
+            invoice.updatedAt
+        );
+    }
+
+    function insertAuditEntry(entry) {
+        return db.prepare(
+            `INSERT INTO audit_log (audit_id, timestamp, actor, role, ip, event, route, status, target, before, after)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        ).bind(
+            entry.auditId, entry.timestamp, entry.actor, entry.role, entry.ip, entry.event, entry.route, entry.status,
+            entry.target, entry.before === null ? null : JSON.stringify(entry.before),
+            entry.after === null ? null : JSON.stringify(entry.after)
+        );
+    }
+
+    function insertAIReport(record) {
+        return db.prepare(
+            `INSERT INTO ai_reports (report_id, created_at, created_by, source, model, structured, report, snapshot)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+        ).bind(
+            record.reportId, record.createdAt, record.createdBy, record.source, record.model, record.structured ? 1 : 0,
+            JSON.stringify(record.report), encodeSnapshot(record.snapshot)
+        );
+    }
+
+    return {
+        backend: 'd1',
+
+        async listItems() {
+            const { results } = await db.prepare('SELECT * FROM items ORDER BY rowid').all();
+            return results.map(rowToItem);
+        },
+
+        getItem: findItem,
+
+        /**
+         * Add a new item with no stock
+         * Item IDs are unique regardless of case
+         */
+        async createItem(item) {
+            const existing = await db.prepare('SELECT item_id FROM items WHERE item_id = ? COLLATE NOCASE')
+                .bind(item.itemId).first();
+            if (existing) {
+                throw new StockError(`Item ${item.itemId} already exists`, 409);
+            }
+            await assertBarcodeFree(item.barcode, item.itemId);
+
+            await insertItem({ ...item, quantity: 0, lastUpdated: new Date().toISOString() }).run();
+        },
+
+        async updateItem(itemId, changes, expectedLastUpdated) {
+            const item = await findItem(itemId);
+
+            if (expectedLastUpdated !== undefined && expectedLastUpdated !== item.lastUpdated) {
+                throw new StockError('Conflict: item was changed by someone else', 409, { current: item });
+            }
+
+            await assertBarcodeFree(changes.barcode, itemId);
+
+            const updated = { ...item, ...changes, lastUpdated: new Date().toISOString() };
+
+            // Only the descriptive fields are written, so a concurrent stock change to the quantity survives
+            await db.prepare(
+                `UPDATE items SET item_name = ?, category = ?, minimum_stock = ?, unit_cost = ?, selling_price = ?, barcode = ?,
+                    last_updated = ?
+                 WHERE item_id = ?`
+            ).bind(
+                updated.itemName, updated.category, updated.minimumStock, updated.unitCost, updated.sellingPrice,
+                updated.barcode, updated.lastUpdated, itemId
+            ).run();
+
+            return updated;
+        },
+
+        /**
+         * Delete an item and its stock levels
+         * Its movements stay in the ledger for the record.
+         */
+        async deleteItem(itemId, force) {
+            const item = await findItem(itemId);
+
+            if (item.quantity > 0 && !force) {
+                throw new StockError(`Item ${itemId} still has ${item.quantity} in stock; pass force=true to delete anyway`, 409);
+            }
+
+            await db.batch([
+                db.prepare('DELETE FROM items WHERE item_id = ?').bind(itemId),
+                db.prepare('DELETE FROM stock WHERE item_id = ?').bind(itemId),
+            ]);
+        },
+
+        async listStockLevels() {
+            const { results } = await db.prepare('SELECT * FROM stock ORDER BY rowid').all();
+            return results.map(rowToStock);
+        },
+
+        async setLocationMinimum(itemId, location, minimumStock) {
+            const item = await findItem(itemId);
+            const level = stockLevelsForItem(item, await stockRowsForItem(itemId), getLocationConfig(env))
+                .find(l => l.location === location);
+            const updated = { ...level, minimumStock };
+
+            // Only the minimum of an existing row is changed, so a movement applied since the read keeps its quantity
+            await db.prepare(
+                `INSERT INTO stock (item_id, location, quantity, minimum_stock, last_updated) VALUES (?, ?, ?, ?, ?)
+                 ON CONFLICT (item_id, location) DO UPDATE SET minimum_stock = excluded.minimum_stock`
+            ).bind(itemId, location, updated.quantity, minimumStock, updated.lastUpdated).run();
+
+            return updated;
+        },
+
+        /**
+         * Apply a validated movement
+         * The item total, the location level and the ledger entry are written in one transaction,
+         * and only if the item is unchanged since it was read; otherwise 409.
+         */
+        async applyMovement(movement, user, prepare) {
+            const item = await findItem(movement.itemId);
+            const stockRows = await stockRowsForItem(item.itemId);
+
+            if (prepare) {
+                const config = getLocationConfig(env);
+                const location = movement.location || config.defaultLocation;
+                const level = stockLevelsForItem(item, stockRows, config).find(l => l.location === location);
+                const changes = prepare(item, level);
+                if (!changes) {
+                    return null;
+                }
+                movement = { ...movement, ...changes };
+            }
+
+            const [recorded] = await writeMovements([item], stockRows, [movement], user);
+            return recorded;
+        },
+
+        /**
+         * Apply validated movements together in one transaction, e.g. both legs of a transfer
+         */
+        async applyMovements(movements, user) {
+            const itemIds = [...new Set(movements.map(movement => movement.itemId))];
+            const [items, stockRows] = await Promise.all([
+                Promise.all(itemIds.map(findItem)),
+                Promise.all(itemIds.map(stockRowsForItem)),
+            ]);
+            return writeMovements(items, stockRows.flat(), movements, user);
+        },
+
+        /**
+         * Apply a planned import (utils/inventoryFiles.js) in one transaction
+         */
+        async importItems(plan, user, reference) {
+            const [items, stockRows] = await Promise.all([this.listItems(), this.listStockLevels()]);
+            const result = prepareImport(plan, { items, stockRows, config: getLocationConfig(env), user, reference });
+
+            await db.batch([
+                ...result.created.map(insertItem),
+                ...result.updated.map(item => db.prepare(
+                    `UPDATE items SET item_name = ?, category = ?, quantity = ?, minimum_stock = ?, unit_cost = ?,
+                        selling_price = ?, barcode = ?, last_updated = ?
+                     WHERE item_id = ?`
+                ).bind(
+                    item.itemName, item.category, item.quantity, item.minimumStock, item.unitCost ?? null,
+                    item.sellingPrice ?? null, item.barcode ?? null, item.lastUpdated, item.itemId
+                )),
+                ...result.levels.map(({ itemId, level }) => upsertStock(itemId, level)),
+                ...result.movements.map(movement => insertMovement(movement)),
+            ]);
+
+            return result;
+        },
+
+        async listMovements() {
+            const { results } = await db.prepare('SELECT * FROM movements ORDER BY rowid').all();
+            return results.map(rowToMovement);
+        },
+
+        async listSuppliers() {
+            const { results } = await db.prepare('SELECT * FROM suppliers ORDER BY rowid').all();
+            return results.map(rowToSupplier);
+        },
+
+        async getSupplier(supplierId) {
+            const row = await db.prepare('SELECT * FROM suppliers WHERE supplier_id = ?').bind(supplierId).first();
+            if (!row) {
+                throw new StockError('Supplier not found', 404);
+            }
+            return rowToSupplier(row);
+        },
+
+        async createSupplier(supplier) {
+            await saveSupplier(supplier).run();
+        },
+
+        async updateSupplier(supplier) {
+            await this.getSupplier(supplier.supplierId);
+            await saveSupplier(supplier).run();
+        },
+
+        async deleteSupplier(supplierId) {
+            await this.getSupplier(supplierId);
+            await db.batch([
+                db.prepare('DELETE FROM suppliers WHERE supplier_id = ?').bind(supplierId),
+                db.prepare('DELETE FROM supplier_items WHERE supplier_id = ?').bind(supplierId),
+            ]);
+        },
+
+        async listSupplierItems() {
+            const { results } = await db.prepare('SELECT * FROM supplier_items ORDER BY rowid').all();
+            return results.map(rowToSupplierItem);
+        },
+
+        /**
+         * Save a supplier's terms for an item
+         * Marking a link preferred clears the flag on the item's other suppliers.
+         * @returns {Promise<Object>} { created }
+         */
+        async setSupplierItem(link) {
+            const existing = await db.prepare('SELECT 1 FROM supplier_items WHERE supplier_id = ? AND item_id = ?')
+                .bind(link.supplierId, link.itemId).first();
+
+            const statements = [saveSupplierItem(link)];
+            if (link.preferred) {
+                statements.push(
+                    db.prepare('UPDATE supplier_items SET preferred = 0 WHERE item_id = ? AND supplier_id != ?')
+                        .bind(link.itemId, link.supplierId)
+                );
+            }
+            await db.batch(statements);
+
+            return { created: !existing };
+        },
+
+        async removeSupplierItem(supplierId, itemId) {
+            const result = await db.prepare('DELETE FROM supplier_items WHERE supplier_id = ? AND item_id = ?')
+                .bind(supplierId, itemId).run();
+            if (!result.meta.changes) {
+                throw new StockError('Supplier does not supply this item', 404);
+            }
+        },
+
+        async listPurchaseOrders() {
+            const { results } = await db.prepare('SELECT * FROM purchase_orders ORDER BY rowid').all();
+            return results.map(rowToPurchaseOrder);
+        },
+
+        async getPurchaseOrder(poId) {
+            const row = await db.prepare('SELECT * FROM purchase_orders WHERE po_id = ?').bind(poId).first();
+            if (!row) {
+                throw new StockError('Purchase order not found', 404);
+            }
+            return rowToPurchaseOrder(row);
+        },
+
+        async createPurchaseOrder(po) {
+            await savePurchaseOrder(po).run();
+        },
+
+        async updatePurchaseOrder(po, expectedUpdatedAt) {
+            await this.getPurchaseOrder(po.poId);
+
+            if (expectedUpdatedAt === undefined) {
+                await savePurchaseOrder(po).run();
+                return;
+            }
+
+            const result = await db.prepare(
+                `UPDATE purchase_orders SET status = ?, supplier = ?, lines = ?, note = ?, approved_by = ?, sent_at = ?,
+                    received_at = ?, updated_at = ?
+                 WHERE po_id = ? AND updated_at = ?`
+            ).bind(
+                po.status, po.supplier, JSON.stringify(po.lines), po.note, po.approvedBy, po.sentAt, po.receivedAt,
+                po.updatedAt, po.poId, expectedUpdatedAt
+            ).run();
+            if (!result.meta.changes) {
+                throw new StockError('Conflict: purchase order was changed by someone else', 409, {
+                    current: await this.getPurchaseOrder(po.poId),
+                });
+            }
+        },
+
+        async listInvoices() {
+            const { results } = await db.prepare('SELECT * FROM invoices ORDER BY rowid').all();
+            return results.map(rowToInvoice);
+        },
+
+        async getInvoice(invoiceId) {
+            const row = await db.prepare('SELECT * FROM invoices WHERE invoice_id = ?').bind(invoiceId).first();
+            if (!row) {
+                throw new StockError('Invoice not found', 404);
+            }
+            return rowToInvoice(row);
+        },
+
+        async createInvoice(invoice) {
+            await saveInvoice(invoice).run();
+        },
+
+        async updateInvoice(invoice, expectedUpdatedAt) {
+            await this.getInvoice(invoice.invoiceId);
+
+            if (expectedUpdatedAt === undefined) {
+                await saveInvoice(invoice).run();
+                return;
+            }
+
+            const result = await db.prepare(
+                `UPDATE invoices SET status = ?, customer = ?, lines = ?, total = ?, location = ?, note = ?, paid_at = ?,
+                    paid_by = ?, updated_at = ?
+                 WHERE invoice_id = ? AND updated_at = ?`
+            ).bind(
+                invoice.status, invoice.customer, JSON.stringify(invoice.lines), invoice.total, invoice.location,
+                invoice.note, invoice.paidAt, invoice.paidBy, invoice.updatedAt, invoice.invoiceId, expectedUpdatedAt
+            ).run();
+            if (!result.meta.changes) {
+                throw new StockError('Conflict: invoice was changed by someone else', 409, {
+                    current: await this.getInvoice(invoice.invoiceId),
+                });
+            }
+        },
+
+        async appendAuditEntry(entry) {
+            await insertAuditEntry(entry).run();
+        },
+
+        async listAuditEntries() {
+            const { results } = await db.prepare('SELECT * FROM audit_log ORDER BY rowid').all();
+            return results.map(rowToAuditEntry);
+        },
+
+        async createAIReport(record) {
+            await insertAIReport(record).run();
+        },
+
+        async listAIReports({ snapshots = false } = {}) {
+            const columns = `report_id, created_at, created_by, source, model, structured, report${snapshots ? ', snapshot' : ''}`;
+            const { results } = await db.prepare(`SELECT ${columns} FROM ai_reports ORDER BY rowid`).all();
+            return results.map(rowToAIReport);
+        },
+
+        async getAIReport(reportId) {
+            const row = await db.prepare('SELECT * FROM ai_reports WHERE report_id = ?').bind(reportId).first();
+            if (!row) {
+                throw new StockError('Report not found', 404);
+            }
+            return rowToAIReport(row);
+        },
+
+        /**
+         * Check that the migrations have been applied
+         */
+        async checkLayout() {
+            const { results } = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all();
+            const names = results.map(row => row.name);
+
+            return Promise.all(TABLES.map(async table => {
+                if (!names.includes(table)) {
+                    return { name: table, ok: false, error: `Table ${table} is missing; apply the migrations in worker/migrations` };
+                }
+
+                const { results: columns } = await db.prepare('SELECT name FROM pragma_table_info(?)').bind(table).all();
+                const missing = (ADDED_COLUMNS[table] || []).filter(column => !columns.some(c => c.name === column));
+                return missing.length
+                    ? { name: table, ok: false, error: `Table ${table} has no ${missing.join(', ')} column; apply the migrations in worker/migrations` }
+                    : { name: table, ok: true };
+            }));
+        },
+
+        /**
+         * Load a full copy of another backend's data
+         * @param {Object} snapshot - { items, stockLevels, movements, suppliers, supplierItems, purchaseOrders, invoices,
+         *   auditEntries, aiReports }
+         * @param {Object} options - { replace } clears existing data first; otherwise a non-empty database is refused
+         * The rows go in chunks, each its own transaction, so every table is first copied aside and put
+         * back if a chunk fails. Should putting it back fail too, the copies are kept as import_backup_*.
+         */
+        async importSnapshot(snapshot, { replace = false } = {}) {
+            const existing = await db.prepare('SELECT COUNT(*) AS count FROM items').first();
+            if (existing.count > 0 && !replace) {
+                throw new StockError('The D1 database already has data; pass replace=true to overwrite it', 409);
+            }
+
+            const statements = [
+                ...snapshot.items.map(insertItem),
+                ...snapshot.stockLevels.map(level => upsertStock(level.itemId, level)),
+                ...snapshot.movements.map(movement => insertMovement(movement)),
+                ...snapshot.suppliers.map(saveSupplier),
+                ...snapshot.supplierItems.map(saveSupplierItem),
+                ...snapshot.purchaseOrders.map(savePurchaseOrder),
+                ...snapshot.invoices.map(saveInvoice),
+                ...snapshot.auditEntries.map(insertAuditEntry),
+                ...snapshot.aiReports.map(insertAIReport),
+            ];
+            const dropBackups = () => db.batch(TABLES.map(table => db.prepare(`DROP TABLE IF EXISTS ${IMPORT_BACKUP_PREFIX}${table}`)));
+
+            await db.batch(TABLES.flatMap(table => [
+                db.prepare(`DROP TABLE IF EXISTS ${IMPORT_BACKUP_PREFIX}${table}`),
+                db.prepare(`CREATE TABLE ${IMPORT_BACKUP_PREFIX}${table} AS SELECT * FROM ${table}`),
+                db.prepare(`DELETE FROM ${table}`),
+            ]));
+
+            try {
+                for (let i = 0; i < statements.length; i += IMPORT_BATCH_SIZE) {
+                    await db.batch(statements.slice(i, i + IMPORT_BATCH_SIZE));
+                }
+            } catch (error) {
+                console.error('Error importing into D1:', error);
+                await db.batch(TABLES.flatMap(table => [
+                    db.prepare(`DELETE FROM ${table}`),
+                    db.prepare(`INSERT INTO ${table} SELECT * FROM ${IMPORT_BACKUP_PREFIX}${table}`),
+                ]));
+                await dropBackups();
+                throw new StockError('Copying into D1 failed part way; its tables were put back as they were', 500);
+            }
+
+            await dropBackups();
+        },
+    };
+}
+
+function rowToItem(row) {
+    return {
+        itemId: row.item_id,
+        itemName: row.item_name,
+        category: row.category,
+        quantity: row.quantity,
+        minimumStock: row.minimum_stock,
+        lastUpdated: row.last_updated,
+        unitCost: row.unit_cost ?? null,
+        sellingPrice: row.selling_price ?? null,
+        barcode: row.barcode ?? null,
+    };
+}
+
+function rowToStock(row) {
+    return {
+        itemId: row.item_id,
+        location: row.location,
+        quantity: row.quantity,
+        minimumStock: row.minimum_stock,
+        lastUpdated: row.last_updated,
+    };
+}
+
+function rowToMovement(row) {
+    return {
+        movementId: row.movement_id,
+        timestamp: row.timestamp,
+        itemId: row.item_id,
+        type: row.type,
+        delta: row.delta,
+        reason: row.reason,
+        user: row.user_email,
+        reference: row.reference,
+        note: row.note,
+        balance: row.balance,
+        location: row.location,
+        unitCost: row.unit_cost ?? null,
+    };
+}
+
+function rowToSupplier(row) {
+    return {
+        supplierId: row.supplier_id,
+        name: row.name,
+        contactName: row.contact_name,
+        email: row.email,
+        phone: row.phone,
+        leadTimeDays: row.lead_time_days,
+        notes: row.notes,
+        updatedAt: row.updated_at,
+    };
+}
+
+function rowToSupplierItem(row) {
+    return {
+        supplierId: row.supplier_id,
+        itemId: row.item_id,
+        unitCost: row.unit_cost,
+        minimumOrderQuantity: row.minimum_order_quantity,
+        leadTimeDays: row.lead_time_days,
+        preferred: Boolean(row.preferred),
+    };
+}
+
+function rowToPurchaseOrder(row) {
+    let lines;
+    try {
+        lines = JSON.parse(row.lines || '[]');
+    } catch {
+        lines = [];
+    }
+
+    return {
+        poId: row.po_id,
+        status: row.status,
+        supplier: row.supplier,
+        lines,
+        note: row.note,
+        createdAt: row.created_at,
+        createdBy: row.created_by,
+        approvedBy: row.approved_by,
+        sentAt: row.sent_at,
+        receivedAt: row.received_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function rowToInvoice(row) {
+    let lines;
+    try {
+        lines = JSON.parse(row.lines || '[]');
+    } catch {
+        lines = [];
+    }
+
+    return {
+        invoiceId: row.invoice_id,
+        status: row.status,
+        customer: row.customer,
+        lines: normalizeLines(lines),
+        total: row.total,
+        location: row.location,
+        note: row.note,
+        createdAt: row.created_at,
+        createdBy: row.created_by,
+        paidAt: row.paid_at,
+        paidBy: row.paid_by,
+        updatedAt: row.updated_at,
+    };
+}
+
+function rowToAuditEntry(row) {
+    return {
+        auditId: row.audit_id,
+        timestamp: row.timestamp,
+        actor: row.actor,
+        role: row.role,
+        ip: row.ip,
+        event: row.event,
+        route: row.route,
+        status: row.status,
+        target: row.target,
+        before: parseJSON(row.before),
+        after: parseJSON(row.after),
+    };
+}
+
+function rowToAIReport(row) {
+    return {
+        reportId: row.report_id,
+        createdAt: row.created_at,
+        createdBy: row.created_by,
+        source: row.source,
+        model: row.model,
+        structured: Boolean(row.structured),
+        report: normalizeReport(parseJSON(row.report)),
+        snapshot: decodeSnapshot(row.snapshot),
+    };
+}
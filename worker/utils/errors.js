@@ -0,0 +1,15 @@
+/**
+ * Error Types
+ * Shared by the route handlers and the storage adapters
+ */
+
+/**
+ * Error with an HTTP status for stock operations the client can fix
+ */
+export class StockError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * Demand Forecasting Utilities
+ * Consumption rates and days until stockout per item, computed from the movement ledger
+ *
+ * Each item's daily issued quantities over the last FORECAST_LOOKBACK_DAYS complete
+ * days are smoothed with simple exponential smoothing; the final level is the expected
+ * units per day. With one-step forecast errors of standard deviation sigma, the level
+ * itself varies by sigma * sqrt(alpha / (2 - alpha)), which gives the rate band and,
+ * divided into stock on hand, the days-left band. As in utils/reorder.js, only issues
+ * count as consumption.
+ */
+
+// Days of history the model looks at
+export const FORECAST_LOOKBACK_DAYS = 90;
+// Smoothing factor: higher follows recent days more closely
+export const FORECAST_ALPHA = 0.3;
+// Two-sided coverage of the band and its z-score
+export const FORECAST_CONFIDENCE = 0.8;
+const Z_SCORE = 1.2816;
+// Forecasts built from fewer days of history are flagged lowConfidence
+const MIN_HISTORY_DAYS = 14;
+// Days used to seed the smoothed level
+const SEED_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parameters reported alongside forecasts
+ */
+export const FORECAST_MODEL = {
+    method: 'simple exponential smoothing',
+    alpha: FORECAST_ALPHA,
+    lookbackDays: FORECAST_LOOKBACK_DAYS,
+    confidence: FORECAST_CONFIDENCE,
+};
+
+/**
+ * Forecast every item
+ * @param {Array} items - Items with the quantity to forecast from
+ * @param {Array} movements - Ledger entries for those items (any order)
+ * @param {Date} [now]
+ * @returns {Array} One forecast per item, in item order (see forecastItem)
+ */
+export function forecastInventory(items, movements, now = new Date()) {
+    const series = dailyIssueSeries(movements, now);
+    return items.map(item => forecastItem(item, series.get(item.itemId) || [], now));
+}
+
+/**
+ * Forecast one item from its daily issue series
+ * @returns {Object} { itemId, quantity, dailyRate, rateLow, rateHigh, daysLeft, daysLeftLow, daysLeftHigh,
+ *   stockoutDate, observations, lowConfidence } where daysLeftLow is the earliest likely stockout and
+ *   daysLeft/daysLeftHigh/stockoutDate are null when no stockout is expected at that rate
+ */
+export function forecastItem(item, series, now = new Date()) {
+    const { rate, sigma } = smooth(series);
+    const spread = Z_SCORE * sigma * Math.sqrt(FORECAST_ALPHA / (2 - FORECAST_ALPHA));
+    const rateLow = Math.max(rate - spread, 0);
+    const rateHigh = rate + spread;
+    const quantity = Math.max(item.quantity, 0);
+
+    const daysAt = dailyRate => (quantity === 0 ? 0 : dailyRate > 0 ? quantity / dailyRate : null);
+    const daysLeft = daysAt(rate);
+
+    return {
+        itemId: item.itemId,
+        quantity: item.quantity,
+        dailyRate: round(rate, 2),
+        rateLow: round(rateLow, 2),
+        rateHigh: round(rateHigh, 2),
+        daysLeft: round(daysLeft, 1),
+        daysLeftLow: round(daysAt(rateHigh), 1),
+        daysLeftHigh: round(daysAt(rateLow), 1),
+        stockoutDate: daysLeft === null ? null : new Date(now.getTime() + daysLeft * DAY_MS).toISOString().slice(0, 10),
+        observations: series.length,
+        lowConfidence: series.length < MIN_HISTORY_DAYS,
+    };
+}
+
+/**
+ * Units issued per complete UTC day, per item, oldest day first
+ * A series starts at the lookback window or at the item's first movement, whichever is later,
+ * so new items are not diluted by days before they existed. Today is left out as incomplete.
+ * @returns {Map<string, number[]>} itemId -> daily issued quantities
+ */
+export function dailyIssueSeries(movements, now = new Date()) {
+    const today = Math.floor(now.getTime() / DAY_MS);
+    const windowStart = today - FORECAST_LOOKBACK_DAYS;
+    const firstDay = new Map();
+    const issued = new Map();
+
+    for (const movement of movements) {
+        const time = Date.parse(movement.timestamp);
+        if (isNaN(time)) continue;
+
+        const day = Math.floor(time / DAY_MS);
+        firstDay.set(movement.itemId, Math.min(firstDay.get(movement.itemId) ?? day, day));
+
+        if (movement.type === 'issue' && day >= windowStart && day < today) {
+            const days = issued.get(movement.itemId) || new Map();
+            days.set(day, (days.get(day) || 0) - movement.delta);
+            issued.set(movement.itemId, days);
+        }
+    }
+
+    const series = new Map();
+    for (const [itemId, first] of firstDay) {
+        const days = issued.get(itemId) || new Map();
+        const start = Math.max(first, windowStart);
+        series.set(itemId, Array.from({ length: Math.max(today - start, 0) }, (_, i) => days.get(start + i) || 0));
+    }
+    return series;
+}
+
+/**
+ * Simple exponential smoothing, seeded with the mean of the first SEED_DAYS days
+ * @returns {Object} { rate, sigma } where sigma is the RMS one-step forecast error
+ */
+function smooth(series) {
+    if (!series.length) {
+        return { rate: 0, sigma: 0 };
+    }
+
+    const seed = series.slice(0, SEED_DAYS);
+    let level = seed.reduce((sum, value) => sum + value, 0) / seed.length;
+    let squaredErrors = 0;
+
+    for (const value of series) {
+        const error = value - level;
+        squaredErrors += error * error;
+        level += FORECAST_ALPHA * error;
+    }
+
+    return { rate: level, sigma: Math.sqrt(squaredErrors / series.length) };
+}
+
+function round(value, digits) {
+    if (value === null) {
+        return null;
+    }
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
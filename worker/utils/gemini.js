@@ -1,54 +1,313 @@
 /**
  * Google Gemini AI Integration Utilities
- * Handles AI report generation using Gemini API
+ * Handles AI report generation and inventory questions using Gemini API
+ *
+ * Reports are requested as JSON matching REPORT_SCHEMA and checked against the
+ * inventory before use. Output that cannot be read or does not check out is
+ * replaced by a report computed from the stock figures, so callers always get
+ * the same shape back.
  */
 
+import { suggestOrderQuantity } from './purchaseOrders.js';
+
+const GEMINI_API = 'https://generativelanguage.googleapis.com/v1beta/models';
+const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash';
+// Rounds of tool calls allowed per question; the round after that must answer in text
+const MAX_TOOL_ROUNDS = 5;
+
+export const REPORT_PRIORITIES = ['high', 'medium', 'low'];
+
+// Response schema in the OpenAPI subset Gemini accepts for structured output
+export const REPORT_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        summary: { type: 'STRING', description: 'Two or three sentences on the overall stock position' },
+        lowStockItems: {
+            type: 'ARRAY',
+            description: 'Items that need restocking, most urgent first',
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    itemId: { type: 'STRING' },
+                    itemName: { type: 'STRING' },
+                    restockQuantity: { type: 'INTEGER', description: 'Units to order now' },
+                    priority: { type: 'STRING', enum: REPORT_PRIORITIES },
+                    rationale: { type: 'STRING', description: 'One sentence on why and how urgently' },
+                },
+                required: ['itemId', 'restockQuantity', 'priority', 'rationale'],
+                propertyOrdering: ['itemId', 'itemName', 'restockQuantity', 'priority', 'rationale'],
+            },
+        },
+        recommendations: { type: 'ARRAY', items: { type: 'STRING' } },
+        insights: { type: 'ARRAY', items: { type: 'STRING' } },
+    },
+    required: ['summary', 'lowStockItems', 'recommendations'],
+    propertyOrdering: ['summary', 'lowStockItems', 'recommendations', 'insights'],
+};
+
+/**
+ * Gemini model to call (GEMINI_MODEL, default gemini-2.5-flash)
+ */
+export function getGeminiModel(env) {
+    return (env.GEMINI_MODEL || '').trim() || DEFAULT_GEMINI_MODEL;
+}
+
 /**
  * Generate AI report using Gemini
  * @param {Array} inventory - Inventory items array
  * @param {Object} env - Environment variables containing GEMINI_API_KEY
- * @returns {Promise<string>} Generated report text
+ * @param {Array} [reorderPlans] - Per-item plans from utils/reorder.js (supplier, lead time, usage)
+ * @param {Array} [forecasts] - Per-item forecasts from utils/forecast.js (consumption rate, days until stockout)
+ * @returns {Promise<Object>} { report, model, structured, problems? } where report is
+ *   { summary, lowStockItems: [{ itemId, itemName, restockQuantity, priority, rationale }],
+ *   recommendations, insights }; structured is false when the fallback report was used
  */
-export async function generateGeminiReport(inventory, env) {
-    const apiKey = env.GEMINI_API_KEY;
-    const model = 'gemini-pro';
+export async function generateGeminiReport(inventory, env, reorderPlans = [], forecasts = []) {
+    const model = getGeminiModel(env);
 
     // Analyze inventory
     const lowStockItems = inventory.filter(item => item.quantity <= item.minimumStock);
     const totalItems = inventory.length;
-    const totalValue = inventory.reduce((sum, item) => sum + (item.quantity * (item.price || 0)), 0);
+    const costed = inventory.filter(item => item.unitCost != null);
+    const totalValue = costed.reduce((sum, item) => sum + Math.max(item.quantity, 0) * item.unitCost, 0);
+    const plans = new Map(reorderPlans.map(plan => [plan.itemId, plan]));
+    const forecastsById = new Map(forecasts.map(forecast => [forecast.itemId, forecast]));
 
     // Create prompt for Gemini
-    const prompt = `Analyze this inventory data and provide a comprehensive report:
+    const prompt = `Analyze this inventory data and report on it:
 
 Total Items: ${totalItems}
 Low Stock Items: ${lowStockItems.length}
+Stock Value at Unit Cost: ${totalValue.toFixed(2)}${costed.length < totalItems ? ` (${totalItems - costed.length} items have no unit cost)` : ''}
 
 Inventory Details:
-${inventory.map(item => 
-    `- ${item.itemName} (${item.category}): ${item.quantity} units (min: ${item.minimumStock}) ${item.quantity <= item.minimumStock ? '[LOW STOCK]' : ''}`
+${inventory.map(item =>
+    `- [${item.itemId}] ${item.itemName} (${item.category}): ${item.quantity} units (min: ${item.minimumStock})${formatPrices(item)} ${item.quantity <= item.minimumStock ? '[LOW STOCK]' : ''}${formatReorderPlan(plans.get(item.itemId))}${formatForecast(forecastsById.get(item.itemId))}`
 ).join('\n')}
 
-Please provide:
-1. A summary of the current inventory status
-2. List of items that need immediate restocking
-3. Recommendations for inventory management
-4. Any patterns or insights you notice
+Reorder point = average daily usage over the last 30 days x supplier lead time + minimum stock.
+Suggested order quantities already allow for stock on order, and are raised to the supplier's minimum
+order quantity when below it.
+Forecasts smooth daily issues over the last 90 days; days left is stock on hand / forecast rate, with an
+80% range. An item whose earliest stockout comes before its supplier's lead time is urgent.
+
+Provide:
+1. summary: the current inventory status
+2. lowStockItems: every item that needs restocking, by its ID in square brackets, with the quantity to order,
+   a priority (high, medium or low) that takes each supplier's lead time into account, and a one-sentence rationale
+3. recommendations: actions for inventory management
+4. insights: any patterns you notice`;
+
+    const data = await callGemini(model, {
+        contents: [{
+            parts: [{
+                text: prompt,
+            }],
+        }],
+        generationConfig: {
+            responseMimeType: 'application/json',
+            responseSchema: REPORT_SCHEMA,
+        },
+    }, env);
+
+    const reportText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+
+    const { report, problems } = parseReport(reportText, inventory);
+    if (report) {
+        return { report, model, structured: true };
+    }
+
+    console.error(`Unusable Gemini report from ${model}:`, problems, reportText);
+    return { report: buildFallbackReport(inventory, plans), model, structured: false, problems };
+}
+
+/**
+ * Answer a question, letting Gemini call tools for the data it needs
+ * @param {Object} chat - { question, history: [{ role, text }], systemPrompt, tools } where tools are
+ *   function declarations ({ name, description, parameters })
+ * @param {Function} runTool - async (name, args) => result object returned to Gemini
+ * @param {Object} env - Environment variables containing GEMINI_API_KEY
+ * @returns {Promise<Object>} { answer, model, toolCalls: [{ name, args }] }
+ */
+export async function askGemini({ question, history = [], systemPrompt, tools }, runTool, env) {
+    const model = getGeminiModel(env);
+    const contents = [
+        ...history.map(turn => ({ role: turn.role, parts: [{ text: turn.text }] })),
+        { role: 'user', parts: [{ text: question }] },
+    ];
+    const toolCalls = [];
+
+    for (let round = 0; ; round++) {
+        const data = await callGemini(model, {
+            systemInstruction: { parts: [{ text: systemPrompt }] },
+            contents,
+            ...(tools.length ? {
+                tools: [{ functionDeclarations: tools }],
+                // Out of rounds: the tools stay declared for the calls already made, but Gemini must answer
+                toolConfig: { functionCallingConfig: { mode: round < MAX_TOOL_ROUNDS ? 'AUTO' : 'NONE' } },
+            } : {}),
+        }, env);
+
+        const content = data.candidates?.[0]?.content;
+        const parts = content?.parts || [];
+        const calls = parts.filter(part => part.functionCall).map(part => part.functionCall);
 
-Format the response as a clear, professional report.`;
+        if (!calls.length || round >= MAX_TOOL_ROUNDS) {
+            const answer = parts.map(part => part.text || '').join('').trim();
+            if (!answer) {
+                throw new Error(`Gemini returned no answer (finish reason ${data.candidates?.[0]?.finishReason || 'unknown'})`);
+            }
+            return { answer, model, toolCalls };
+        }
+
+        const responses = [];
+        for (const call of calls) {
+            toolCalls.push({ name: call.name, args: call.args || {} });
+            responses.push({ functionResponse: { name: call.name, response: await runTool(call.name, call.args || {}) } });
+        }
+        contents.push({ role: 'model', parts }, { role: 'user', parts: responses });
+    }
+}
 
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`, {
+/**
+ * Parse and check Gemini's JSON against the schema and the inventory
+ * Items are matched by ID and take their names from the inventory.
+ * @returns {Object} { report } when usable, { problems } otherwise
+ */
+export function parseReport(text, inventory) {
+    if (!text) {
+        return { problems: ['Gemini returned no report'] };
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        return { problems: ['Gemini did not return valid JSON'] };
+    }
+
+    const problems = [];
+    if (!parsed || typeof parsed !== 'object') {
+        return { problems: ['Report is not an object'] };
+    }
+    if (typeof parsed.summary !== 'string' || !parsed.summary.trim()) {
+        problems.push('summary must be a non-empty string');
+    }
+    for (const field of ['recommendations', 'insights']) {
+        const value = parsed[field] ?? [];
+        if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) {
+            problems.push(`${field} must be a list of strings`);
+        }
+    }
+    if (!Array.isArray(parsed.lowStockItems)) {
+        problems.push('lowStockItems must be a list');
+    }
+    if (problems.length) {
+        return { problems };
+    }
+
+    const items = new Map(inventory.map(item => [item.itemId, item]));
+    const lowStockItems = parsed.lowStockItems.map((entry, i) => {
+        const item = items.get(entry?.itemId);
+        if (!item) {
+            problems.push(`lowStockItems[${i}]: unknown item ${entry?.itemId}`);
+        }
+        if (!Number.isInteger(entry?.restockQuantity) || entry.restockQuantity < 0) {
+            problems.push(`lowStockItems[${i}]: restockQuantity must be a non-negative integer`);
+        }
+        if (!REPORT_PRIORITIES.includes(entry?.priority)) {
+            problems.push(`lowStockItems[${i}]: priority must be one of ${REPORT_PRIORITIES.join(', ')}`);
+        }
+
+        return {
+            itemId: entry?.itemId,
+            itemName: item ? item.itemName : '',
+            restockQuantity: entry?.restockQuantity,
+            priority: entry?.priority,
+            rationale: typeof entry?.rationale === 'string' ? entry.rationale.trim() : '',
+        };
+    });
+    if (problems.length) {
+        return { problems };
+    }
+
+    return {
+        report: {
+            summary: parsed.summary.trim(),
+            lowStockItems: sortByPriority(lowStockItems),
+            recommendations: parsed.recommendations,
+            insights: parsed.insights || [],
+        },
+    };
+}
+
+/**
+ * Report computed from the stock figures alone, used when Gemini's output is unusable
+ * Out-of-stock and below-half-minimum items are high priority, other items at or below
+ * their minimum medium, and items only past their lead-time reorder point low.
+ */
+export function buildFallbackReport(inventory, plans = new Map()) {
+    const lowStockItems = inventory
+        .map(item => ({ item, plan: plans.get(item.itemId) }))
+        .filter(({ item, plan }) => item.quantity <= item.minimumStock || plan?.needsReorder)
+        .map(({ item, plan }) => {
+            const priority = item.quantity === 0 || item.quantity < item.minimumStock / 2 ? 'high'
+                : item.quantity <= item.minimumStock ? 'medium' : 'low';
+            const restockQuantity = plan ? plan.reorderQuantity : suggestOrderQuantity(item);
+
+            return {
+                itemId: item.itemId,
+                itemName: item.itemName,
+                restockQuantity,
+                priority,
+                rationale: item.quantity <= item.minimumStock
+                    ? `${item.quantity} in stock against a minimum of ${item.minimumStock}.`
+                    : `${item.quantity} in stock is at or below the reorder point of ${plan.reorderPoint}.`,
+            };
+        });
+
+    return {
+        summary: `${inventory.length} items tracked; ${lowStockItems.length} need restocking. ` +
+            'The AI analysis was unavailable, so this report was computed from the stock figures.',
+        lowStockItems: sortByPriority(lowStockItems),
+        recommendations: [],
+        insights: [],
+    };
+}
+
+/**
+ * Plain-text rendering of a report, for Telegram
+ */
+export function formatReportText(report) {
+    const lines = [report.summary];
+
+    if (report.lowStockItems.length) {
+        lines.push('', 'Restock:');
+        for (const entry of report.lowStockItems) {
+            lines.push(`- [${entry.priority}] ${entry.itemName || entry.itemId} (${entry.itemId}): order ${entry.restockQuantity}. ${entry.rationale}`);
+        }
+    }
+    if (report.recommendations.length) {
+        lines.push('', 'Recommendations:', ...report.recommendations.map(text => `- ${text}`));
+    }
+    if (report.insights.length) {
+        lines.push('', 'Insights:', ...report.insights.map(text => `- ${text}`));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * POST a generateContent request
+ * @returns {Promise<Object>} The response body
+ */
+async function callGemini(model, body, env) {
+    const response = await fetch(`${GEMINI_API}/${model}:generateContent?key=${env.GEMINI_API_KEY}`, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-            contents: [{
-                parts: [{
-                    text: prompt,
-                }],
-            }],
-        }), 
+        body: JSON.stringify(body),
     });
 
     if (!response.ok) {
@@ -56,8 +315,52 @@ Format the response as a clear, professional report.`;
         throw new Error(`Gemini API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
     }
 
-    const data = await response.json();
-    const reportText = data.candidates?.[0]?.content?.parts?.[0]?.text || 'No report generated';
+    return response.json();
+}
+
+function sortByPriority(entries) {
+    return [...entries].sort((a, b) => REPORT_PRIORITIES.indexOf(a.priority) - REPORT_PRIORITIES.indexOf(b.priority));
+}
+
+/**
+ * Describe an item's cost and selling price for the prompt
+ */
+function formatPrices(item) {
+    const parts = [
+        item.unitCost != null && `cost ${item.unitCost}`,
+        item.sellingPrice != null && `price ${item.sellingPrice}`,
+    ].filter(Boolean);
+    return parts.length ? ` [${parts.join(', ')}]` : '';
+}
+
+/**
+ * Describe an item's consumption forecast for the prompt
+ */
+function formatForecast(forecast) {
+    if (!forecast) {
+        return '';
+    }
+    if (forecast.daysLeft === null) {
+        return ' | forecast: no recent consumption';
+    }
+
+    const latest = forecast.daysLeftHigh === null ? 'no stockout' : forecast.daysLeftHigh;
+    return ` | forecast: ${forecast.dailyRate}/day, ${forecast.daysLeft} days left (80%: ${forecast.daysLeftLow}-${latest})` +
+        `${forecast.lowConfidence ? ' [SHORT HISTORY]' : ''}`;
+}
+
+/**
+ * Describe an item's supplier and reorder figures for the prompt
+ */
+function formatReorderPlan(plan) {
+    if (!plan) {
+        return '';
+    }
+
+    const supplier = plan.supplierName
+        ? `supplier ${plan.supplierName}, lead time ${plan.leadTimeDays} days, MOQ ${plan.minimumOrderQuantity}`
+        : 'no supplier on file';
 
-    return reportText;
+    return ` | ${supplier}; usage ${plan.dailyUsage}/day; on order ${plan.onOrder}; ` +
+        `reorder point ${plan.reorderPoint}${plan.needsReorder ? ` [REORDER ${plan.reorderQuantity}]` : ''}`;
 }
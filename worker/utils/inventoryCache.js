@@ -0,0 +1,99 @@
+/**
+ * Inventory Read Cache
+ * A short-lived snapshot of items and stock levels in STATE_KV, so dashboard loads
+ * and AI reports do not read the whole backend every time
+ *
+ * Every storage write that touches items or stock drops the snapshot (see
+ * utils/storage.js); the TTL only bounds how stale another edge location can be.
+ * Writes also move a generation marker on, and a snapshot is only kept if no write
+ * finished while it was being read, so a slow read cannot put back older stock.
+ */
+
+const SNAPSHOT_KEY_PREFIX = 'inventory:snapshot:';
+const GENERATION_KEY_PREFIX = 'inventory:generation:';
+const DEFAULT_CACHE_SECONDS = 30;
+// KV refuses expiration TTLs shorter than this
+const MIN_KV_TTL = 60;
+
+/**
+ * Snapshot lifetime in seconds (INVENTORY_CACHE_SECONDS, default 30; 0 disables the cache)
+ */
+export function getInventoryCacheSeconds(env) {
+    const seconds = parseInt(env.INVENTORY_CACHE_SECONDS);
+    return Number.isInteger(seconds) && seconds >= 0 ? seconds : DEFAULT_CACHE_SECONDS;
+}
+
+/**
+ * Items and per-location stock rows, from the snapshot while it is fresh
+ * @param {Object} storage - Storage adapter (utils/storage.js)
+ * @returns {Promise<Object>} { items, stockLevels, readAt, cached }
+ */
+export async function readInventorySnapshot(storage, env) {
+    const maxAge = getInventoryCacheSeconds(env);
+    const useCache = maxAge > 0 && env.STATE_KV;
+    const key = SNAPSHOT_KEY_PREFIX + storage.backend;
+    const generationKey = GENERATION_KEY_PREFIX + storage.backend;
+    let generation = null;
+
+    if (useCache) {
+        let cached;
+        [cached, generation] = await Promise.all([env.STATE_KV.get(key, 'json'), env.STATE_KV.get(generationKey)]);
+        if (cached && cached.generation === generation && Date.now() - Date.parse(cached.readAt) < maxAge * 1000) {
+            return { items: cached.items, stockLevels: cached.stockLevels, readAt: cached.readAt, cached: true };
+        }
+    }
+
+    const [items, stockLevels] = await Promise.all([storage.listItems(), storage.listStockLevels()]);
+    const snapshot = {
+        items,
+        stockLevels: stockLevels.map(({ itemId, location, quantity, minimumStock, lastUpdated }) => (
+            { itemId, location, quantity, minimumStock, lastUpdated }
+        )),
+        readAt: new Date().toISOString(),
+    };
+
+    // Skip the put if a write finished while the backend was read; the snapshot may predate it
+    if (useCache && await env.STATE_KV.get(generationKey) === generation) {
+        await env.STATE_KV.put(key, JSON.stringify({ ...snapshot, generation }), {
+            expirationTtl: Math.max(MIN_KV_TTL, maxAge),
+        });
+    }
+
+    return { ...snapshot, cached: false };
+}
+
+/**
+ * Drop the snapshot after a write so the next read goes to the backend, and move the
+ * generation on so a read already in progress does not store what it read
+ */
+export async function invalidateInventorySnapshot(backend, env) {
+    if (!env.STATE_KV) {
+        return;
+    }
+
+    await env.STATE_KV.put(GENERATION_KEY_PREFIX + backend, crypto.randomUUID());
+    await env.STATE_KV.delete(SNAPSHOT_KEY_PREFIX + backend);
+}
+
+/**
+ * Strong ETag for a response body, e.g. "3f2a..."
+ */
+export async function computeETag(body) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(body)));
+    const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `"${hex.slice(0, 32)}"`;
+}
+
+/**
+ * Whether an If-None-Match header matches the ETag (weak comparison, as for GET)
+ */
+export function etagMatches(ifNoneMatch, etag) {
+    if (!ifNoneMatch) {
+        return false;
+    }
+
+    return ifNoneMatch.split(',').some(value => {
+        const candidate = value.trim();
+        return candidate === '*' || candidate.replace(/^W\//, '') === etag;
+    });
+}
@@ -0,0 +1,465 @@
+/**
+ * Inventory File Utilities
+ * CSV, XLSX and JSON export of the inventory, and reading, checking and applying import files
+ *
+ * Files use the default Inventory headers (Item ID, Item Name, ...) whatever the sheet's
+ * own column names; JSON uses the field names. An import sets item fields and the stock
+ * at one location. Blank cells leave the current value alone, and unknown columns are
+ * ignored, so an exported file can be edited and imported again as it is.
+ *
+ * Imports run in two steps: planImport compares the file with the inventory for a preview,
+ * and prepareImport works out the writes when the import is applied, refusing it if any
+ * item it touches changed in between.
+ */
+
+import { StockError } from './errors.js';
+import { INVENTORY_FIELDS } from './schema.js';
+import { validateNewItem, validateItemUpdate, barcodeOwner } from './items.js';
+import { generateMovementId } from './movements.js';
+import { stockLevelsForItem, movementBalances } from './locations.js';
+import { hasPermission } from './permissions.js';
+import { buildXlsx, readXlsx } from './xlsx.js';
+
+export const FILE_FORMATS = ['csv', 'xlsx', 'json'];
+export const MAX_IMPORT_BYTES = 1024 * 1024;
+export const MAX_IMPORT_ROWS = 500;
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    json: 'application/json',
+};
+
+// Columns of an exported file, in order; Last Updated is ignored on import
+const FILE_FIELDS = [
+    'itemId', 'itemName', 'category', 'quantity', 'minimumStock', 'unitCost', 'sellingPrice', 'barcode', 'lastUpdated',
+];
+const IMPORT_FIELDS = FILE_FIELDS.filter(field => field !== 'lastUpdated');
+const NUMERIC_FIELDS = ['quantity', 'minimumStock', 'unitCost', 'sellingPrice'];
+// Item fields an import can change besides quantity
+const ITEM_FIELDS = ['itemName', 'category', 'minimumStock', 'unitCost', 'sellingPrice', 'barcode'];
+// Text starting with these is a formula to a spreadsheet; exports prefix it with an apostrophe
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * File format: the requested one, else the one the Content-Type names
+ * @returns {Object} { format } on success, { error } otherwise
+ */
+export function resolveFileFormat(requested, contentType) {
+    let format = String(requested || '').trim().toLowerCase();
+
+    if (!format) {
+        const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+        format = Object.keys(CONTENT_TYPES).find(key => CONTENT_TYPES[key].startsWith(type) && type) || '';
+    }
+
+    if (!FILE_FORMATS.includes(format)) {
+        return { error: `format must be one of: ${FILE_FORMATS.join(', ')}` };
+    }
+    return { format };
+}
+
+/**
+ * Build an export file
+ * @param {Array} items - Items with the FILE_FIELDS
+ * @returns {Object} { body, contentType }
+ */
+export function buildExportFile(items, format) {
+    const records = items.map(item => Object.fromEntries(FILE_FIELDS.map(field => [field, item[field] ?? null])));
+
+    if (format === 'json') {
+        return { body: JSON.stringify(records, null, 2), contentType: CONTENT_TYPES.json };
+    }
+
+    const headers = FILE_FIELDS.map(fieldHeader);
+    const rows = records.map(record => FILE_FIELDS.map(field => (
+        typeof record[field] === 'string' && FORMULA_PREFIX.test(record[field]) ? `'${record[field]}` : record[field]
+    )));
+
+    if (format === 'xlsx') {
+        return { body: buildXlsx([headers, ...rows], 'Inventory'), contentType: CONTENT_TYPES.xlsx };
+    }
+
+    const lines = [headers, ...rows].map(row => row.map(csvCell).join(','));
+    return { body: lines.join('\r\n') + '\r\n', contentType: CONTENT_TYPES.csv };
+}
+
+/**
+ * Read an import file into rows of field values
+ * @param {Uint8Array} bytes - The file as uploaded
+ * @returns {Promise<Object>} { rows: [{ row, values }] } on success, { error } otherwise; row is the
+ *   line in the file (1 is the header) or the position in a JSON list, and values maps fields to
+ *   trimmed text, leaving out blank cells
+ */
+export async function parseImportFile(bytes, format) {
+    let records;
+
+    if (format === 'json') {
+        let data;
+        try {
+            data = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            return { error: `The file is not valid JSON: ${error.message}` };
+        }
+
+        const list = Array.isArray(data) ? data : data?.items;
+        if (!Array.isArray(list) || list.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+            return { error: 'The file must hold a list of items, or { "items": [...] }' };
+        }
+
+        records = list.map((record, index) => ({
+            row: index + 1,
+            cells: Object.fromEntries(Object.entries(record).map(([key, value]) => [fileField(key), value])),
+        }));
+    } else {
+        let table;
+        try {
+            table = format === 'xlsx' ? await readXlsx(bytes) : parseCsv(new TextDecoder().decode(bytes));
+        } catch (error) {
+            return { error: `Could not read the ${format.toUpperCase()} file: ${error.message}` };
+        }
+
+        const header = (table[0] || []).map(fileField);
+        for (const [index, field] of header.entries()) {
+            if (field && header.indexOf(field) !== index) {
+                return { error: `The file has more than one "${fieldHeader(field)}" column` };
+            }
+        }
+        if (!header.includes('itemId')) {
+            return { error: 'The file has no "Item ID" column in its first row' };
+        }
+
+        records = table.slice(1).map((cells, index) => ({
+            row: index + 2,
+            cells: Object.fromEntries(header.map((field, column) => [field, cells[column]])),
+        }));
+    }
+
+    const rows = records
+        .map(({ row, cells }) => ({ row, values: importValues(cells) }))
+        .filter(({ values }) => Object.keys(values).length > 0);
+
+    if (rows.length === 0) {
+        return { error: 'The file has no items' };
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        return { error: `The file has ${rows.length} items; import at most ${MAX_IMPORT_ROWS} at a time` };
+    }
+
+    return { rows };
+}
+
+/**
+ * Compare an import file with the inventory
+ * @param {Array} rows - From parseImportFile
+ * @param {Object} context - { items, stockRows, config, location, user }
+ * @returns {Object} { entries, summary, plan } where entries are [{ row, itemId, action, changes, error? }],
+ *   action is create, update, unchanged or invalid and changes maps fields to { from, to }; plan is what
+ *   prepareImport applies: { location, creates: [item], updates: [{ itemId, fields, quantity?, lastUpdated }] }
+ */
+export function planImport(rows, { items, stockRows, config, location, user }) {
+    const entries = [];
+    const plan = { location, creates: [], updates: [] };
+    const seen = new Map();
+    const barcodes = new Map();
+
+    for (const { row, values } of rows) {
+        const itemId = values.itemId ?? '';
+        const invalid = error => entries.push({ row, itemId, action: 'invalid', changes: {}, error });
+
+        if (!itemId) {
+            invalid('Item ID is blank');
+            continue;
+        }
+        if (seen.has(itemId.toLowerCase())) {
+            invalid(`${itemId} is already in row ${seen.get(itemId.toLowerCase())}`);
+            continue;
+        }
+        seen.set(itemId.toLowerCase(), row);
+
+        const quantity = values.quantity === undefined ? undefined : Number(values.quantity);
+        if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 0)) {
+            invalid('Quantity must be a non-negative integer');
+            continue;
+        }
+
+        const { barcode } = values;
+        if (barcode && barcodes.has(barcode)) {
+            invalid(`Barcode ${barcode} is already in row ${barcodes.get(barcode)}`);
+            continue;
+        }
+        const owner = barcodeOwner(items, barcode, itemId);
+        if (owner) {
+            invalid(`Barcode ${barcode} is already used by ${owner.itemId}`);
+            continue;
+        }
+        if (barcode) {
+            barcodes.set(barcode, row);
+        }
+
+        const current = items.find(item => item.itemId === itemId);
+        if (!current) {
+            const other = items.find(item => item.itemId.toLowerCase() === itemId.toLowerCase());
+            if (other) {
+                invalid(`Item ID differs only in case from ${other.itemId}`);
+                continue;
+            }
+
+            const { item, error } = validateNewItem({ ...values, quantity });
+            if (error) {
+                invalid(error);
+                continue;
+            }
+            if (!hasPermission(user, 'items.edit', item)
+                || (item.quantity > 0 && !hasPermission(user, 'stock.adjust', { ...item, location }))) {
+                invalid('Outside your scope');
+                continue;
+            }
+
+            const changes = Object.fromEntries(IMPORT_FIELDS
+                .filter(field => field !== 'itemId' && item[field] !== null && item[field] !== undefined)
+                .map(field => [field, { from: null, to: item[field] }]));
+            entries.push({ row, itemId, action: 'create', changes });
+            plan.creates.push(item);
+            continue;
+        }
+
+        if (!hasPermission(user, 'items.edit', current)) {
+            invalid('Outside your scope');
+            continue;
+        }
+
+        const input = Object.fromEntries(ITEM_FIELDS.filter(field => values[field] !== undefined).map(field => [field, values[field]]));
+        let fields = {};
+        if (Object.keys(input).length) {
+            const { changes, error } = validateItemUpdate(itemId, input);
+            if (error) {
+                invalid(error);
+                continue;
+            }
+            fields = Object.fromEntries(Object.entries(changes).filter(([field, value]) => value !== (current[field] ?? null)));
+        }
+        if (fields.category && !hasPermission(user, 'items.edit', fields)) {
+            invalid('Outside your scope');
+            continue;
+        }
+
+        const changes = Object.fromEntries(Object.entries(fields).map(([field, to]) => [field, { from: current[field] ?? null, to }]));
+        const update = { itemId, fields, lastUpdated: current.lastUpdated };
+
+        if (quantity !== undefined) {
+            const level = stockLevelsForItem(current, stockRows, config).find(l => l.location === location);
+            if (quantity !== level.quantity) {
+                if (!hasPermission(user, 'stock.adjust', { ...current, location })) {
+                    invalid('Outside your scope');
+                    continue;
+                }
+                changes.quantity = { from: level.quantity, to: quantity };
+                update.quantity = quantity;
+            }
+        }
+
+        if (Object.keys(changes).length === 0) {
+            entries.push({ row, itemId, action: 'unchanged', changes });
+            continue;
+        }
+        entries.push({ row, itemId, action: 'update', changes });
+        plan.updates.push(update);
+    }
+
+    const summary = { rows: entries.length, create: 0, update: 0, unchanged: 0, invalid: 0 };
+    for (const entry of entries) {
+        summary[entry.action]++;
+    }
+
+    return { entries, summary, plan };
+}
+
+/**
+ * Work out the writes for a planned import against the current inventory
+ * Called by the storage adapters with what they just read, so both write the same thing.
+ * Quantity changes are recorded as count corrections referencing the import.
+ * @param {Object} plan - From planImport
+ * @param {Object} context - { items, stockRows, config, user, reference }
+ * @returns {Object} { created: [item], updated: [item], levels: [{ itemId, level }], movements: [recorded] }
+ * @throws {StockError} 409 when an item was created or changed since the preview
+ */
+export function prepareImport(plan, { items, stockRows, config, user, reference }) {
+    const conflicts = [
+        ...plan.creates
+            .filter(create => items.some(item => item.itemId.toLowerCase() === create.itemId.toLowerCase()))
+            .map(create => create.itemId),
+        ...plan.updates
+            .filter(update => items.find(item => item.itemId === update.itemId)?.lastUpdated !== update.lastUpdated)
+            .map(update => update.itemId),
+    ];
+    // A barcode given to another item since the preview would now be used twice
+    const fieldsById = new Map(plan.updates.map(update => [update.itemId, update.fields]));
+    const finalItems = [...items.map(item => ({ ...item, ...fieldsById.get(item.itemId) })), ...plan.creates];
+    for (const { itemId, barcode } of [...plan.creates, ...plan.updates.map(update => ({ itemId: update.itemId, ...update.fields }))]) {
+        if (barcodeOwner(finalItems, barcode, itemId) && !conflicts.includes(itemId)) {
+            conflicts.push(itemId);
+        }
+    }
+
+    if (conflicts.length) {
+        throw new StockError('Inventory changed since the preview; preview the file again', 409, { conflicts });
+    }
+
+    const timestamp = new Date().toISOString();
+    const result = { created: [], updated: [], levels: [], movements: [] };
+
+    // Applies a quantity change and returns the item's new total
+    const setQuantity = (item, quantity, note) => {
+        const level = stockLevelsForItem(item, stockRows, config).find(l => l.location === plan.location);
+        const movement = {
+            itemId: item.itemId,
+            type: 'adjustment',
+            delta: quantity - level.quantity,
+            reason: 'count_correction',
+            location: plan.location,
+            reference,
+            note,
+        };
+
+        const { balance, locationBalance, error } = movementBalances(item, level, movement);
+        if (error) {
+            throw new StockError(error);
+        }
+
+        result.levels.push({ itemId: item.itemId, level: { ...level, quantity: locationBalance, lastUpdated: timestamp } });
+        result.movements.push({
+            ...movement,
+            movementId: generateMovementId(),
+            timestamp,
+            user: user.email,
+            balance,
+            unitCost: null,
+        });
+        return balance;
+    };
+
+    for (const create of plan.creates) {
+        const item = { ...create, quantity: 0, lastUpdated: timestamp };
+        if (create.quantity > 0) {
+            item.quantity = setQuantity(item, create.quantity, 'Opening balance (import)');
+        }
+        result.created.push(item);
+    }
+
+    for (const update of plan.updates) {
+        const current = items.find(item => item.itemId === update.itemId);
+        const item = { ...current, ...update.fields, lastUpdated: timestamp };
+        if (update.quantity !== undefined) {
+            item.quantity = setQuantity(current, update.quantity, `Set to ${update.quantity} (import)`);
+        }
+        result.updated.push(item);
+    }
+
+    return result;
+}
+
+/**
+ * Generate a sortable, unique import ID
+ */
+export function generateImportId() {
+    const random = crypto.getRandomValues(new Uint32Array(1))[0].toString(36);
+    return `IMP-${Date.now().toString(36).toUpperCase()}-${random.toUpperCase()}`;
+}
+
+/**
+ * Parse CSV text: quoted fields may hold commas, quotes ("") and line breaks
+ * Files whose header row has more semicolons than commas are read as semicolon-separated,
+ * as spreadsheets save them in locales with a decimal comma.
+ */
+function parseCsv(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('a quoted field is not closed');
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Field values from a file row: text trimmed, blanks and unknown columns left out
+ */
+function importValues(cells) {
+    const values = {};
+
+    for (const field of IMPORT_FIELDS) {
+        let value = cells[field];
+        if (value === null || value === undefined) {
+            continue;
+        }
+
+        value = String(value).trim();
+        if (!NUMERIC_FIELDS.includes(field) && /^'[=+\-@]/.test(value)) {
+            value = value.slice(1);
+        }
+        if (value !== '') {
+            values[field] = value;
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Field named by a file header or JSON key: the field name or its default header, in any case
+ */
+function fileField(header) {
+    const wanted = String(header ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+    return INVENTORY_FIELDS.find(({ field, header: name }) => field.toLowerCase() === wanted || name.toLowerCase() === wanted)?.field
+        || null;
+}
+
+function fieldHeader(field) {
+    return INVENTORY_FIELDS.find(f => f.field === field).header;
+}
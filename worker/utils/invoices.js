@@ -0,0 +1,176 @@
+/**
+ * Invoice Utilities
+ * Validation, totals and sheet row mapping for sales invoices
+ *
+ * Paying an invoice issues its lines from stock as `sale` movements referencing the
+ * invoice. Each line records how much has been issued, so a payment that fails part
+ * way can be retried without issuing the same stock twice.
+ */
+
+// 'paying' marks an invoice whose stock is being issued, so it cannot be paid twice at once
+export const INVOICE_STATUSES = ['pending', 'paying', 'paid', 'cancelled'];
+
+// Statuses an invoice can be created with
+const INITIAL_STATUSES = ['pending', 'paid'];
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Validate an invoice create request
+ * @param {Object} input - { customer, note, location, status, lines: [{ itemId, quantity, unitPrice }] }
+ * @param {Object} options - { defaultPrice(itemId) } gives the price for lines without a unitPrice
+ * @returns {Object} { fields } on success, { error } otherwise; fields.status is 'pending' or 'paid'
+ */
+export function validateInvoice(input, { defaultPrice = () => null } = {}) {
+    const customer = String(input?.customer ?? '').trim();
+    const note = String(input?.note ?? '').trim();
+    const status = input?.status ?? 'pending';
+
+    if (!customer) {
+        return { error: 'customer required' };
+    }
+    for (const [name, value] of [['customer', customer], ['note', note]]) {
+        if (value.length > MAX_TEXT_LENGTH) {
+            return { error: `${name} must be at most ${MAX_TEXT_LENGTH} characters` };
+        }
+    }
+    if (!INITIAL_STATUSES.includes(status)) {
+        return { error: `status must be one of: ${INITIAL_STATUSES.join(', ')}` };
+    }
+
+    const { lines, error } = validateLines(input?.lines, defaultPrice);
+    if (error) {
+        return { error };
+    }
+
+    return {
+        fields: {
+            customer,
+            note,
+            status,
+            location: String(input?.location ?? '').trim(),
+            lines: lines.map(line => ({ ...line, issued: 0 })),
+        },
+    };
+}
+
+/**
+ * Invoice total: the sum of quantity x unit price, in cents precision
+ */
+export function invoiceTotal(lines) {
+    return roundMoney(lines.reduce((sum, line) => sum + line.quantity * line.unitPrice, 0));
+}
+
+/**
+ * Quantities still to be issued from stock, per line
+ * @returns {Array} [{ itemId, quantity }] for lines not yet fully issued
+ */
+export function unissuedLines(invoice) {
+    return invoice.lines
+        .map(line => ({ itemId: line.itemId, quantity: line.quantity - line.issued }))
+        .filter(line => line.quantity > 0);
+}
+
+function validateLines(input, defaultPrice) {
+    if (!Array.isArray(input) || input.length === 0) {
+        return { error: 'lines must be a non-empty list of { itemId, quantity, unitPrice }' };
+    }
+
+    const lines = [];
+    for (const line of input) {
+        const itemId = String(line?.itemId ?? '').trim();
+        const quantity = Number(line?.quantity);
+        const price = line?.unitPrice === undefined || line.unitPrice === null || line.unitPrice === ''
+            ? defaultPrice(itemId)
+            : line.unitPrice;
+        const unitPrice = Number(price);
+
+        if (!itemId) {
+            return { error: 'Each line needs an itemId' };
+        }
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return { error: `quantity for ${itemId} must be a positive integer` };
+        }
+        if (price === undefined || price === null) {
+            return { error: `unitPrice for ${itemId} required; the item has no selling price` };
+        }
+        if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+            return { error: `unitPrice for ${itemId} must be a number of 0 or more` };
+        }
+        if (lines.some(l => l.itemId === itemId)) {
+            return { error: `${itemId} appears more than once` };
+        }
+        lines.push({ itemId, quantity, unitPrice: roundMoney(unitPrice) });
+    }
+
+    return { lines };
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Generate a sortable, unique invoice ID
+ */
+export function generateInvoiceId() {
+    const random = crypto.getRandomValues(new Uint16Array(1))[0].toString(36);
+    return `INV-${Date.now().toString(36).toUpperCase()}-${random.toUpperCase()}`;
+}
+
+/**
+ * Invoices tab columns (A-L):
+ * Invoice ID | Status | Customer | Lines | Total | Location | Note | Created At | Created By | Paid At | Paid By | Updated At
+ * Lines holds JSON: [{ itemId, quantity, unitPrice, issued }]
+ */
+export function invoiceToRow(invoice) {
+    return [
+        invoice.invoiceId,
+        invoice.status,
+        invoice.customer,
+        JSON.stringify(invoice.lines),
+        String(invoice.total),
+        invoice.location,
+        invoice.note,
+        invoice.createdAt,
+        invoice.createdBy,
+        invoice.paidAt,
+        invoice.paidBy,
+        invoice.updatedAt,
+    ];
+}
+
+export function rowToInvoice(row) {
+    let lines;
+    try {
+        lines = JSON.parse(row[3] || '[]');
+    } catch {
+        lines = [];
+    }
+
+    return {
+        invoiceId: row[0],
+        status: row[1],
+        customer: row[2] || '',
+        lines: normalizeLines(lines),
+        total: parseFloat(row[4]) || 0,
+        location: row[5] || '',
+        note: row[6] || '',
+        createdAt: row[7] || '',
+        createdBy: row[8] || '',
+        paidAt: row[9] || '',
+        paidBy: row[10] || '',
+        updatedAt: row[11] || '',
+    };
+}
+
+/**
+ * Line items as stored, with numeric fields coerced
+ */
+export function normalizeLines(lines) {
+    return lines.map(line => ({
+        itemId: line.itemId,
+        quantity: parseInt(line.quantity) || 0,
+        unitPrice: parseFloat(line.unitPrice) || 0,
+        issued: parseInt(line.issued) || 0,
+    }));
+}
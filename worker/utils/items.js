@@ -0,0 +1,143 @@
+/**
+ * Inventory Item Utilities
+ * Validation for item create and update requests
+ */
+
+const ITEM_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+// Printable ASCII without spaces, which covers EAN/UPC, Code 128 and the codes on our QR labels
+const BARCODE_PATTERN = /^[\x21-\x7E]{1,64}$/;
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Validate an item create request
+ * @param {Object} input - { itemId, itemName, category, minimumStock, quantity, unitCost, sellingPrice, barcode }
+ * @returns {Object} { item } on success, { error } otherwise
+ */
+export function validateNewItem(input) {
+    const itemId = String(input?.itemId ?? '').trim();
+
+    if (!ITEM_ID_PATTERN.test(itemId)) {
+        return { error: 'itemId must be 1-64 letters, digits, dots, dashes or underscores' };
+    }
+
+    const quantity = input.quantity === undefined || input.quantity === '' ? 0 : Number(input.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+        return { error: 'quantity must be a non-negative integer' };
+    }
+
+    const { fields, error } = validateItemFields(input, { partial: false });
+    if (error) {
+        return { error };
+    }
+
+    return { item: { itemId, ...fields, quantity } };
+}
+
+/**
+ * Validate an item update request
+ * Only itemName, category, minimumStock, unitCost, sellingPrice and barcode can be changed here;
+ * quantity goes through stock movements and itemId is immutable.
+ * @returns {Object} { changes } on success, { error } otherwise
+ */
+export function validateItemUpdate(itemId, input) {
+    if (input?.itemId !== undefined && input.itemId !== itemId) {
+        return { error: 'itemId cannot be changed' };
+    }
+
+    if (input?.quantity !== undefined) {
+        return { error: 'quantity cannot be changed here; use /api/update-stock or /api/stock-movements' };
+    }
+
+    const { fields, error } = validateItemFields(input, { partial: true });
+    if (error) {
+        return { error };
+    }
+
+    if (Object.keys(fields).length === 0) {
+        return { error: 'Nothing to update' };
+    }
+
+    return { changes: fields };
+}
+
+function validateItemFields(input, { partial }) {
+    const fields = {};
+
+    for (const name of ['itemName', 'category']) {
+        if (input?.[name] === undefined && partial) {
+            continue;
+        }
+
+        const value = String(input?.[name] ?? '').trim();
+        if (!value) {
+            return { error: `${name} required` };
+        }
+        if (value.length > MAX_TEXT_LENGTH) {
+            return { error: `${name} must be at most ${MAX_TEXT_LENGTH} characters` };
+        }
+        fields[name] = value;
+    }
+
+    if (input?.minimumStock !== undefined || !partial) {
+        const minimumStock = Number(input?.minimumStock ?? 0);
+        if (!Number.isInteger(minimumStock) || minimumStock < 0) {
+            return { error: 'minimumStock must be a non-negative integer' };
+        }
+        fields.minimumStock = minimumStock;
+    }
+
+    // Prices are optional: null or '' clears them
+    for (const name of ['unitCost', 'sellingPrice']) {
+        if (input?.[name] === undefined) {
+            if (!partial) {
+                fields[name] = null;
+            }
+            continue;
+        }
+
+        if (input[name] === null || input[name] === '') {
+            fields[name] = null;
+            continue;
+        }
+
+        const amount = Number(input[name]);
+        if (!Number.isFinite(amount) || amount < 0) {
+            return { error: `${name} must be a number of 0 or more` };
+        }
+        fields[name] = amount;
+    }
+
+    // The barcode is optional too: null or '' clears it
+    if (input?.barcode !== undefined || !partial) {
+        const barcode = input?.barcode === null ? '' : String(input?.barcode ?? '').trim();
+        if (barcode && !BARCODE_PATTERN.test(barcode)) {
+            return { error: 'barcode must be 1-64 letters, digits or symbols, without spaces' };
+        }
+        fields.barcode = barcode || null;
+    }
+
+    return { fields };
+}
+
+/**
+ * The other item already using a barcode, if any
+ * Barcodes are unique so a scan finds exactly one item.
+ */
+export function barcodeOwner(items, barcode, itemId) {
+    return barcode ? items.find(item => item.barcode === barcode && item.itemId !== itemId) : undefined;
+}
+
+/**
+ * Find the item a scanned code refers to
+ * Barcodes are matched first; labels for items without one carry the item ID instead.
+ * @returns {Object} { item, matchedBy: 'barcode' | 'itemId' }, or {} when nothing matches
+ */
+export function findItemByCode(items, code) {
+    const byBarcode = items.find(item => item.barcode === code);
+    if (byBarcode) {
+        return { item: byBarcode, matchedBy: 'barcode' };
+    }
+
+    const byItemId = items.find(item => item.itemId === code);
+    return byItemId ? { item: byItemId, matchedBy: 'itemId' } : {};
+}
@@ -0,0 +1,62 @@
+/**
+ * Item Label Utilities
+ * Printable sheets of QR code labels for items
+ *
+ * A label's QR code carries the item's barcode, or its item ID when it has none;
+ * /api/items/by-barcode/:code accepts either, so every label scans.
+ */
+
+import { qrSvg } from './qrcode.js';
+
+export const MAX_LABELS = 500;
+
+/**
+ * The code a label carries for an item
+ */
+export function labelCode(item) {
+    return item.barcode || item.itemId;
+}
+
+/**
+ * Build an HTML page of labels that opens the print dialog when loaded
+ * @param {Array} items - Items to label, in order
+ * @returns {string} HTML
+ */
+export function buildLabelSheet(items) {
+    const labels = items.map(item => `
+        <div class="label">
+            ${qrSvg(labelCode(item))}
+            <div class="text">
+                <strong>${escapeHtml(item.itemName)}</strong>
+                <span>${escapeHtml(item.itemId)}</span>
+                ${item.barcode ? `<span>${escapeHtml(item.barcode)}</span>` : ''}
+            </div>
+        </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Item Labels</title>
+    <style>
+        body { font-family: sans-serif; margin: 0; }
+        .sheet { display: flex; flex-wrap: wrap; gap: 4mm; padding: 8mm; }
+        .label { display: flex; align-items: center; gap: 3mm; width: 60mm; height: 25mm; padding: 2mm; border: 1px dashed #999; break-inside: avoid; box-sizing: border-box; }
+        .label svg { width: 21mm; height: 21mm; flex: none; }
+        .text { display: flex; flex-direction: column; gap: 1mm; font-size: 9pt; overflow: hidden; word-break: break-all; }
+        @media print { .label { border-color: #ddd; } }
+    </style>
+</head>
+<body>
+    <div class="sheet">${labels}</div>
+    <script>window.addEventListener('load', () => window.print());</script>
+</body>
+</html>
+`;
+}
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[char]);
+}
@@ -0,0 +1,172 @@
+/**
+ * Location Utilities
+ * Per-location stock levels, transfers and Stock tab row mapping
+ *
+ * The Inventory tab keeps each item's total quantity. The Stock tab breaks it
+ * down by location. An item without a Stock row for the default location keeps
+ * the remainder there, so single-location sheets work without any Stock rows.
+ */
+
+const DEFAULT_LOCATIONS = ['Main'];
+
+/**
+ * Read the configured locations
+ * LOCATIONS is a comma-separated list; the first entry is the default location.
+ * @returns {Object} { locations, defaultLocation }
+ */
+export function getLocationConfig(env) {
+    const configured = (env.LOCATIONS || '').split(',').map(value => value.trim()).filter(Boolean);
+    const locations = configured.length ? [...new Set(configured)] : DEFAULT_LOCATIONS;
+
+    return { locations, defaultLocation: locations[0] };
+}
+
+/**
+ * Resolve a requested location, falling back to the default
+ * @returns {Object} { location } on success, { error } otherwise
+ */
+export function resolveLocation(input, config) {
+    const location = String(input ?? '').trim();
+
+    if (!location) {
+        return { location: config.defaultLocation };
+    }
+
+    if (!config.locations.includes(location)) {
+        return { error: `location must be one of: ${config.locations.join(', ')}` };
+    }
+
+    return { location };
+}
+
+/**
+ * Stock level of an item at every location
+ * @param {Object} item - Inventory item (total quantity)
+ * @param {Array} stockRows - Rows from the Stock tab (rowToStock)
+ * @returns {Array} [{ location, quantity, minimumStock, lastUpdated }]
+ */
+export function stockLevelsForItem(item, stockRows, config) {
+    const rows = stockRows.filter(row => row.itemId === item.itemId);
+    const elsewhere = rows
+        .filter(row => row.location !== config.defaultLocation)
+        .reduce((sum, row) => sum + row.quantity, 0);
+
+    // Rows for locations since removed from LOCATIONS stay visible so no stock disappears
+    const locations = [...new Set([...config.locations, ...rows.map(row => row.location)])];
+
+    return locations.map(location => {
+        const row = rows.find(r => r.location === location);
+        if (row) {
+            return {
+                location,
+                quantity: row.quantity,
+                minimumStock: row.minimumStock,
+                lastUpdated: row.lastUpdated,
+            };
+        }
+
+        if (location === config.defaultLocation) {
+            return {
+                location,
+                quantity: item.quantity - elsewhere,
+                minimumStock: item.minimumStock,
+                lastUpdated: item.lastUpdated,
+            };
+        }
+
+        return { location, quantity: 0, minimumStock: 0, lastUpdated: '' };
+    });
+}
+
+/**
+ * Item total and location level after a movement
+ * @param {Object} level - The movement's location, from stockLevelsForItem
+ * @returns {Object} { balance, locationBalance } on success, { error } if either would go negative
+ */
+export function movementBalances(item, level, movement) {
+    const balance = item.quantity + movement.delta;
+    const locationBalance = level.quantity + movement.delta;
+
+    if (locationBalance < 0 || balance < 0) {
+        return {
+            error: `Insufficient stock: ${item.itemId} has ${level.quantity} at ${level.location}, cannot apply ${movement.delta}`,
+        };
+    }
+
+    return { balance, locationBalance };
+}
+
+/**
+ * Validate a transfer request
+ * @param {Object} input - { itemId, from, to, quantity, note }
+ * @returns {Object} { transfer } on success, { error } otherwise
+ */
+export function validateTransfer(input, config) {
+    const itemId = String(input?.itemId ?? '').trim();
+    const quantity = Number(input?.quantity);
+
+    if (!itemId) {
+        return { error: 'itemId required' };
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        return { error: 'quantity must be a positive integer' };
+    }
+
+    for (const side of ['from', 'to']) {
+        if (!config.locations.includes(input?.[side])) {
+            return { error: `${side} must be one of: ${config.locations.join(', ')}` };
+        }
+    }
+
+    if (input.from === input.to) {
+        return { error: 'from and to must be different locations' };
+    }
+
+    return {
+        transfer: {
+            itemId,
+            from: input.from,
+            to: input.to,
+            quantity,
+            note: String(input.note || '').trim(),
+        },
+    };
+}
+
+/**
+ * Generate a unique transfer reference shared by both sides of a transfer
+ */
+export function generateTransferId() {
+    const random = crypto.getRandomValues(new Uint16Array(1))[0].toString(36);
+    return `TRF-${Date.now().toString(36).toUpperCase()}-${random.toUpperCase()}`;
+}
+
+/**
+ * Stock tab columns (A-E):
+ * Item ID | Location | Quantity | Minimum Stock | Last Updated
+ */
+export function stockToRow(itemId, level) {
+    return [
+        itemId,
+        level.location,
+        String(level.quantity),
+        String(level.minimumStock),
+        level.lastUpdated,
+    ];
+}
+
+/**
+ * @param {Array} row - Stock tab row
+ * @param {number} index - 0-based index among data rows, used to address the row later
+ */
+export function rowToStock(row, index) {
+    return {
+        rowIndex: index + 2,
+        itemId: row[0],
+        location: row[1],
+        quantity: parseInt(row[2]) || 0,
+        minimumStock: parseInt(row[3]) || 0,
+        lastUpdated: row[4] || '',
+    };
+}
@@ -0,0 +1,123 @@
+/**
+ * Stock Movement Utilities
+ * Validation and sheet row mapping for the stock movement ledger
+ */
+
+/**
+ * Reason codes allowed for each movement type
+ */
+export const REASON_CODES = {
+    receipt: ['purchase', 'customer_return', 'production', 'other'],
+    issue: ['sale', 'internal_use', 'damaged', 'expired', 'other'],
+    adjustment: ['count_correction', 'damaged', 'lost', 'found', 'other'],
+    transfer: ['transfer_in', 'transfer_out'],
+};
+
+export const MOVEMENT_TYPES = Object.keys(REASON_CODES);
+
+/**
+ * Validate a movement request body
+ * @param {Object} input - { itemId, type, delta, reason, location, reference, note, unitCost }
+ *   where unitCost, the price paid per unit, is only accepted on receipts
+ * @returns {Object} { movement } on success, { error } otherwise
+ */
+export function validateMovement(input) {
+    const { itemId, type, reason } = input || {};
+    const delta = Number(input?.delta);
+
+    if (!itemId || typeof itemId !== 'string') {
+        return { error: 'itemId required' };
+    }
+
+    if (!MOVEMENT_TYPES.includes(type)) {
+        return { error: `type must be one of: ${MOVEMENT_TYPES.join(', ')}` };
+    }
+
+    if (!Number.isInteger(delta) || delta === 0) {
+        return { error: 'delta must be a non-zero integer' };
+    }
+
+    if (!REASON_CODES[type].includes(reason)) {
+        return { error: `reason for ${type} must be one of: ${REASON_CODES[type].join(', ')}` };
+    }
+
+    // Receipts only add stock and issues only remove it; transfers follow their direction
+    if ((type === 'receipt' || reason === 'transfer_in') && delta < 0) {
+        return { error: `delta must be positive for ${reason === 'transfer_in' ? reason : type}` };
+    }
+    if ((type === 'issue' || reason === 'transfer_out') && delta > 0) {
+        return { error: `delta must be negative for ${reason === 'transfer_out' ? reason : type}` };
+    }
+
+    let unitCost = null;
+    if (input.unitCost !== undefined && input.unitCost !== null && input.unitCost !== '') {
+        unitCost = Number(input.unitCost);
+        if (type !== 'receipt') {
+            return { error: 'unitCost can only be given for receipts' };
+        }
+        if (!Number.isFinite(unitCost) || unitCost < 0) {
+            return { error: 'unitCost must be a number of 0 or more' };
+        }
+    }
+
+    return {
+        movement: {
+            itemId: itemId.trim(),
+            type,
+            delta,
+            reason,
+            location: String(input.location || '').trim(),
+            reference: String(input.reference || '').trim(),
+            note: String(input.note || '').trim(),
+            unitCost,
+        },
+    };
+}
+
+/**
+ * Generate a sortable, unique movement ID
+ */
+export function generateMovementId() {
+    const random = crypto.getRandomValues(new Uint32Array(1))[0].toString(36);
+    return `MOV-${Date.now().toString(36).toUpperCase()}-${random.toUpperCase()}`;
+}
+
+/**
+ * Movements tab columns (A-L):
+ * Movement ID | Timestamp | Item ID | Type | Delta | Reason | User | Reference | Note | Balance | Location | Unit Cost
+ * Balance is the item's total across locations after the movement. Unit Cost is blank
+ * except on receipts recorded with a cost.
+ */
+export function movementToRow(movement) {
+    return [
+        movement.movementId,
+        movement.timestamp,
+        movement.itemId,
+        movement.type,
+        String(movement.delta),
+        movement.reason,
+        movement.user,
+        movement.reference,
+        movement.note,
+        String(movement.balance),
+        movement.location,
+        movement.unitCost == null ? '' : String(movement.unitCost),
+    ];
+}
+
+export function rowToMovement(row) {
+    return {
+        movementId: row[0],
+        timestamp: row[1],
+        itemId: row[2],
+        type: row[3],
+        delta: parseInt(row[4]) || 0,
+        reason: row[5],
+        user: row[6],
+        reference: row[7] || '',
+        note: row[8] || '',
+        balance: parseInt(row[9]) || 0,
+        location: row[10] || '',
+        unitCost: row[11] ? parseFloat(row[11]) : null,
+    };
+}
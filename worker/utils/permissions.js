@@ -0,0 +1,122 @@
+/**
+ * Permission Model
+ * Central role-to-permission matrix with optional per-user scopes
+ *
+ * Users may carry `scopes: { categories: [...], locations: [...] }` in their
+ * KV record. An empty or missing list means "all"; otherwise scoped
+ * permissions only apply to items in the listed categories or locations.
+ */
+
+export const PERMISSIONS = {
+    'inventory.view': 'View inventory',
+    'movements.view': 'View stock movement history',
+    'stock.adjust': 'Update stock and record movements',
+    'stock.quick': 'Receive and issue scanned items',
+    'items.edit': 'Create, edit and delete items',
+    'import.preview': 'Check inventory import files against the inventory',
+    'import.apply': 'Apply previewed inventory imports',
+    'reports.ai': 'Generate AI reports and view the report history',
+    'reports.valuation': 'View what stock on hand is worth',
+    'ai.ask': 'Ask the AI assistant about the items and movements they can see',
+    'notify.telegram': 'Send Telegram notifications',
+    'suppliers.view': 'View suppliers and reorder plans',
+    'suppliers.edit': 'Manage suppliers and their item terms',
+    'po.view': 'View purchase orders',
+    'po.edit': 'Draft, send and cancel purchase orders',
+    'po.approve': 'Approve purchase orders',
+    'po.receive': 'Receive goods against purchase orders',
+    'invoices.view': 'View invoices',
+    'invoices.edit': 'Create invoices, mark them paid and cancel them',
+    'users.manage': 'Manage users and sessions',
+    'storage.check': 'Check the storage backend layout',
+    'storage.migrate': 'Copy the spreadsheet into the D1 database',
+    'audit.view': 'View the audit log',
+};
+
+export const ROLE_PERMISSIONS = {
+    admin: Object.keys(PERMISSIONS),
+    manager: [
+        'inventory.view', 'movements.view', 'stock.adjust', 'items.edit', 'reports.ai', 'ai.ask', 'notify.telegram',
+        'suppliers.view', 'suppliers.edit', 'po.view', 'po.edit', 'po.approve', 'po.receive',
+        'invoices.view', 'invoices.edit', 'reports.valuation', 'import.preview', 'stock.quick',
+    ],
+    staff: ['inventory.view', 'movements.view', 'stock.quick', 'reports.ai', 'ai.ask', 'invoices.view'],
+};
+
+// Permissions that honour category/location scopes
+const SCOPED_PERMISSIONS = ['inventory.view', 'movements.view', 'stock.adjust', 'stock.quick', 'items.edit'];
+
+/**
+ * Permissions granted to a user by their role
+ */
+export function getEffectivePermissions(user) {
+    return ROLE_PERMISSIONS[user.role] || [];
+}
+
+/**
+ * Check a permission, optionally against a resource with a category and/or location
+ * @param {Object} user - JWT payload ({ role, scopes })
+ * @param {string} permission - Key of PERMISSIONS
+ * @param {Object} [resource] - Item or movement being acted on
+ */
+export function hasPermission(user, permission, resource) {
+    if (!getEffectivePermissions(user).includes(permission)) {
+        return false;
+    }
+
+    if (!resource || !SCOPED_PERMISSIONS.includes(permission)) {
+        return true;
+    }
+
+    const { categories, locations } = normalizeScopes(user.scopes);
+
+    if (categories.length && resource.category !== undefined && !categories.includes(resource.category)) {
+        return false;
+    }
+
+    if (locations.length && resource.location !== undefined && !locations.includes(resource.location)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Whether a user is restricted to some categories or locations
+ */
+export function isScoped(user) {
+    const { categories, locations } = normalizeScopes(user.scopes);
+    return categories.length > 0 || locations.length > 0;
+}
+
+/**
+ * Validate scopes from an admin request
+ * @returns {Object} { scopes } on success, { error } otherwise
+ */
+export function validateScopes(input) {
+    if (input === null) {
+        return { scopes: null };
+    }
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'scopes must be an object with categories and/or locations' };
+    }
+
+    const scopes = {};
+    for (const name of ['categories', 'locations']) {
+        const values = input[name] ?? [];
+        if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+            return { error: `scopes.${name} must be a list of strings` };
+        }
+        scopes[name] = [...new Set(values.map(value => value.trim()).filter(Boolean))];
+    }
+
+    return { scopes };
+}
+
+function normalizeScopes(scopes) {
+    return {
+        categories: scopes?.categories || [],
+        locations: scopes?.locations || [],
+    };
+}
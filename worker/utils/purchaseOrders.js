@@ -0,0 +1,206 @@
+/**
+ * Purchase Order Utilities
+ * Validation, status transitions and sheet row mapping for purchase orders
+ */
+
+// 'receiving' marks a PO whose goods are being booked in, so it cannot be received twice at once
+export const PO_STATUSES = ['draft', 'approved', 'sent', 'receiving', 'partially_received', 'received', 'cancelled'];
+
+// Status changes by action and the permission each needs; receiving is handled by applyReceipt
+export const PO_TRANSITIONS = {
+    approve: { from: ['draft'], to: 'approved', permission: 'po.approve' },
+    send: { from: ['approved'], to: 'sent', permission: 'po.edit' },
+    cancel: { from: ['draft', 'approved', 'sent'], to: 'cancelled', permission: 'po.edit' },
+};
+
+// Statuses whose outstanding quantities count as already on order
+export const OPEN_PO_STATUSES = ['draft', 'approved', 'sent', 'receiving', 'partially_received'];
+
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Suggested order quantity for a low-stock item
+ * Orders enough to bring stock back up to twice its minimum.
+ */
+export function suggestOrderQuantity(item, onOrder = 0) {
+    return Math.max(item.minimumStock * 2 - item.quantity - onOrder, 0);
+}
+
+/**
+ * Quantities still to be received per item across open POs
+ * @returns {Map<string, number>} itemId -> outstanding quantity
+ */
+export function outstandingByItem(purchaseOrders) {
+    const outstanding = new Map();
+
+    for (const po of purchaseOrders) {
+        if (!OPEN_PO_STATUSES.includes(po.status)) {
+            continue;
+        }
+        for (const line of po.lines) {
+            const remaining = line.quantity - line.received;
+            outstanding.set(line.itemId, (outstanding.get(line.itemId) || 0) + remaining);
+        }
+    }
+
+    return outstanding;
+}
+
+/**
+ * Validate a PO create/update request
+ * @param {Object} input - { supplier, note, lines: [{ itemId, quantity }] }
+ * @param {Object} options - { partial } allows omitting fields on update
+ * @returns {Object} { fields } on success, { error } otherwise
+ */
+export function validatePurchaseOrder(input, { partial = false } = {}) {
+    const fields = {};
+
+    for (const name of ['supplier', 'note']) {
+        if (input?.[name] === undefined) {
+            continue;
+        }
+        const value = String(input[name] ?? '').trim();
+        if (value.length > MAX_TEXT_LENGTH) {
+            return { error: `${name} must be at most ${MAX_TEXT_LENGTH} characters` };
+        }
+        fields[name] = value;
+    }
+
+    if (input?.lines !== undefined || !partial) {
+        const { lines, error } = validateLines(input?.lines);
+        if (error) {
+            return { error };
+        }
+        fields.lines = lines.map(line => ({ ...line, received: 0 }));
+    }
+
+    if (partial && Object.keys(fields).length === 0) {
+        return { error: 'Nothing to update' };
+    }
+
+    return { fields };
+}
+
+/**
+ * Validate a receive request against a PO
+ * @param {Object} po - Purchase order being received
+ * @param {Object} input - { lines: [{ itemId, quantity }] }; omit lines to receive everything outstanding
+ * @returns {Object} { receipts } on success, { error } otherwise
+ */
+export function validateReceipt(po, input) {
+    if (input?.lines === undefined) {
+        const receipts = po.lines
+            .map(line => ({ itemId: line.itemId, quantity: line.quantity - line.received }))
+            .filter(receipt => receipt.quantity > 0);
+        return receipts.length ? { receipts } : { error: 'Nothing left to receive' };
+    }
+
+    const { lines, error } = validateLines(input.lines);
+    if (error) {
+        return { error };
+    }
+
+    for (const receipt of lines) {
+        const line = po.lines.find(l => l.itemId === receipt.itemId);
+        if (!line) {
+            return { error: `${receipt.itemId} is not on ${po.poId}` };
+        }
+        const remaining = line.quantity - line.received;
+        if (receipt.quantity > remaining) {
+            return { error: `Only ${remaining} of ${receipt.itemId} left to receive` };
+        }
+    }
+
+    return { receipts: lines };
+}
+
+/**
+ * Add a received quantity to a PO line and update the PO status
+ */
+export function applyReceipt(po, itemId, quantity) {
+    const line = po.lines.find(l => l.itemId === itemId);
+    line.received += quantity;
+
+    po.status = po.lines.every(l => l.received >= l.quantity) ? 'received' : 'partially_received';
+}
+
+function validateLines(input) {
+    if (!Array.isArray(input) || input.length === 0) {
+        return { error: 'lines must be a non-empty list of { itemId, quantity }' };
+    }
+
+    const lines = [];
+    for (const line of input) {
+        const itemId = String(line?.itemId ?? '').trim();
+        const quantity = Number(line?.quantity);
+
+        if (!itemId) {
+            return { error: 'Each line needs an itemId' };
+        }
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return { error: `quantity for ${itemId} must be a positive integer` };
+        }
+        if (lines.some(l => l.itemId === itemId)) {
+            return { error: `${itemId} appears more than once` };
+        }
+        lines.push({ itemId, quantity });
+    }
+
+    return { lines };
+}
+
+/**
+ * Generate a sortable, unique PO ID
+ */
+export function generatePurchaseOrderId() {
+    const random = crypto.getRandomValues(new Uint16Array(1))[0].toString(36);
+    return `PO-${Date.now().toString(36).toUpperCase()}-${random.toUpperCase()}`;
+}
+
+/**
+ * PurchaseOrders tab columns (A-K):
+ * PO ID | Status | Supplier | Lines | Note | Created At | Created By | Approved By | Sent At | Received At | Updated At
+ * Lines holds JSON: [{ itemId, quantity, received }]
+ */
+export function purchaseOrderToRow(po) {
+    return [
+        po.poId,
+        po.status,
+        po.supplier,
+        JSON.stringify(po.lines),
+        po.note,
+        po.createdAt,
+        po.createdBy,
+        po.approvedBy,
+        po.sentAt,
+        po.receivedAt,
+        po.updatedAt,
+    ];
+}
+
+export function rowToPurchaseOrder(row) {
+    let lines;
+    try {
+        lines = JSON.parse(row[3] || '[]');
+    } catch {
+        lines = [];
+    }
+
+    return {
+        poId: row[0],
+        status: row[1],
+        supplier: row[2] || '',
+        lines: lines.map(line => ({
+            itemId: line.itemId,
+            quantity: parseInt(line.quantity) || 0,
+            received: parseInt(line.received) || 0,
+        })),
+        note: row[4] || '',
+        createdAt: row[5] || '',
+        createdBy: row[6] || '',
+        approvedBy: row[7] || '',
+        sentAt: row[8] || '',
+        receivedAt: row[9] || '',
+        updatedAt: row[10] || '',
+    };
+}
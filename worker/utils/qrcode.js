@@ -0,0 +1,411 @@
+/**
+ * QR Code Encoder
+ * Byte-mode QR codes at error correction level M, versions 1-10, for item labels
+ *
+ * Follows ISO/IEC 18004. Level M survives about 15% damage, which is plenty for
+ * printed labels, and version 10 holds 213 bytes, well beyond the 64-character
+ * barcodes and item IDs the labels carry.
+ */
+
+const MAX_VERSION = 10;
+// Per version 1-10 at level M
+const ECC_CODEWORDS_PER_BLOCK = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const ERROR_CORRECTION_BLOCKS = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+// Level M in the format information, and the mask applied to it
+const FORMAT_LEVEL_M = 0;
+const FORMAT_MASK = 0x5412;
+// Modules of light margin around the symbol
+const QUIET_ZONE = 4;
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - UTF-8 encoded as bytes
+ * @returns {Array<Array<boolean>>} Square grid of modules, true for dark, without the quiet zone
+ * @throws {Error} When the text is too long for version 10
+ */
+export function encodeQr(text) {
+    const bytes = [...new TextEncoder().encode(text)];
+
+    let version = 1;
+    while (dataCapacityBits(version) < dataBitLength(version, bytes.length)) {
+        if (++version > MAX_VERSION) {
+            throw new Error(`Text is too long for a QR label (${bytes.length} bytes)`);
+        }
+    }
+
+    const codewords = addErrorCorrection(dataCodewords(version, bytes), version);
+    const symbol = createSymbol(version);
+    placeCodewords(symbol, codewords);
+
+    // Keep the mask with the lowest penalty, as the standard asks
+    let best;
+    for (let mask = 0; mask < 8; mask++) {
+        const modules = applyMask(symbol, mask);
+        drawFormatBits(modules, mask);
+        const penalty = penaltyScore(modules);
+        if (!best || penalty < best.penalty) {
+            best = { modules, penalty };
+        }
+    }
+
+    return best.modules;
+}
+
+/**
+ * Render text as an SVG QR code, one unit per module, with the quiet zone included
+ */
+export function qrSvg(text) {
+    const modules = encodeQr(text);
+    const width = modules.length + QUIET_ZONE * 2;
+
+    // One path segment per run of dark modules in a row
+    const path = [];
+    modules.forEach((row, y) => {
+        for (let x = 0; x < row.length; x++) {
+            if (!row[x]) continue;
+
+            let run = 1;
+            while (row[x + run]) run++;
+            path.push(`M${x + QUIET_ZONE} ${y + QUIET_ZONE}h${run}v1h-${run}z`);
+            x += run - 1;
+        }
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${width}" shape-rendering="crispEdges">`
+        + `<rect width="${width}" height="${width}" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+}
+
+function symbolSize(version) {
+    return version * 4 + 17;
+}
+
+/**
+ * Modules left for codewords once the function patterns are drawn
+ */
+function rawDataModules(version) {
+    let modules = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        modules -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) {
+            modules -= 36;
+        }
+    }
+    return modules;
+}
+
+function dataCapacityBits(version) {
+    const totalCodewords = Math.floor(rawDataModules(version) / 8);
+    return (totalCodewords - ECC_CODEWORDS_PER_BLOCK[version - 1] * ERROR_CORRECTION_BLOCKS[version - 1]) * 8;
+}
+
+function countBits(version) {
+    return version < 10 ? 8 : 16;
+}
+
+function dataBitLength(version, byteCount) {
+    return 4 + countBits(version) + byteCount * 8;
+}
+
+/**
+ * Mode indicator, character count, data, terminator and padding, as codewords
+ */
+function dataCodewords(version, bytes) {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    const capacity = dataCapacityBits(version);
+    push(0b0100, 4);
+    push(bytes.length, countBits(version));
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+        codewords.push(pad);
+    }
+    return codewords;
+}
+
+/**
+ * Split the data into blocks, add each block's error correction, and interleave them
+ */
+function addErrorCorrection(data, version) {
+    const blockCount = ERROR_CORRECTION_BLOCKS[version - 1];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[version - 1];
+    const totalCodewords = Math.floor(rawDataModules(version) / 8);
+    const shortBlocks = blockCount - totalCodewords % blockCount;
+    const shortBlockLength = Math.floor(totalCodewords / blockCount);
+    const divisor = reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+        offset += block.length;
+        blocks.push({ data: block, ecc: reedSolomonRemainder(block, divisor) });
+    }
+
+    const result = [];
+    const longest = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longest; i++) {
+        blocks.forEach(block => i < block.data.length && result.push(block.data[i]));
+    }
+    for (let i = 0; i < eccLength; i++) {
+        blocks.forEach(block => result.push(block.ecc[i]));
+    }
+    return result;
+}
+
+/**
+ * Generator polynomial for the given number of error correction codewords, highest term dropped
+ */
+function reedSolomonDivisor(degree) {
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            divisor[j] = gfMultiply(divisor[j], root);
+            if (j + 1 < degree) {
+                divisor[j] ^= divisor[j + 1];
+            }
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return divisor;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const remainder = new Array(divisor.length).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        divisor.forEach((coefficient, i) => {
+            remainder[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return remainder;
+}
+
+/**
+ * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ */
+function gfMultiply(x, y) {
+    let product = 0;
+    for (let i = 7; i >= 0; i--) {
+        product = (product << 1) ^ ((product >>> 7) * 0x11D);
+        product ^= ((y >>> i) & 1) * x;
+    }
+    return product;
+}
+
+/**
+ * Grid with the finder, timing and alignment patterns, the dark module and the version
+ * information drawn, and the format areas reserved
+ * @returns {Object} { modules, reserved } where reserved marks modules codewords must skip
+ */
+function createSymbol(version) {
+    const size = symbolSize(version);
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    const positions = alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+        // The corners already hold finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }));
+
+    // Reserve the format areas; drawFormatBits fills them once the mask is chosen
+    for (let i = 0; i < 9; i++) {
+        reserved[8][i] = reserved[i][8] = true;
+    }
+    for (let i = 0; i < 8; i++) {
+        reserved[8][size - 1 - i] = reserved[size - 1 - i][8] = true;
+    }
+    set(8, size - 8, true);
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    return { modules, reserved };
+}
+
+function alignmentPositions(version) {
+    if (version === 1) {
+        return [];
+    }
+
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const positions = [6];
+    for (let position = symbolSize(version) - 7; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+/**
+ * Fill the free modules with codeword bits, in two-column strips zigzagging up and down from the right
+ */
+function placeCodewords({ modules, reserved }, codewords) {
+    const size = modules.length;
+    let bit = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+        // The vertical timing pattern sits in column 6, so the strips skip it
+        if (right === 6) {
+            right = 5;
+        }
+        const upward = ((right + 1) & 2) === 0;
+
+        for (let step = 0; step < size; step++) {
+            const y = upward ? size - 1 - step : step;
+            for (const x of [right, right - 1]) {
+                if (!reserved[y][x] && bit < codewords.length * 8) {
+                    modules[y][x] = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+                    bit++;
+                }
+            }
+        }
+    }
+}
+
+// Dark-light runs that look like a finder pattern, with four light modules on either side
+const FINDER_LIKE = ['10111010000', '00001011101'];
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+function applyMask({ modules, reserved }, mask) {
+    return modules.map((row, y) => row.map((dark, x) => (reserved[y][x] ? dark : dark !== MASKS[mask](x, y))));
+}
+
+function drawFormatBits(modules, mask) {
+    const size = modules.length;
+    const data = (FORMAT_LEVEL_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ FORMAT_MASK;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) {
+        modules[i][8] = bit(i);
+    }
+    modules[7][8] = bit(6);
+    modules[8][8] = bit(7);
+    modules[8][7] = bit(8);
+    for (let i = 9; i < 15; i++) {
+        modules[8][14 - i] = bit(i);
+    }
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) {
+        modules[8][size - 1 - i] = bit(i);
+    }
+    for (let i = 8; i < 15; i++) {
+        modules[size - 15 + i][8] = bit(i);
+    }
+}
+
+/**
+ * Penalty for a masked symbol: long runs, 2x2 blocks, finder-like patterns and dark/light imbalance
+ */
+function penaltyScore(modules) {
+    const size = modules.length;
+    const columns = modules.map((_, x) => modules.map(row => row[x]));
+    let penalty = 0;
+
+    for (const line of [...modules, ...columns]) {
+        for (let i = 0; i < size;) {
+            let run = 1;
+            while (i + run < size && line[i + run] === line[i]) run++;
+            if (run >= 5) {
+                penalty += run - 2;
+            }
+            i += run;
+        }
+
+        const text = line.map(dark => (dark ? '1' : '0')).join('');
+        for (let i = 0; i + 11 <= size; i++) {
+            if (FINDER_LIKE.includes(text.slice(i, i + 11))) {
+                penalty += 40;
+            }
+        }
+    }
+
+    for (let y = 0; y + 1 < size; y++) {
+        for (let x = 0; x + 1 < size; x++) {
+            const dark = modules[y][x];
+            if (modules[y][x + 1] === dark && modules[y + 1][x] === dark && modules[y + 1][x + 1] === dark) {
+                penalty += 3;
+            }
+        }
+    }
+
+    const darkCount = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    penalty += Math.floor(Math.abs(darkCount * 100 / (size * size) - 50) / 5) * 10;
+
+    return penalty;
+}
@@ -0,0 +1,91 @@
+/**
+ * Reorder Planning Utilities
+ * Reorder points and quantities from supplier lead times and recent consumption
+ *
+ *   reorder point    = average daily usage × lead time + minimum stock (safety stock)
+ *   reorder quantity = enough to cover the reorder point plus ORDER_COVER_DAYS of usage,
+ *                      less stock on hand and on order, raised to at least the supplier's MOQ
+ */
+
+// Days of movement history used to estimate consumption
+export const USAGE_LOOKBACK_DAYS = 30;
+// Days of usage each order should cover beyond the reorder point
+export const ORDER_COVER_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Average daily consumption per item over the lookback window
+ * Only issues count as consumption; adjustments and transfers do not.
+ * @returns {Map<string, number>} itemId -> units per day
+ */
+export function dailyUsageByItem(movements, now = new Date()) {
+    const since = now.getTime() - USAGE_LOOKBACK_DAYS * DAY_MS;
+    const usage = new Map();
+
+    for (const movement of movements) {
+        if (movement.type !== 'issue' || Date.parse(movement.timestamp) < since) {
+            continue;
+        }
+        usage.set(movement.itemId, (usage.get(movement.itemId) || 0) - movement.delta);
+    }
+
+    for (const [itemId, total] of usage) {
+        usage.set(itemId, total / USAGE_LOOKBACK_DAYS);
+    }
+
+    return usage;
+}
+
+/**
+ * Pick the supplier to reorder an item from: the preferred link, else the shortest lead time
+ * @param {Array} links - SupplierItems rows for the item
+ * @param {Map<string, Object>} suppliers - supplierId -> supplier
+ * @returns {Object|null} { supplier, terms, leadTimeDays }
+ */
+export function chooseSupplier(links, suppliers) {
+    const options = links
+        .filter(link => suppliers.has(link.supplierId))
+        .map(link => {
+            const supplier = suppliers.get(link.supplierId);
+            return {
+                supplier,
+                terms: link,
+                leadTimeDays: link.leadTimeDays ?? supplier.leadTimeDays,
+            };
+        })
+        .sort((a, b) => (b.terms.preferred - a.terms.preferred) || (a.leadTimeDays - b.leadTimeDays));
+
+    return options[0] || null;
+}
+
+/**
+ * Reorder plan for one item
+ * @param {Object} item - Inventory item
+ * @param {Object} context - { dailyUsage, onOrder, source } where source comes from chooseSupplier
+ */
+export function planReorder(item, { dailyUsage = 0, onOrder = 0, source = null }) {
+    const leadTimeDays = source ? source.leadTimeDays : 0;
+    const minimumOrderQuantity = source ? source.terms.minimumOrderQuantity : 1;
+
+    const reorderPoint = Math.ceil(dailyUsage * leadTimeDays) + item.minimumStock;
+    const target = reorderPoint + Math.ceil(dailyUsage * ORDER_COVER_DAYS);
+    const shortfall = Math.max(target - item.quantity - onOrder, 0);
+    // The MOQ is a floor, not a pack size, so larger shortfalls are ordered as they are
+    const reorderQuantity = shortfall > 0 ? Math.max(shortfall, minimumOrderQuantity) : 0;
+
+    return {
+        itemId: item.itemId,
+        quantity: item.quantity,
+        onOrder,
+        dailyUsage: Math.round(dailyUsage * 100) / 100,
+        leadTimeDays,
+        reorderPoint,
+        reorderQuantity,
+        needsReorder: item.quantity + onOrder <= reorderPoint,
+        supplierId: source ? source.supplier.supplierId : null,
+        supplierName: source ? source.supplier.name : null,
+        unitCost: source ? source.terms.unitCost : null,
+        minimumOrderQuantity,
+    };
+}
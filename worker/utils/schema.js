@@ -0,0 +1,236 @@
+/**
+ * Sheet Schema Utilities
+ * Maps Inventory fields to columns by header name and validates the tab's contents
+ *
+ * Columns are found by their header in row 1, so they can be in any order and the
+ * tab may hold extra columns the Worker ignores. Header names can be changed with
+ * INVENTORY_COLUMNS, e.g. { "itemId": "SKU", "itemName": "Product Name" }.
+ */
+
+const DEFAULT_INVENTORY_TAB = 'Inventory';
+// Stop listing problems after this many; one broken column would otherwise flag every row
+const MAX_DIAGNOSTICS = 20;
+
+/**
+ * Inventory fields and their default headers
+ * type: text, integer, money. Optional fields may be missing from the sheet, and are null when blank.
+ */
+export const INVENTORY_FIELDS = [
+    { field: 'itemId', header: 'Item ID', type: 'text', required: true },
+    { field: 'itemName', header: 'Item Name', type: 'text', required: true },
+    { field: 'category', header: 'Category', type: 'text', required: true },
+    { field: 'quantity', header: 'Quantity', type: 'integer', required: true },
+    { field: 'minimumStock', header: 'Minimum Stock', type: 'integer', required: true },
+    { field: 'lastUpdated', header: 'Last Updated', type: 'text', required: true },
+    { field: 'unitCost', header: 'Unit Cost', type: 'money', required: false },
+    { field: 'sellingPrice', header: 'Selling Price', type: 'money', required: false },
+    { field: 'barcode', header: 'Barcode', type: 'text', required: false },
+];
+
+/**
+ * Name of the Inventory tab (INVENTORY_SHEET, default "Inventory")
+ */
+export function getInventoryTab(env) {
+    return (env.INVENTORY_SHEET || '').trim() || DEFAULT_INVENTORY_TAB;
+}
+
+/**
+ * Map Inventory fields to column indexes from the header row
+ * @param {Array} headerRow - Row 1 of the Inventory tab
+ * @returns {Object} { schema: { tab, columns, labels, width } } on success, { diagnostics } otherwise
+ */
+export function resolveInventorySchema(headerRow, env) {
+    const tab = getInventoryTab(env);
+    const diagnostics = [];
+
+    let overrides = env.INVENTORY_COLUMNS || {};
+    if (typeof overrides === 'string') {
+        try {
+            overrides = overrides.trim() ? JSON.parse(overrides) : {};
+        } catch (error) {
+            return { diagnostics: [`INVENTORY_COLUMNS is not valid JSON: ${error.message}`] };
+        }
+    }
+
+    for (const field of Object.keys(overrides)) {
+        if (!INVENTORY_FIELDS.some(f => f.field === field)) {
+            diagnostics.push(`INVENTORY_COLUMNS maps unknown field "${field}"; known fields: ${INVENTORY_FIELDS.map(f => f.field).join(', ')}`);
+        }
+    }
+
+    const headers = headerRow.map(value => normalizeHeader(value));
+    const columns = {};
+    const labels = {};
+
+    for (const { field, header, required } of INVENTORY_FIELDS) {
+        const wanted = String(overrides[field] || header);
+        const matches = headers.flatMap((value, index) => (value === normalizeHeader(wanted) ? [index] : []));
+
+        if (matches.length > 1) {
+            diagnostics.push(
+                `${tab} has ${matches.length} columns headed "${wanted}" (${matches.map(columnLetter).join(', ')}); ` +
+                'rename all but one'
+            );
+        } else if (matches.length === 1) {
+            columns[field] = matches[0];
+            labels[field] = String(headerRow[matches[0]]).trim();
+        } else if (required) {
+            const found = headerRow.filter(value => String(value).trim()).map(value => `"${value}"`).join(', ') || 'nothing';
+            diagnostics.push(
+                `${tab} has no "${wanted}" column for ${field} (row 1 has ${found}); ` +
+                `rename the column or map ${field} in INVENTORY_COLUMNS`
+            );
+        }
+    }
+
+    if (diagnostics.length) {
+        return { diagnostics };
+    }
+
+    return { schema: { tab, columns, labels, width: headerRow.length } };
+}
+
+/**
+ * Parse and validate Inventory data rows
+ * Blank rows are skipped. Problems are reported with their cell, e.g. Inventory!D7.
+ * @param {Array} rows - Data rows, starting at sheet row 2
+ * @returns {Object} { entries: [{ rowIndex, item }] } on success, { diagnostics } otherwise
+ */
+export function parseInventoryRows(rows, schema) {
+    const diagnostics = [];
+    const entries = [];
+    const seen = new Map();
+    const barcodes = new Map();
+
+    rows.forEach((row, index) => {
+        const rowIndex = index + 2;
+        if (!row.some(value => String(value ?? '').trim())) {
+            return;
+        }
+
+        const item = {};
+        for (const { field, type, required } of INVENTORY_FIELDS) {
+            if (schema.columns[field] === undefined) {
+                if (!required) {
+                    item[field] = null;
+                }
+                continue;
+            }
+
+            const raw = String(row[schema.columns[field]] ?? '').trim();
+            const cell = `${schema.tab}!${columnLetter(schema.columns[field])}${rowIndex}`;
+
+            if (type === 'integer') {
+                // Blank counts as 0; anything else must be a whole number
+                if (raw !== '' && !/^-?\d+$/.test(raw)) {
+                    diagnostics.push(`${cell}: ${schema.labels[field]} "${raw}" is not a whole number`);
+                }
+                item[field] = parseInt(raw) || 0;
+            } else if (type === 'money') {
+                // Blank means not set; a currency symbol and thousands separators from cell formatting are ignored
+                const amount = raw.replace(/^[^\d.-]+/, '').replace(/,/g, '');
+                if (raw !== '' && !/^\d+(\.\d+)?$/.test(amount)) {
+                    diagnostics.push(`${cell}: ${schema.labels[field]} "${raw}" is not an amount`);
+                }
+                item[field] = raw === '' ? null : parseFloat(amount) || 0;
+            } else {
+                item[field] = (raw || required) ? raw : null;
+            }
+        }
+
+        // Row versions are compared verbatim, so keep lastUpdated exactly as stored
+        if (schema.columns.lastUpdated !== undefined) {
+            item.lastUpdated = row[schema.columns.lastUpdated] ?? '';
+        }
+
+        for (const field of ['itemId', 'itemName']) {
+            if (!item[field]) {
+                const cell = `${schema.tab}!${columnLetter(schema.columns[field])}${rowIndex}`;
+                diagnostics.push(`${cell}: ${schema.labels[field]} is blank`);
+            }
+        }
+
+        if (!item.category) {
+            item.category = 'Uncategorized';
+        }
+
+        if (item.itemId) {
+            const key = item.itemId.toLowerCase();
+            if (seen.has(key)) {
+                diagnostics.push(
+                    `${schema.tab} row ${rowIndex}: ${schema.labels.itemId} ${item.itemId} is already used in row ${seen.get(key)}`
+                );
+            } else {
+                seen.set(key, rowIndex);
+            }
+        }
+
+        // A scan has to find exactly one item
+        if (item.barcode) {
+            if (barcodes.has(item.barcode)) {
+                diagnostics.push(
+                    `${schema.tab} row ${rowIndex}: ${schema.labels.barcode} ${item.barcode} is already used in row ${barcodes.get(item.barcode)}`
+                );
+            } else {
+                barcodes.set(item.barcode, rowIndex);
+            }
+        }
+
+        entries.push({ rowIndex, item });
+    });
+
+    if (diagnostics.length > MAX_DIAGNOSTICS) {
+        const more = diagnostics.length - MAX_DIAGNOSTICS;
+        return { diagnostics: [...diagnostics.slice(0, MAX_DIAGNOSTICS), `...and ${more} more`] };
+    }
+
+    return diagnostics.length ? { diagnostics } : { entries };
+}
+
+/**
+ * Build an Inventory row holding the given fields
+ * Other cells are null, which the Sheets API leaves untouched on update.
+ * @param {Array} [fields] - Fields to write; all mapped fields by default
+ */
+export function inventoryItemToRow(item, schema, fields = Object.keys(schema.columns)) {
+    const row = new Array(schema.width).fill(null);
+
+    for (const field of fields) {
+        if (schema.columns[field] !== undefined && item[field] !== undefined) {
+            row[schema.columns[field]] = item[field] === null ? '' : String(item[field]);
+        }
+    }
+
+    return row;
+}
+
+/**
+ * A1 range on the Inventory tab, e.g. inventoryRange(schema, 'A2:F')
+ * Tab names other than plain words are quoted.
+ */
+export function inventoryRange(schema, a1) {
+    const tab = /^\w+$/.test(schema.tab) ? schema.tab : `'${schema.tab.replace(/'/g, "''")}'`;
+    return a1 ? `${tab}!${a1}` : tab;
+}
+
+/**
+ * A1 reference of one field's cell in a sheet row
+ */
+export function inventoryCell(schema, field, rowIndex) {
+    return inventoryRange(schema, `${columnLetter(schema.columns[field])}${rowIndex}`);
+}
+
+/**
+ * Column letter for a 0-based column index (0 -> A, 26 -> AA)
+ */
+export function columnLetter(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+function normalizeHeader(value) {
+    return String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
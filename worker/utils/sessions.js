@@ -0,0 +1,207 @@
+/**
+ * Session Utilities
+ * Rotating refresh tokens and access token revocation backed by USERS_KV
+ *
+ * Each login creates a session stored under `session:<email>:<sessionId>`.
+ * The refresh token is `<base64url email>.<sessionId>.<secret>`; only a SHA-256
+ * hash of the secret is stored, and every refresh swaps it for a new one.
+ */
+
+// Access tokens are short-lived; refresh tokens keep the user signed in
+export const ACCESS_TOKEN_TTL = 15 * 60;
+export const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60;
+
+// Presenting the previous refresh token within this window is treated as a
+// harmless race between tabs; later it means the token was stolen
+const REUSE_GRACE_SECONDS = 30;
+
+/**
+ * Create a session for a freshly authenticated user
+ * @returns {Promise<Object>} { sessionId, refreshToken }
+ */
+export async function createSession(env, email, { ip, userAgent }) {
+    const sessionId = randomToken(16);
+    const secret = randomToken(32);
+    const now = new Date().toISOString();
+
+    const session = {
+        sessionId,
+        email: email.toLowerCase(),
+        createdAt: now,
+        lastUsedAt: now,
+        ip,
+        userAgent: (userAgent || '').slice(0, 200),
+        refreshHash: await sha256(secret),
+    };
+
+    await saveSession(env, session);
+
+    return { sessionId, refreshToken: formatRefreshToken(session.email, sessionId, secret) };
+}
+
+/**
+ * Exchange a refresh token for a new one
+ * Reusing an already rotated token revokes the whole session.
+ * @returns {Promise<Object>} { session, refreshToken } on success, { error } otherwise
+ */
+export async function rotateRefreshToken(env, refreshToken, { ip, userAgent }) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        return { error: 'Invalid refresh token' };
+    }
+
+    const { email, sessionId, secret } = parsed;
+    const session = await env.USERS_KV.get(sessionKey(email, sessionId), 'json');
+    if (!session) {
+        return { error: 'Session expired or revoked' };
+    }
+
+    const hash = await sha256(secret);
+
+    if (hash !== session.refreshHash) {
+        const rotatedAgo = (Date.now() - Date.parse(session.rotatedAt || 0)) / 1000;
+        if (hash === session.previousHash && rotatedAgo < REUSE_GRACE_SECONDS) {
+            return { error: 'Refresh token already used' };
+        }
+
+        console.error(`Refresh token reuse detected for ${email}, revoking session ${sessionId}`);
+        await revokeSession(env, email, sessionId);
+        return { error: 'Session revoked' };
+    }
+
+    const newSecret = randomToken(32);
+    const now = new Date().toISOString();
+    const updated = {
+        ...session,
+        lastUsedAt: now,
+        rotatedAt: now,
+        ip,
+        userAgent: (userAgent || session.userAgent || '').slice(0, 200),
+        previousHash: session.refreshHash,
+        refreshHash: await sha256(newSecret),
+    };
+
+    await saveSession(env, updated);
+
+    return { session: updated, refreshToken: formatRefreshToken(email, sessionId, newSecret) };
+}
+
+/**
+ * List a user's active sessions without their token hashes
+ */
+export async function listSessions(env, email) {
+    const sessions = [];
+    let cursor;
+
+    do {
+        const page = await env.USERS_KV.list({ prefix: `session:${email.toLowerCase()}:`, cursor });
+        const records = await Promise.all(page.keys.map(key => env.USERS_KV.get(key.name, 'json')));
+        sessions.push(...records.filter(Boolean).map(({ refreshHash, previousHash, ...rest }) => rest));
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    return sessions.sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+}
+
+/**
+ * End one session: its refresh token stops working and its access tokens are rejected
+ * @returns {Promise<boolean>} false if the session did not exist
+ */
+export async function revokeSession(env, email, sessionId) {
+    const key = sessionKey(email, sessionId);
+    const exists = await env.USERS_KV.get(key);
+
+    await env.USERS_KV.delete(key);
+    // Outstanding access tokens for this session expire within ACCESS_TOKEN_TTL
+    await env.USERS_KV.put(`revoked:sid:${sessionId}`, '1', { expirationTtl: ACCESS_TOKEN_TTL });
+
+    return exists !== null;
+}
+
+/**
+ * Kill switch: end every session of a user and reject all tokens issued so far
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeAllSessions(env, email) {
+    const sessions = await listSessions(env, email);
+
+    await Promise.all(sessions.map(session => env.USERS_KV.delete(sessionKey(email, session.sessionId))));
+    await env.USERS_KV.put(`revoked:user:${email.toLowerCase()}`, String(Math.floor(Date.now() / 1000)), {
+        expirationTtl: ACCESS_TOKEN_TTL,
+    });
+
+    return sessions.length;
+}
+
+/**
+ * Check an access token payload against the revocation list
+ */
+export async function isTokenRevoked(env, payload) {
+    if (!payload.sid) {
+        // Tokens issued before sessions existed cannot be revoked individually
+        return true;
+    }
+
+    const [sessionRevoked, userRevokedAt] = await Promise.all([
+        env.USERS_KV.get(`revoked:sid:${payload.sid}`),
+        env.USERS_KV.get(`revoked:user:${payload.email.toLowerCase()}`),
+    ]);
+
+    if (sessionRevoked) {
+        return true;
+    }
+
+    return userRevokedAt !== null && payload.iat <= parseInt(userRevokedAt);
+}
+
+async function saveSession(env, session) {
+    await env.USERS_KV.put(sessionKey(session.email, session.sessionId), JSON.stringify(session), {
+        expirationTtl: REFRESH_TOKEN_TTL,
+    });
+}
+
+function sessionKey(email, sessionId) {
+    return `session:${email.toLowerCase()}:${sessionId}`;
+}
+
+function formatRefreshToken(email, sessionId, secret) {
+    return `${encodeSegment(email)}.${sessionId}.${secret}`;
+}
+
+function parseRefreshToken(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    try {
+        return { email: decodeSegment(parts[0]), sessionId: parts[1], secret: parts[2] };
+    } catch (error) {
+        return null;
+    }
+}
+
+function randomToken(bytes) {
+    return toBase64Url(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+async function sha256(value) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+    return toBase64Url(new Uint8Array(digest));
+}
+
+function encodeSegment(str) {
+    return toBase64Url(new TextEncoder().encode(str));
+}
+
+function decodeSegment(str) {
+    const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    return new TextDecoder().decode(Uint8Array.from(atob(base64), c => c.charCodeAt(0)));
+}
+
+function toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=/g, '');
+}
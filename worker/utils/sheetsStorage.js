@@ -0,0 +1,740 @@
+/**
+ * Google Sheets Storage Adapter
+ * Keeps items, stock, movements, suppliers, purchase orders and invoices in spreadsheet tabs
+ *
+ * The Inventory tab is mapped by header name (utils/schema.js); the other tabs
+ * are written only by the Worker and have fixed columns, documented next to
+ * their row mappers.
+ */
+
+import { StockError } from './errors.js';
+import {
+    batchReadSheetValues,
+    writeSheetValues,
+    batchWriteSheetValues,
+    appendSheetValues,
+    fetchSheetProperties,
+    getSheetGid,
+    sheetsBatchUpdate,
+} from './sheets.js';
+import {
+    INVENTORY_FIELDS,
+    getInventoryTab,
+    resolveInventorySchema,
+    parseInventoryRows,
+    inventoryItemToRow,
+    inventoryRange,
+    inventoryCell,
+    columnLetter,
+} from './schema.js';
+import { generateMovementId, movementToRow, rowToMovement } from './movements.js';
+import { prepareImport } from './inventoryFiles.js';
+import { barcodeOwner } from './items.js';
+import {
+    getLocationConfig,
+    stockLevelsForItem,
+    movementBalances,
+    stockToRow,
+    rowToStock,
+} from './locations.js';
+import { supplierToRow, rowToSupplier, supplierItemToRow, rowToSupplierItem } from './suppliers.js';
+import { purchaseOrderToRow, rowToPurchaseOrder } from './purchaseOrders.js';
+import { invoiceToRow, rowToInvoice } from './invoices.js';
+import { auditEntryToRow, rowToAuditEntry } from './audit.js';
+import { aiReportToRow, rowToAIReport } from './aiReports.js';
+
+// Tabs whose columns are fixed because only the Worker writes them
+const WORKER_MANAGED_TABS = ['Movements', 'Stock', 'PurchaseOrders', 'Suppliers', 'SupplierItems', 'Audit', 'AIReports', 'Invoices'];
+
+/**
+ * Refuse values for optional Inventory columns the sheet does not have, rather than dropping them
+ */
+function assertOptionalColumns(schema, fields) {
+    for (const { field, header, required } of INVENTORY_FIELDS) {
+        if (!required && fields[field] !== undefined && fields[field] !== null && schema.columns[field] === undefined) {
+            throw new StockError(`${schema.tab} has no "${header}" column; add one to set ${field}`, 400);
+        }
+    }
+}
+
+/**
+ * Refuse a barcode another Inventory row already has
+ */
+function assertBarcodeFree(entries, barcode, itemId) {
+    const owner = barcodeOwner(entries.map(entry => entry.item), barcode, itemId);
+    if (owner) {
+        throw new StockError(`Barcode ${barcode} is already used by ${owner.itemId}`, 409);
+    }
+}
+
+/**
+ * Create the Sheets storage adapter (see utils/storage.js for the interface)
+ */
+export function createSheetsStorage(env) {
+    // Ranges requested in the same tick, read together by one values:batchGet
+    let pendingReads = null;
+
+    /**
+     * Read a range, batched with any other reads started alongside it (e.g. in Promise.all)
+     * A batchGet fails as a whole when one of its ranges does (e.g. a missing tab), so a
+     * failed batch is read again range by range and only the reads that fail on their own reject.
+     */
+    function readSheetValues(range) {
+        if (!pendingReads) {
+            const batch = pendingReads = [];
+            queueMicrotask(async () => {
+                pendingReads = null;
+                try {
+                    const values = await batchReadSheetValues(batch.map(read => read.range), env);
+                    batch.forEach((read, i) => read.resolve(values[i]));
+                } catch (error) {
+                    if (batch.length === 1) {
+                        batch[0].reject(error);
+                        return;
+                    }
+                    await Promise.all(batch.map(read => batchReadSheetValues([read.range], env)
+                        .then(([values]) => read.resolve(values), read.reject)));
+                }
+            });
+        }
+
+        return new Promise((resolve, reject) => pendingReads.push({ range, resolve, reject }));
+    }
+
+    /**
+     * Read and validate the whole Inventory tab
+     * Columns are mapped from the header row on every read, so the sheet can be
+     * rearranged without a redeploy. A sheet that does not match fails loudly.
+     * @returns {Promise<Object>} { schema, entries: [{ rowIndex, item }] }
+     */
+    async function readInventorySheet() {
+        const rows = await readSheetValues(inventoryRange({ tab: getInventoryTab(env) }));
+
+        const { schema, diagnostics } = resolveInventorySchema(rows[0] || [], env);
+        if (diagnostics) {
+            throw new StockError(`${getInventoryTab(env)} tab does not match the expected columns`, 500, { diagnostics });
+        }
+
+        const parsed = parseInventoryRows(rows.slice(1), schema);
+        if (parsed.diagnostics) {
+            throw new StockError(`${schema.tab} tab has invalid rows`, 500, { diagnostics: parsed.diagnostics });
+        }
+
+        return { schema, entries: parsed.entries };
+    }
+
+    /**
+     * Find the Inventory row for an item
+     * @returns {Promise<Object>} { rowIndex, item, schema } where rowIndex is the 1-based sheet row
+     */
+    async function findInventoryRow(itemId) {
+        const { schema, entries } = await readInventorySheet();
+        const entry = entries.find(e => e.item.itemId === itemId);
+
+        if (!entry) {
+            throw new StockError('Item not found', 404);
+        }
+
+        return { ...entry, schema };
+    }
+
+    async function listStockRows() {
+        const rows = await readSheetValues('Stock!A2:E');
+        return rows.map(rowToStock).filter(row => row.itemId && row.location);
+    }
+
+    /**
+     * Write a location's minimum stock, adding its Stock row on first use
+     * Only the Minimum Stock cell of an existing row is written, so a movement applied
+     * since the level was read keeps its quantity.
+     */
+    async function writeLocationMinimum(itemId, level, stockRows) {
+        const row = stockRows.find(r => r.itemId === itemId && r.location === level.location);
+
+        if (row) {
+            await writeSheetValues(`Stock!D${row.rowIndex}`, [[String(level.minimumStock)]], env);
+            return;
+        }
+
+        await appendSheetValues('Stock!A:E', [stockToRow(itemId, level)], env);
+    }
+
+    /**
+     * Write movements, in order
+     * Every item total and location level they touch goes out in one values:batchUpdate,
+     * so the stock never shows some of them applied and others not; the ledger rows follow.
+     * @param {Array} found - The items' Inventory rows, from findInventoryRow
+     * @returns {Promise<Array>} The recorded movements
+     */
+    async function writeMovements(found, stockRows, movements, user) {
+        const config = getLocationConfig(env);
+        // The full timestamp doubles as the row version for conflict detection
+        const timestamp = new Date().toISOString();
+        const recorded = [];
+        const totals = new Map(found.map(entry => [entry.item.itemId, {
+            ...entry,
+            quantity: entry.item.quantity,
+            levels: stockLevelsForItem(entry.item, stockRows, config),
+            touched: new Map(),
+        }]));
+
+        for (const movement of movements) {
+            const total = totals.get(movement.itemId);
+            const location = movement.location || config.defaultLocation;
+            const level = total.touched.get(location) || total.levels.find(l => l.location === location);
+            const { balance, locationBalance, error } = movementBalances({ ...total.item, quantity: total.quantity }, level, movement);
+            if (error) {
+                throw new StockError(error);
+            }
+
+            total.quantity = balance;
+            total.touched.set(location, { ...level, quantity: locationBalance, lastUpdated: timestamp });
+            recorded.push({
+                ...movement,
+                location,
+                movementId: generateMovementId(),
+                timestamp,
+                user: user.email,
+                balance,
+                unitCost: movement.unitCost ?? null,
+            });
+        }
+
+        // Locations without a Stock row get one holding their current level first, so the
+        // new levels can all be written in place
+        const rowFor = (itemId, location) => stockRows.find(r => r.itemId === itemId && r.location === location);
+        const missing = [...totals.values()].flatMap(({ item, levels, touched }) => levels
+            .filter(level => touched.has(level.location) && !rowFor(item.itemId, level.location))
+            .map(level => stockToRow(item.itemId, level)));
+        if (missing.length) {
+            await appendSheetValues('Stock!A:E', missing, env);
+            stockRows = await listStockRows();
+        }
+
+        await batchWriteSheetValues([...totals.values()].flatMap(({ rowIndex, item, schema, quantity, touched }) => [
+            { range: inventoryCell(schema, 'quantity', rowIndex), values: [[quantity.toString()]] },
+            { range: inventoryCell(schema, 'lastUpdated', rowIndex), values: [[timestamp]] },
+            ...[...touched.values()].map(level => {
+                const row = rowFor(item.itemId, level.location);
+                return { range: `Stock!A${row.rowIndex}:E${row.rowIndex}`, values: [stockToRow(item.itemId, level)] };
+            }),
+        ]), env);
+
+        await appendSheetValues('Movements!A:L', recorded.map(movementToRow), env);
+
+        return recorded;
+    }
+
+    /**
+     * Locate a supplier's row in the Suppliers tab
+     * @returns {Promise<Object>} { rowIndex, supplier }
+     */
+    async function findSupplierRow(supplierId) {
+        const rows = await readSheetValues('Suppliers!A2:H');
+
+        for (let i = 0; i < rows.length; i++) {
+            if (rows[i][0] === supplierId) {
+                return { rowIndex: i + 2, supplier: rowToSupplier(rows[i]) };
+            }
+        }
+
+        throw new StockError('Supplier not found', 404);
+    }
+
+    /**
+     * Locate a purchase order's row in the PurchaseOrders tab
+     * @returns {Promise<Object>} { rowIndex, po }
+     */
+    async function findPurchaseOrderRow(poId) {
+        const rows = await readSheetValues('PurchaseOrders!A2:K');
+
+        for (let i = 0; i < rows.length; i++) {
+            if (rows[i][0] === poId) {
+                return { rowIndex: i + 2, po: rowToPurchaseOrder(rows[i]) };
+            }
+        }
+
+        throw new StockError('Purchase order not found', 404);
+    }
+
+    /**
+     * Locate an invoice's row in the Invoices tab
+     * @returns {Promise<Object>} { rowIndex, invoice }
+     */
+    async function findInvoiceRow(invoiceId) {
+        const rows = await readSheetValues('Invoices!A2:L');
+
+        for (let i = 0; i < rows.length; i++) {
+            if (rows[i][0] === invoiceId) {
+                return { rowIndex: i + 2, invoice: rowToInvoice(rows[i]) };
+            }
+        }
+
+        throw new StockError('Invoice not found', 404);
+    }
+
+    /**
+     * Delete rows bottom-up within each tab so earlier deletions do not shift later row indexes
+     * @param {Array} rows - [{ sheetId, rowIndex }] in top-down order per tab
+     */
+    async function deleteRows(rows) {
+        await sheetsBatchUpdate([...rows].sort((a, b) => b.rowIndex - a.rowIndex).map(({ sheetId, rowIndex }) => ({
+            deleteDimension: {
+                range: { sheetId, dimension: 'ROWS', startIndex: rowIndex - 1, endIndex: rowIndex },
+            },
+        })), env);
+    }
+
+    return {
+        backend: 'sheets',
+
+        async listItems() {
+            const { entries } = await readInventorySheet();
+            return entries.map(entry => entry.item);
+        },
+
+        async getItem(itemId) {
+            const { item } = await findInventoryRow(itemId);
+            return item;
+        },
+
+        /**
+         * Append a new item with no stock
+         * Item IDs are unique regardless of case
+         */
+        async createItem(item) {
+            const { schema, entries } = await readInventorySheet();
+            const wanted = item.itemId.toLowerCase();
+
+            if (entries.some(entry => entry.item.itemId.toLowerCase() === wanted)) {
+                throw new StockError(`Item ${item.itemId} already exists`, 409);
+            }
+            assertOptionalColumns(schema, item);
+            assertBarcodeFree(entries, item.barcode, item.itemId);
+
+            const row = inventoryItemToRow({
+                ...item,
+                quantity: 0,
+                lastUpdated: new Date().toISOString(),
+            }, schema).map(value => value ?? '');
+
+            await appendSheetValues(inventoryRange(schema, `A:${columnLetter(schema.width - 1)}`), [row], env);
+        },
+
+        /**
+         * Update an item's descriptive fields, leaving the quantity column untouched
+         */
+        async updateItem(itemId, changes, expectedLastUpdated) {
+            const { schema, entries } = await readInventorySheet();
+            const { rowIndex, item } = entries.find(e => e.item.itemId === itemId) || {};
+            if (!item) {
+                throw new StockError('Item not found', 404);
+            }
+
+            if (expectedLastUpdated !== undefined && expectedLastUpdated !== item.lastUpdated) {
+                throw new StockError('Conflict: item was changed by someone else', 409, { current: item });
+            }
+
+            assertOptionalColumns(schema, changes);
+            assertBarcodeFree(entries, changes.barcode, itemId);
+
+            const updated = { ...item, ...changes, lastUpdated: new Date().toISOString() };
+
+            // Null cells are skipped by the Sheets API, so a concurrent stock change to the quantity survives
+            const last = columnLetter(schema.width - 1);
+            await writeSheetValues(inventoryRange(schema, `A${rowIndex}:${last}${rowIndex}`), [
+                inventoryItemToRow(updated, schema, [
+                    'itemName', 'category', 'minimumStock', 'unitCost', 'sellingPrice', 'barcode', 'lastUpdated',
+                ]),
+            ], env);
+
+            return updated;
+        },
+
+        /**
+         * Delete an item's Inventory row, along with its Stock rows
+         * Its movements stay in the ledger for the record.
+         */
+        async deleteItem(itemId, force) {
+            const [{ rowIndex, item }, allStockRows] = await Promise.all([findInventoryRow(itemId), listStockRows()]);
+
+            if (item.quantity > 0 && !force) {
+                throw new StockError(`Item ${itemId} still has ${item.quantity} in stock; pass force=true to delete anyway`, 409);
+            }
+
+            const inventoryGid = await getSheetGid(getInventoryTab(env), env);
+            const stockRows = allStockRows.filter(row => row.itemId === itemId);
+            const stockGid = stockRows.length ? await getSheetGid('Stock', env) : null;
+
+            await deleteRows([
+                { sheetId: inventoryGid, rowIndex },
+                ...stockRows.map(row => ({ sheetId: stockGid, rowIndex: row.rowIndex })),
+            ]);
+        },
+
+        listStockLevels: listStockRows,
+
+        /**
+         * Set an item's minimum stock at one location
+         */
+        async setLocationMinimum(itemId, location, minimumStock) {
+            const [{ item }, stockRows] = await Promise.all([findInventoryRow(itemId), listStockRows()]);
+            const level = stockLevelsForItem(item, stockRows, getLocationConfig(env)).find(l => l.location === location);
+            const updated = { ...level, minimumStock };
+
+            await writeLocationMinimum(itemId, updated, stockRows);
+
+            return updated;
+        },
+
+        /**
+         * Apply a validated movement: update the Inventory total and the location's Stock row,
+         * then append it to the ledger
+         * Both tabs are read in one batchGet and the total and location level written in one
+         * batchUpdate. The ledger keeps the resulting total so it can be reconciled against Inventory.
+         */
+        async applyMovement(movement, user, prepare) {
+            const [found, stockRows] = await Promise.all([
+                findInventoryRow(movement.itemId),
+                listStockRows(),
+            ]);
+
+            if (prepare) {
+                const config = getLocationConfig(env);
+                const location = movement.location || config.defaultLocation;
+                const level = stockLevelsForItem(found.item, stockRows, config).find(l => l.location === location);
+                const changes = prepare(found.item, level);
+                if (!changes) {
+                    return null;
+                }
+                movement = { ...movement, ...changes };
+            }
+
+            const [recorded] = await writeMovements([found], stockRows, [movement], user);
+            return recorded;
+        },
+
+        /**
+         * Apply validated movements together, e.g. both legs of a transfer
+         */
+        async applyMovements(movements, user) {
+            const [{ schema, entries }, stockRows] = await Promise.all([readInventorySheet(), listStockRows()]);
+            const found = [...new Set(movements.map(movement => movement.itemId))].map(itemId => {
+                const entry = entries.find(e => e.item.itemId === itemId);
+                if (!entry) {
+                    throw new StockError('Item not found', 404);
+                }
+                return { ...entry, schema };
+            });
+            return writeMovements(found, stockRows, movements, user);
+        },
+
+        /**
+         * Apply a planned import (utils/inventoryFiles.js)
+         * New items and missing Stock rows are first appended holding their current state, a
+         * new item with no stock, so every change the import makes goes out in one
+         * values:batchUpdate; the ledger entries follow. A failure after the appends reports
+         * what was written, and previewing the file again picks up what is left.
+         */
+        async importItems(plan, user, reference) {
+            const [{ schema, entries }, stockRows] = await Promise.all([readInventorySheet(), listStockRows()]);
+            for (const item of [...plan.creates, ...plan.updates.map(update => update.fields)]) {
+                assertOptionalColumns(schema, item);
+            }
+
+            const config = getLocationConfig(env);
+            const result = prepareImport(plan, {
+                items: entries.map(entry => entry.item),
+                stockRows,
+                config,
+                user,
+                reference,
+            });
+
+            const last = columnLetter(schema.width - 1);
+            const created = result.created.map(item => item.itemId);
+            const rowFor = (rows, itemId, location) => rows.find(r => r.itemId === itemId && r.location === location);
+            const missing = result.levels.filter(({ itemId, level }) => !rowFor(stockRows, itemId, level.location));
+            const opening = result.created.map(item => ({ ...item, quantity: 0 }));
+
+            let appended = false;
+            try {
+                if (opening.length) {
+                    await appendSheetValues(inventoryRange(schema, `A:${last}`),
+                        opening.map(item => inventoryItemToRow(item, schema).map(value => value ?? '')), env);
+                    appended = true;
+                }
+                if (missing.length) {
+                    await appendSheetValues('Stock!A:E', missing.map(({ itemId, level }) => {
+                        const item = entries.find(entry => entry.item.itemId === itemId)?.item
+                            || opening.find(o => o.itemId === itemId);
+                        return stockToRow(itemId, stockLevelsForItem(item, stockRows, config).find(l => l.location === level.location));
+                    }), env);
+                }
+
+                const [sheet, rows] = opening.length || missing.length
+                    ? await Promise.all([readInventorySheet(), listStockRows()])
+                    : [{ entries }, stockRows];
+                const rowIndexOf = itemId => sheet.entries.find(entry => entry.item.itemId === itemId).rowIndex;
+
+                await batchWriteSheetValues([
+                    ...result.created.map(item => {
+                        const rowIndex = rowIndexOf(item.itemId);
+                        return {
+                            range: inventoryRange(schema, `A${rowIndex}:${last}${rowIndex}`),
+                            values: [inventoryItemToRow(item, schema).map(value => value ?? '')],
+                        };
+                    }),
+                    ...result.updated.map(item => {
+                        const rowIndex = rowIndexOf(item.itemId);
+                        return {
+                            range: inventoryRange(schema, `A${rowIndex}:${last}${rowIndex}`),
+                            values: [inventoryItemToRow(item, schema, [
+                                'itemName', 'category', 'quantity', 'minimumStock', 'unitCost', 'sellingPrice', 'barcode', 'lastUpdated',
+                            ])],
+                        };
+                    }),
+                    ...result.levels.map(({ itemId, level }) => {
+                        const { rowIndex } = rowFor(rows, itemId, level.location);
+                        return { range: `Stock!A${rowIndex}:E${rowIndex}`, values: [stockToRow(itemId, level)] };
+                    }),
+                ], env);
+            } catch (error) {
+                if (!appended) throw error;
+                console.error('Error applying import:', error);
+                throw new StockError('Import failed after adding its new items with no stock; preview the file again to finish it', 500, { created });
+            }
+
+            if (result.movements.length) {
+                try {
+                    await appendSheetValues('Movements!A:L', result.movements.map(movementToRow), env);
+                } catch (error) {
+                    console.error('Error recording import movements:', error);
+                    throw new StockError('Import applied, but its movements could not be recorded in the ledger', 500, {
+                        created,
+                        updated: result.updated.map(item => item.itemId),
+                        movements: result.movements,
+                    });
+                }
+            }
+
+            return result;
+        },
+
+        /**
+         * Stock movement ledger, oldest first
+         */
+        async listMovements() {
+            const rows = await readSheetValues('Movements!A2:L');
+            return rows.filter(row => row[0]).map(rowToMovement);
+        },
+
+        async listSuppliers() {
+            const rows = await readSheetValues('Suppliers!A2:H');
+            return rows.filter(row => row[0]).map(rowToSupplier);
+        },
+
+        async getSupplier(supplierId) {
+            const { supplier } = await findSupplierRow(supplierId);
+            return supplier;
+        },
+
+        async createSupplier(supplier) {
+            await appendSheetValues('Suppliers!A:H', [supplierToRow(supplier)], env);
+        },
+
+        async updateSupplier(supplier) {
+            const { rowIndex } = await findSupplierRow(supplier.supplierId);
+            await writeSheetValues(`Suppliers!A${rowIndex}:H${rowIndex}`, [supplierToRow(supplier)], env);
+        },
+
+        /**
+         * Delete a supplier together with its item links
+         */
+        async deleteSupplier(supplierId) {
+            const { rowIndex } = await findSupplierRow(supplierId);
+            const linkRows = (await readSheetValues('SupplierItems!A2:F'))
+                .map((row, i) => ({ supplierId: row[0], rowIndex: i + 2 }))
+                .filter(link => link.supplierId === supplierId);
+
+            const [suppliersGid, linksGid] = await Promise.all([
+                getSheetGid('Suppliers', env),
+                getSheetGid('SupplierItems', env),
+            ]);
+
+            await deleteRows([
+                { sheetId: suppliersGid, rowIndex },
+                ...linkRows.map(link => ({ sheetId: linksGid, rowIndex: link.rowIndex })),
+            ]);
+        },
+
+        async listSupplierItems() {
+            const rows = await readSheetValues('SupplierItems!A2:F');
+            return rows.filter(row => row[0] && row[1]).map(rowToSupplierItem);
+        },
+
+        /**
+         * Save a supplier's terms for an item
+         * Marking a link preferred clears the flag on the item's other suppliers.
+         * @returns {Promise<Object>} { created }
+         */
+        async setSupplierItem(link) {
+            const rows = await readSheetValues('SupplierItems!A2:F');
+            const existing = rows.findIndex(row => row[0] === link.supplierId && row[1] === link.itemId);
+
+            const cells = [];
+            if (existing !== -1) {
+                cells.push({ range: `SupplierItems!A${existing + 2}:F${existing + 2}`, values: [supplierItemToRow(link)] });
+            }
+
+            if (link.preferred) {
+                rows.forEach((row, i) => {
+                    const other = rowToSupplierItem(row);
+                    if (other.itemId === link.itemId && other.supplierId !== link.supplierId && other.preferred) {
+                        cells.push({ range: `SupplierItems!F${i + 2}`, values: [['FALSE']] });
+                    }
+                });
+            }
+
+            if (cells.length) {
+                await batchWriteSheetValues(cells, env);
+            }
+            if (existing === -1) {
+                await appendSheetValues('SupplierItems!A:F', [supplierItemToRow(link)], env);
+            }
+
+            return { created: existing === -1 };
+        },
+
+        async removeSupplierItem(supplierId, itemId) {
+            const rows = await readSheetValues('SupplierItems!A2:F');
+            const index = rows.findIndex(row => row[0] === supplierId && row[1] === itemId);
+            if (index === -1) {
+                throw new StockError('Supplier does not supply this item', 404);
+            }
+
+            await deleteRows([{ sheetId: await getSheetGid('SupplierItems', env), rowIndex: index + 2 }]);
+        },
+
+        /**
+         * Purchase orders, oldest first
+         */
+        async listPurchaseOrders() {
+            const rows = await readSheetValues('PurchaseOrders!A2:K');
+            return rows.filter(row => row[0]).map(rowToPurchaseOrder);
+        },
+
+        async getPurchaseOrder(poId) {
+            const { po } = await findPurchaseOrderRow(poId);
+            return po;
+        },
+
+        async createPurchaseOrder(po) {
+            await appendSheetValues('PurchaseOrders!A:K', [purchaseOrderToRow(po)], env);
+        },
+
+        /**
+         * Sheets has no conditional write, so expectedUpdatedAt is checked against the row just read
+         */
+        async updatePurchaseOrder(po, expectedUpdatedAt) {
+            const { rowIndex, po: current } = await findPurchaseOrderRow(po.poId);
+            if (expectedUpdatedAt !== undefined && current.updatedAt !== expectedUpdatedAt) {
+                throw new StockError('Conflict: purchase order was changed by someone else', 409, { current });
+            }
+            await writeSheetValues(`PurchaseOrders!A${rowIndex}:K${rowIndex}`, [purchaseOrderToRow(po)], env);
+        },
+
+        /**
+         * Invoices, oldest first
+         */
+        async listInvoices() {
+            const rows = await readSheetValues('Invoices!A2:L');
+            return rows.filter(row => row[0]).map(rowToInvoice);
+        },
+
+        async getInvoice(invoiceId) {
+            const { invoice } = await findInvoiceRow(invoiceId);
+            return invoice;
+        },
+
+        async createInvoice(invoice) {
+            await appendSheetValues('Invoices!A:L', [invoiceToRow(invoice)], env);
+        },
+
+        /**
+         * Sheets has no conditional write, so expectedUpdatedAt is checked against the row just read
+         */
+        async updateInvoice(invoice, expectedUpdatedAt) {
+            const { rowIndex, invoice: current } = await findInvoiceRow(invoice.invoiceId);
+            if (expectedUpdatedAt !== undefined && current.updatedAt !== expectedUpdatedAt) {
+                throw new StockError('Conflict: invoice was changed by someone else', 409, { current });
+            }
+            await writeSheetValues(`Invoices!A${rowIndex}:L${rowIndex}`, [invoiceToRow(invoice)], env);
+        },
+
+        async appendAuditEntry(entry) {
+            await appendSheetValues('Audit!A:K', [auditEntryToRow(entry)], env);
+        },
+
+        /**
+         * Audit log, oldest first
+         */
+        async listAuditEntries() {
+            const rows = await readSheetValues('Audit!A2:K');
+            return rows.filter(row => row[0]).map(rowToAuditEntry);
+        },
+
+        async createAIReport(record) {
+            await appendSheetValues('AIReports!A:H', [aiReportToRow(record)], env);
+        },
+
+        /**
+         * Saved AI reports, oldest first; the Snapshot column is only read when asked for
+         */
+        async listAIReports({ snapshots = false } = {}) {
+            const rows = await readSheetValues(snapshots ? 'AIReports!A2:H' : 'AIReports!A2:G');
+            return rows.filter(row => row[0]).map(rowToAIReport);
+        },
+
+        async getAIReport(reportId) {
+            const rows = await readSheetValues('AIReports!A2:H');
+            const row = rows.find(r => r[0] === reportId);
+            if (!row) {
+                throw new StockError('Report not found', 404);
+            }
+            return rowToAIReport(row);
+        },
+
+        /**
+         * Check the spreadsheet against what the Worker expects
+         * Reports the Inventory column mapping and any problems, and which Worker-managed tabs are missing.
+         */
+        async checkLayout() {
+            const checks = [];
+
+            try {
+                const { schema, entries } = await readInventorySheet();
+                checks.push({
+                    name: schema.tab,
+                    ok: true,
+                    rows: entries.length,
+                    columns: Object.fromEntries(
+                        Object.entries(schema.columns).map(([field, index]) => [field, columnLetter(index)])
+                    ),
+                });
+            } catch (error) {
+                if (!(error instanceof StockError)) throw error;
+                checks.push({ name: getInventoryTab(env), ok: false, error: error.message, diagnostics: error.details.diagnostics });
+            }
+
+            const titles = (await fetchSheetProperties(env)).map(sheet => sheet.properties.title);
+            for (const tab of WORKER_MANAGED_TABS) {
+                checks.push(titles.includes(tab)
+                    ? { name: tab, ok: true }
+                    : { name: tab, ok: false, error: `Tab ${tab} is missing; see the Google Sheets setup in the README` });
+            }
+
+            return checks;
+        },
+    };
+}
@@ -0,0 +1,128 @@
+/**
+ * Storage Backend Selection
+ * Handlers read and write inventory data only through the interface below, so the
+ * backend can be switched with STORAGE_BACKEND ("sheets", the default, or "d1").
+ *
+ * Interface (all methods async; missing records throw StockError 404):
+ *   backend                                    'sheets' | 'd1'
+ *   listItems() / getItem(itemId)              Item totals: { itemId, itemName, category, quantity, minimumStock, lastUpdated }
+ *   createItem(item)                           Adds an item with quantity 0; 409 if the ID is taken (any case)
+ *   updateItem(itemId, changes, expected)      Descriptive fields only; 409 if lastUpdated != expected
+ *   deleteItem(itemId, force)                  Removes the item and its stock levels; 409 if in stock unless force
+ *   listStockLevels()                          Explicit per-location rows: { itemId, location, quantity, minimumStock, lastUpdated }
+ *   setLocationMinimum(itemId, location, min)  Returns the updated level
+ *   applyMovement(movement, user, prepare?)    Updates total and location, appends to the ledger, returns the recorded movement;
+ *                                              prepare(item, level) may adjust the movement from the state just read,
+ *                                              throw to refuse it, or return null to skip it; D1 answers 409 if the
+ *                                              item changes while the movement is applied
+ *   applyMovements(movements, user)            Applies movements together, e.g. both legs of a transfer or a PO's receipts;
+ *                                              D1 writes all or none, Sheets writes every total and level in one batchUpdate
+ *   importItems(plan, user, reference)         Applies a planned import (utils/inventoryFiles.js); 409 if a planned
+ *                                              item changed since the preview. D1 writes all or none, Sheets writes
+ *                                              every value in one batchUpdate after adding new items with no stock
+ *   listMovements()                            Ledger, oldest first
+ *   listSuppliers() / getSupplier(id) / createSupplier(s) / updateSupplier(s) / deleteSupplier(id)
+ *   listSupplierItems() / setSupplierItem(link) -> { created } / removeSupplierItem(supplierId, itemId)
+ *   listPurchaseOrders() / getPurchaseOrder(poId) / createPurchaseOrder(po) / updatePurchaseOrder(po, expected?)
+ *   listInvoices() / getInvoice(invoiceId) / createInvoice(invoice) / updateInvoice(invoice, expected?)
+ *                                              Both 409 if the stored updatedAt != expected; atomic on D1 only
+ *   appendAuditEntry(entry) / listAuditEntries()  Append-only audit log (utils/audit.js), oldest first
+ *   createAIReport(record) / listAIReports({ snapshots }) / getAIReport(reportId)
+ *                                              Saved AI reports (utils/aiReports.js), oldest first; listed without
+ *                                              their stock snapshots unless snapshots is true
+ *   checkLayout()                              [{ name, ok, error?, ... }] describing the backing store
+ *
+ * Writes that change items or stock levels drop the cached inventory snapshot
+ * (utils/inventoryCache.js) once they finish, whether or not they succeeded.
+ */
+
+import { createSheetsStorage } from './sheetsStorage.js';
+import { createD1Storage } from './d1Storage.js';
+import { invalidateInventorySnapshot } from './inventoryCache.js';
+
+const BACKENDS = ['sheets', 'd1'];
+// Adapter methods after which the inventory snapshot is stale
+const INVENTORY_WRITES = ['createItem', 'updateItem', 'deleteItem', 'setLocationMinimum', 'applyMovement', 'applyMovements', 'importItems', 'importSnapshot'];
+
+// One adapter per env object, i.e. per isolate
+const adapters = new WeakMap();
+
+/**
+ * Storage adapter for the configured backend
+ */
+export function getStorage(env) {
+    if (!adapters.has(env)) {
+        const backend = (env.STORAGE_BACKEND || 'sheets').trim().toLowerCase();
+        adapters.set(env, createStorage(backend, env));
+    }
+    return adapters.get(env);
+}
+
+/**
+ * Create an adapter for a specific backend, regardless of STORAGE_BACKEND
+ */
+export function createStorage(backend, env) {
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`STORAGE_BACKEND must be one of: ${BACKENDS.join(', ')}`);
+    }
+
+    if (backend === 'd1') {
+        if (!env.DB) {
+            throw new Error('The d1 storage backend needs a D1 database bound as DB in wrangler.toml');
+        }
+        return invalidatesInventory(createD1Storage(env), env);
+    }
+
+    return invalidatesInventory(createSheetsStorage(env), env);
+}
+
+/**
+ * Make the adapter's inventory writes drop the cached snapshot when they finish
+ */
+function invalidatesInventory(adapter, env) {
+    for (const name of INVENTORY_WRITES) {
+        const write = adapter[name];
+        if (write) {
+            adapter[name] = async function (...args) {
+                try {
+                    return await write.apply(this, args);
+                } finally {
+                    await invalidateInventorySnapshot(adapter.backend, env);
+                }
+            };
+        }
+    }
+    return adapter;
+}
+
+/**
+ * Copy everything from one backend to another (used for the one-shot Sheets to D1 migration)
+ * @param {Object} options - { replace } overwrites data already in the target
+ * @returns {Promise<Object>} Number of records copied per collection
+ */
+export async function copyStorage(source, target, { replace = false } = {}) {
+    if (!target.importSnapshot) {
+        throw new Error(`The ${target.backend} backend cannot import data`);
+    }
+
+    const [
+        items, stockLevels, movements, suppliers, supplierItems, purchaseOrders, invoices, auditEntries, aiReports,
+    ] = await Promise.all([
+        source.listItems(),
+        source.listStockLevels(),
+        source.listMovements(),
+        source.listSuppliers(),
+        source.listSupplierItems(),
+        source.listPurchaseOrders(),
+        source.listInvoices(),
+        source.listAuditEntries(),
+        source.listAIReports({ snapshots: true }),
+    ]);
+
+    const snapshot = {
+        items, stockLevels, movements, suppliers, supplierItems, purchaseOrders, invoices, auditEntries, aiReports,
+    };
+    await target.importSnapshot(snapshot, { replace });
+
+    return Object.fromEntries(Object.entries(snapshot).map(([name, records]) => [name, records.length]));
+}
@@ -0,0 +1,161 @@
+/**
+ * Supplier Utilities
+ * Validation and sheet row mapping for suppliers and their item links
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Validate a supplier create/update request
+ * @param {Object} input - { name, contactName, email, phone, leadTimeDays, notes }
+ * @param {Object} options - { partial } allows omitting fields on update
+ * @returns {Object} { fields } on success, { error } otherwise
+ */
+export function validateSupplier(input, { partial = false } = {}) {
+    const fields = {};
+
+    if (input?.name !== undefined || !partial) {
+        const name = String(input?.name ?? '').trim();
+        if (!name) {
+            return { error: 'name required' };
+        }
+        if (name.length > MAX_TEXT_LENGTH) {
+            return { error: `name must be at most ${MAX_TEXT_LENGTH} characters` };
+        }
+        fields.name = name;
+    }
+
+    for (const name of ['contactName', 'email', 'phone', 'notes']) {
+        if (input?.[name] === undefined) {
+            continue;
+        }
+        const value = String(input[name] ?? '').trim();
+        if (value.length > MAX_TEXT_LENGTH) {
+            return { error: `${name} must be at most ${MAX_TEXT_LENGTH} characters` };
+        }
+        fields[name] = value;
+    }
+
+    if (fields.email && !EMAIL_PATTERN.test(fields.email)) {
+        return { error: 'email must be a valid email address' };
+    }
+
+    if (input?.leadTimeDays !== undefined || !partial) {
+        const leadTimeDays = Number(input?.leadTimeDays ?? 0);
+        if (!Number.isInteger(leadTimeDays) || leadTimeDays < 0) {
+            return { error: 'leadTimeDays must be a non-negative integer' };
+        }
+        fields.leadTimeDays = leadTimeDays;
+    }
+
+    if (partial && Object.keys(fields).length === 0) {
+        return { error: 'Nothing to update' };
+    }
+
+    return { fields };
+}
+
+/**
+ * Validate the terms a supplier offers for an item
+ * @param {Object} input - { unitCost, minimumOrderQuantity, leadTimeDays, preferred }
+ * leadTimeDays may be null to use the supplier's default
+ * @returns {Object} { terms } on success, { error } otherwise
+ */
+export function validateSupplierItem(input) {
+    const unitCost = Number(input?.unitCost ?? 0);
+    if (!Number.isFinite(unitCost) || unitCost < 0) {
+        return { error: 'unitCost must be a non-negative number' };
+    }
+
+    const minimumOrderQuantity = Number(input?.minimumOrderQuantity ?? 1);
+    if (!Number.isInteger(minimumOrderQuantity) || minimumOrderQuantity < 1) {
+        return { error: 'minimumOrderQuantity must be a positive integer' };
+    }
+
+    let leadTimeDays = null;
+    if (input?.leadTimeDays !== undefined && input.leadTimeDays !== null && input.leadTimeDays !== '') {
+        leadTimeDays = Number(input.leadTimeDays);
+        if (!Number.isInteger(leadTimeDays) || leadTimeDays < 0) {
+            return { error: 'leadTimeDays must be a non-negative integer' };
+        }
+    }
+
+    if (input?.preferred !== undefined && typeof input.preferred !== 'boolean') {
+        return { error: 'preferred must be true or false' };
+    }
+
+    return {
+        terms: {
+            unitCost,
+            minimumOrderQuantity,
+            leadTimeDays,
+            preferred: Boolean(input?.preferred),
+        },
+    };
+}
+
+/**
+ * Generate a unique supplier ID
+ */
+export function generateSupplierId() {
+    const random = crypto.getRandomValues(new Uint16Array(1))[0].toString(36);
+    return `SUP-${Date.now().toString(36).toUpperCase()}-${random.toUpperCase()}`;
+}
+
+/**
+ * Suppliers tab columns (A-H):
+ * Supplier ID | Name | Contact Name | Email | Phone | Lead Time Days | Notes | Updated At
+ */
+export function supplierToRow(supplier) {
+    return [
+        supplier.supplierId,
+        supplier.name,
+        supplier.contactName,
+        supplier.email,
+        supplier.phone,
+        String(supplier.leadTimeDays),
+        supplier.notes,
+        supplier.updatedAt,
+    ];
+}
+
+export function rowToSupplier(row) {
+    return {
+        supplierId: row[0],
+        name: row[1] || '',
+        contactName: row[2] || '',
+        email: row[3] || '',
+        phone: row[4] || '',
+        leadTimeDays: parseInt(row[5]) || 0,
+        notes: row[6] || '',
+        updatedAt: row[7] || '',
+    };
+}
+
+/**
+ * SupplierItems tab columns (A-F):
+ * Supplier ID | Item ID | Unit Cost | Minimum Order Quantity | Lead Time Days | Preferred
+ * A blank Lead Time Days falls back to the supplier's lead time.
+ */
+export function supplierItemToRow(link) {
+    return [
+        link.supplierId,
+        link.itemId,
+        String(link.unitCost),
+        String(link.minimumOrderQuantity),
+        link.leadTimeDays === null ? '' : String(link.leadTimeDays),
+        link.preferred ? 'TRUE' : 'FALSE',
+    ];
+}
+
+export function rowToSupplierItem(row) {
+    return {
+        supplierId: row[0],
+        itemId: row[1],
+        unitCost: parseFloat(row[2]) || 0,
+        minimumOrderQuantity: parseInt(row[3]) || 1,
+        leadTimeDays: row[4] === undefined || row[4] === '' ? null : parseInt(row[4]) || 0,
+        preferred: String(row[5]).toUpperCase() === 'TRUE',
+    };
+}
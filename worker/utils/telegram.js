@@ -1,8 +1,10 @@
 /**
  * Telegram Bot Integration Utilities
- * Handles sending messages via Telegram Bot API
+ * Handles sending messages via Telegram Bot API and parsing webhook commands
  */
 
+const TELEGRAM_MAX_LENGTH = 4096;
+
 /**
  * Send message to Telegram bot
  * @param {string} message - Message text to send
@@ -10,25 +12,71 @@
  * @returns {Promise<Object>} Telegram API response
  */
 export async function sendTelegramMessage(message, env) {
+    if (!env.TELEGRAM_BOT_TOKEN || !env.TELEGRAM_CHAT_ID) {
+        throw new Error('Telegram bot token and chat ID must be configured');
+    }
+
+    return sendTelegramReply(env.TELEGRAM_CHAT_ID, message, env);
+}
+
+/**
+ * Send a message to a specific chat, optionally with an inline keyboard
+ * @param {string|number} chatId - Target chat
+ * @param {string} message - Message text (Markdown unless options.plainText)
+ * @param {Object} env - Environment variables containing TELEGRAM_BOT_TOKEN
+ * @param {Object} [options] - { replyMarkup, plainText }
+ */
+export async function sendTelegramReply(chatId, message, env, options = {}) {
+    return callTelegramApi('sendMessage', {
+        chat_id: chatId,
+        // Telegram rejects messages over 4096 characters
+        text: message.length > TELEGRAM_MAX_LENGTH ? `${message.slice(0, TELEGRAM_MAX_LENGTH - 1)}…` : message,
+        ...(!options.plainText && { parse_mode: 'Markdown' }),
+        ...(options.replyMarkup && { reply_markup: options.replyMarkup }),
+    }, env);
+}
+
+/**
+ * Replace the text of a message the bot sent earlier (drops its inline keyboard)
+ */
+export async function editTelegramMessage(chatId, messageId, message, env) {
+    return callTelegramApi('editMessageText', {
+        chat_id: chatId,
+        message_id: messageId,
+        text: message,
+        parse_mode: 'Markdown',
+    }, env);
+}
+
+/**
+ * Acknowledge an inline keyboard press so the client stops its spinner
+ */
+export async function answerCallbackQuery(callbackQueryId, text, env) {
+    return callTelegramApi('answerCallbackQuery', {
+        callback_query_id: callbackQueryId,
+        ...(text && { text }),
+    }, env);
+}
+
+/**
+ * Call a Telegram Bot API method
+ * @returns {Promise<Object>} Telegram API response
+ */
+async function callTelegramApi(method, body, env) {
     const botToken = env.TELEGRAM_BOT_TOKEN;
-    const chatId = env.TELEGRAM_CHAT_ID;
 
-    if (!botToken || !chatId) {
-        throw new Error('Telegram bot token and chat ID must be configured');
+    if (!botToken) {
+        throw new Error('Telegram bot token must be configured');
     }
 
-    const url = `https://api.telegram.org/bot${botToken}/sendMessage`;
+    const url = `https://api.telegram.org/bot${botToken}/${method}`;
 
     const response = await fetch(url, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-            chat_id: chatId,
-            text: message,
-            parse_mode: 'Markdown',
-        }),
+        body: JSON.stringify(body),
     });
 
     if (!response.ok) {
@@ -38,3 +86,27 @@ export async function sendTelegramMessage(message, env) {
 
     return await response.json();
 }
+
+/**
+ * Parse a bot command such as "/adjust@GinginBot ITEM-001 -3"
+ * @returns {Object|null} { command, args } or null if the text is not a command
+ */
+export function parseTelegramCommand(text) {
+    const match = /^\/([a-z]+)(?:@\w+)?(?:\s+(.*))?$/is.exec((text || '').trim());
+    if (!match) {
+        return null;
+    }
+
+    return {
+        command: match[1].toLowerCase(),
+        args: (match[2] || '').split(/\s+/).filter(Boolean),
+    };
+}
+
+/**
+ * Whether a webhook request carries the secret registered with setWebhook
+ */
+export function verifyWebhookSecret(request, env) {
+    const secret = env.TELEGRAM_WEBHOOK_SECRET;
+    return Boolean(secret) && request.headers.get('X-Telegram-Bot-Api-Secret-Token') === secret;
+}
@@ -0,0 +1,111 @@
+/**
+ * User Management Utilities
+ * Validation and shaping of user records stored in USERS_KV
+ */
+
+import { ROLE_PERMISSIONS, validateScopes } from './permissions.js';
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * KV key for a user record
+ */
+export function userKey(email) {
+    return `user:${email.toLowerCase()}`;
+}
+
+/**
+ * KV key mapping a Telegram user ID to a user's email
+ */
+export function telegramUserKey(telegramUserId) {
+    return `telegram:${telegramUserId}`;
+}
+
+/**
+ * Validate a user create request
+ * @param {Object} input - { email, role, password }
+ * @returns {Object} { user } on success, { error } otherwise
+ */
+export function validateNewUser(input) {
+    const email = String(input?.email ?? '').trim().toLowerCase();
+
+    if (!EMAIL_PATTERN.test(email)) {
+        return { error: 'A valid email is required' };
+    }
+
+    if (!ROLES.includes(input.role)) {
+        return { error: `role must be one of: ${ROLES.join(', ')}` };
+    }
+
+    const passwordError = validatePassword(input.password);
+    if (passwordError) {
+        return { error: passwordError };
+    }
+
+    return { user: { email, role: input.role, password: input.password } };
+}
+
+/**
+ * Validate a user update request (role, disabled flag, scopes and Telegram link)
+ * @returns {Object} { changes } on success, { error } otherwise
+ */
+export function validateUserUpdate(input) {
+    const changes = {};
+
+    if (input?.role !== undefined) {
+        if (!ROLES.includes(input.role)) {
+            return { error: `role must be one of: ${ROLES.join(', ')}` };
+        }
+        changes.role = input.role;
+    }
+
+    if (input?.disabled !== undefined) {
+        if (typeof input.disabled !== 'boolean') {
+            return { error: 'disabled must be true or false' };
+        }
+        changes.disabled = input.disabled;
+    }
+
+    if (input?.scopes !== undefined) {
+        const { scopes, error } = validateScopes(input.scopes);
+        if (error) {
+            return { error };
+        }
+        changes.scopes = scopes;
+    }
+
+    if (input?.telegramUserId !== undefined) {
+        const telegramUserId = input.telegramUserId === null ? '' : String(input.telegramUserId).trim();
+        if (telegramUserId && !/^\d{1,20}$/.test(telegramUserId)) {
+            return { error: 'telegramUserId must be a numeric Telegram user ID' };
+        }
+        changes.telegramUserId = telegramUserId || null;
+    }
+
+    if (Object.keys(changes).length === 0) {
+        return { error: 'Nothing to update' };
+    }
+
+    return { changes };
+}
+
+/**
+ * @returns {string|null} Error message, or null if the password is acceptable
+ */
+export function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Strip secrets from a user record before returning it to clients
+ */
+export function publicUser(userData) {
+    const { passwordHash, ...rest } = userData;
+    return { ...rest, disabled: Boolean(userData.disabled) };
+}
@@ -0,0 +1,219 @@
+/**
+ * Inventory Valuation Utilities
+ * What stock on hand cost, by FIFO or weighted average, replayed from the movement ledger
+ *
+ * Receipts add stock at the unit cost recorded on the movement, or the item's current
+ * Unit Cost when none was recorded. Other increases (found stock, count corrections,
+ * opening balances) come in at the cost of what is already held. Decreases take the
+ * oldest stock first (fifo) or stock at the running average cost (average). Stock on
+ * hand that the ledger does not explain, such as quantities entered in the sheet before
+ * the ledger existed, is valued at the item's Unit Cost.
+ *
+ * Costs are tracked per item, not per location: a location's value is its share of the
+ * item's quantity at the item's valuation cost.
+ */
+
+export const VALUATION_METHODS = ['fifo', 'average'];
+const DEFAULT_METHOD = 'average';
+
+/**
+ * Valuation method: the requested one, else VALUATION_METHOD, else average
+ * @returns {Object} { method } on success, { error } otherwise
+ */
+export function resolveValuationMethod(requested, env) {
+    const method = String(requested || env.VALUATION_METHOD || DEFAULT_METHOD).trim().toLowerCase();
+    if (!VALUATION_METHODS.includes(method)) {
+        return { error: `method must be one of: ${VALUATION_METHODS.join(', ')}` };
+    }
+    return { method };
+}
+
+/**
+ * Value every item's stock on hand
+ * @param {Array} items - Items with quantity, unitCost and sellingPrice
+ * @param {Array} movements - The ledger, oldest first
+ * @returns {Map<string, Object>} itemId -> { quantity, value, unitCost, costMissing } where unitCost
+ *   is value / quantity and costMissing is true when some stock has no known cost (valued at 0)
+ */
+export function valueItems(items, movements, method) {
+    const byItem = new Map(items.map(item => [item.itemId, []]));
+    for (const movement of movements) {
+        // A transfer's two legs cancel out for the item as a whole
+        if (movement.type !== 'transfer') {
+            byItem.get(movement.itemId)?.push(movement);
+        }
+    }
+
+    return new Map(items.map(item => [item.itemId, valueItem(item, byItem.get(item.itemId), method)]));
+}
+
+function valueItem(item, movements, method) {
+    const layers = [];
+    const fallbackCost = item.unitCost ?? null;
+
+    const recorded = movements.reduce((sum, movement) => sum + movement.delta, 0);
+    const opening = Math.max(item.quantity, 0) - recorded;
+    if (opening > 0) {
+        addStock(layers, opening, fallbackCost, method);
+    }
+
+    for (const movement of movements) {
+        if (movement.delta > 0) {
+            const cost = movement.type === 'receipt'
+                ? movement.unitCost ?? fallbackCost
+                : heldCost(layers) ?? fallbackCost;
+            addStock(layers, movement.delta, cost, method);
+        } else {
+            removeStock(layers, -movement.delta);
+        }
+    }
+
+    // Line the layers up with the quantity actually on hand
+    const held = layers.reduce((sum, layer) => sum + layer.quantity, 0);
+    const quantity = Math.max(item.quantity, 0);
+    if (held > quantity) {
+        removeStock(layers, held - quantity);
+    } else if (held < quantity) {
+        addStock(layers, quantity - held, heldCost(layers) ?? fallbackCost, method);
+    }
+
+    const value = layers.reduce((sum, layer) => sum + layer.value, 0);
+    return {
+        quantity,
+        value: roundMoney(value),
+        unitCost: quantity > 0 ? roundMoney(value / quantity) : fallbackCost,
+        costMissing: layers.some(layer => layer.quantity > 0 && layer.costMissing),
+    };
+}
+
+/**
+ * Add stock as a new cost layer (fifo) or into the single pool (average)
+ * @param {number|null} unitCost - null when the cost is unknown; counted as 0 and flagged
+ */
+function addStock(layers, quantity, unitCost, method) {
+    const layer = { quantity, value: quantity * (unitCost ?? 0), costMissing: unitCost === null };
+
+    if (method === 'average' && layers.length) {
+        const pool = layers[0];
+        pool.costMissing = (pool.quantity > 0 && pool.costMissing) || layer.costMissing;
+        pool.quantity += layer.quantity;
+        pool.value += layer.value;
+    } else {
+        layers.push(layer);
+    }
+}
+
+/**
+ * Take stock from the oldest layers first; with a single pool this is the average cost
+ * Taking more than is held empties the layers; the final reconciliation covers the difference.
+ */
+function removeStock(layers, quantity) {
+    let remaining = quantity;
+
+    for (const layer of layers) {
+        if (remaining <= 0) break;
+        const taken = Math.min(layer.quantity, remaining);
+        if (taken > 0) {
+            layer.value -= layer.value * (taken / layer.quantity);
+            layer.quantity -= taken;
+            remaining -= taken;
+        }
+    }
+
+    // Keep the average pool in place so later receipts still merge into it
+    while (layers.length > 1 && layers[0].quantity === 0) {
+        layers.shift();
+    }
+}
+
+/**
+ * Average cost of the stock held, or null when nothing with a known cost is held
+ */
+function heldCost(layers) {
+    const known = layers.filter(layer => layer.quantity > 0 && !layer.costMissing);
+    const quantity = known.reduce((sum, layer) => sum + layer.quantity, 0);
+    return quantity > 0 ? known.reduce((sum, layer) => sum + layer.value, 0) / quantity : null;
+}
+
+/**
+ * Totals for a valuation report
+ * @param {Array} items - Visible items, each with `locations` ([{ location, quantity }])
+ * @param {Map} valuations - From valueItems
+ * @param {string} [location] - Only count stock at this location
+ * @returns {Object} { totals, byCategory, byLocation, items }
+ */
+export function summarizeValuation(items, valuations, location) {
+    const rows = items.map(item => {
+        const valuation = valuations.get(item.itemId);
+        const cost = valuation.quantity > 0 ? valuation.value / valuation.quantity : 0;
+        const locations = item.locations
+            .filter(level => !location || level.location === location)
+            .map(level => ({
+                location: level.location,
+                quantity: level.quantity,
+                value: level.quantity * cost,
+                retailValue: level.quantity * (item.sellingPrice ?? 0),
+            }));
+        const quantity = locations.reduce((sum, level) => sum + level.quantity, 0);
+
+        return {
+            itemId: item.itemId,
+            itemName: item.itemName,
+            category: item.category,
+            quantity,
+            unitCost: valuation.unitCost,
+            value: quantity * cost,
+            sellingPrice: item.sellingPrice ?? null,
+            retailValue: quantity * (item.sellingPrice ?? 0),
+            costMissing: quantity > 0 && valuation.costMissing,
+            priceMissing: quantity > 0 && item.sellingPrice == null,
+            locations,
+        };
+    });
+
+    const byCategory = groupTotals(rows, row => row.category);
+    const byLocation = groupTotals(rows.flatMap(row => row.locations), level => level.location);
+
+    return {
+        totals: {
+            ...roundTotals(rows.reduce(addTotals, emptyTotals())),
+            costMissing: rows.filter(row => row.costMissing).length,
+            priceMissing: rows.filter(row => row.priceMissing).length,
+        },
+        byCategory: byCategory.map(([category, totals]) => ({ category, ...totals })),
+        byLocation: byLocation.map(([name, totals]) => ({ location: name, ...totals })),
+        items: rows.map(({ locations, ...row }) => ({
+            ...row,
+            value: roundMoney(row.value),
+            retailValue: roundMoney(row.retailValue),
+        })),
+    };
+}
+
+function groupTotals(rows, keyOf) {
+    const groups = new Map();
+    for (const row of rows) {
+        groups.set(keyOf(row), addTotals(groups.get(keyOf(row)) || emptyTotals(), row));
+    }
+    return [...groups].map(([key, totals]) => [key, roundTotals(totals)]);
+}
+
+function emptyTotals() {
+    return { quantity: 0, value: 0, retailValue: 0 };
+}
+
+function addTotals(totals, row) {
+    return {
+        quantity: totals.quantity + row.quantity,
+        value: totals.value + row.value,
+        retailValue: totals.retailValue + row.retailValue,
+    };
+}
+
+function roundTotals(totals) {
+    return { ...totals, value: roundMoney(totals.value), retailValue: roundMoney(totals.retailValue) };
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,332 @@
+/**
+ * XLSX Utilities
+ * Just enough of the Office Open XML format to write a one-sheet workbook and read
+ * the first sheet of one, without a spreadsheet library
+ *
+ * Written workbooks are stored uncompressed. Read workbooks may use stored or deflated
+ * entries; ZIP64 and encrypted files are not supported. Cells are read as text: numbers
+ * keep the digits Excel stored and dates come back as serial numbers.
+ */
+
+import { columnLetter } from './schema.js';
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+// The end record is 22 bytes, followed by a comment of at most 65535
+const ZIP_END_SEARCH = 22 + 0xffff;
+
+const WORKBOOK_PARTS = {
+    '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+</Types>`,
+    '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+    'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+</Relationships>`,
+};
+
+/**
+ * Build a workbook with a single sheet
+ * @param {Array} rows - Rows of cells; numbers are written as numbers, null and '' as empty cells
+ * @param {string} sheetName - At most 31 characters, without []:*?/\
+ * @returns {Uint8Array} The .xlsx file
+ */
+export function buildXlsx(rows, sheetName) {
+    const sheetRows = rows.map((row, r) => {
+        const cells = row.map((value, c) => {
+            const ref = `${columnLetter(c)}${r + 1}`;
+            if (value === null || value === undefined || value === '') {
+                return '';
+            }
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${ref}"><v>${value}</v></c>`;
+            }
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+        });
+        return `<row r="${r + 1}">${cells.join('')}</row>`;
+    });
+
+    const files = {
+        ...WORKBOOK_PARTS,
+        'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`,
+        'xl/worksheets/sheet1.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetData>${sheetRows.join('')}</sheetData>
+</worksheet>`,
+    };
+
+    return buildZip(Object.entries(files).map(([name, text]) => ({ name, data: new TextEncoder().encode(text) })));
+}
+
+/**
+ * Read the first sheet of a workbook
+ * @param {Uint8Array} bytes - The .xlsx file
+ * @returns {Promise<Array>} Rows of cell text, with empty rows and cells filled in so
+ *   positions match the sheet
+ * @throws {Error} When the file is not a workbook this can read
+ */
+export async function readXlsx(bytes) {
+    const entries = readZipDirectory(bytes);
+    const text = async name => {
+        const entry = entries.get(name);
+        return entry ? new TextDecoder().decode(await inflateEntry(bytes, entry)) : null;
+    };
+
+    const workbook = await text('xl/workbook.xml');
+    if (workbook === null) {
+        throw new Error('the file has no workbook');
+    }
+
+    const sheetPath = firstSheetPath(workbook, await text('xl/_rels/workbook.xml.rels'));
+    const sheet = await text(sheetPath);
+    if (sheet === null) {
+        throw new Error('the workbook has no sheets');
+    }
+
+    const sharedStrings = [...((await text('xl/sharedStrings.xml')) || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+        .map(match => readRichText(match[1]));
+
+    const rows = [];
+    for (const [, rowAttributes, rowXml] of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const rowNumber = parseInt(attribute(rowAttributes, 'r')) || rows.length + 1;
+        const cells = [];
+
+        for (const [, cellAttributes, cellXml = ''] of (rowXml || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const column = columnIndex(attribute(cellAttributes, 'r')) ?? cells.length;
+            const type = attribute(cellAttributes, 't');
+            const value = unescapeXml(/<v>([\s\S]*?)<\/v>/.exec(cellXml)?.[1] ?? '');
+
+            while (cells.length < column) cells.push('');
+            cells[column] = type === 's' ? sharedStrings[parseInt(value)] ?? ''
+                : type === 'inlineStr' ? readRichText(/<is>([\s\S]*?)<\/is>/.exec(cellXml)?.[1] ?? '')
+                    : value;
+        }
+
+        while (rows.length < rowNumber - 1) rows.push([]);
+        rows[rowNumber - 1] = cells;
+    }
+
+    return rows;
+}
+
+/**
+ * Path of the workbook's first sheet, following its relationship
+ */
+function firstSheetPath(workbook, relationships) {
+    const relationId = attribute(/<sheet\b([^>]*)>/.exec(workbook)?.[1] || '', 'r:id');
+
+    for (const [, attributes] of (relationships || '').matchAll(/<Relationship\b([^>]*)>/g)) {
+        if (attribute(attributes, 'Id') === relationId) {
+            const target = attribute(attributes, 'Target');
+            return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        }
+    }
+
+    return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Text of a string item: plain <t> or rich text runs, leaving out phonetic hints
+ */
+function readRichText(xml) {
+    return [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)]
+        .map(match => unescapeXml(match[1]))
+        .join('');
+}
+
+function attribute(attributes, name) {
+    const match = new RegExp(`(?:^|\\s)${name}="([^"]*)"`).exec(attributes);
+    return match ? unescapeXml(match[1]) : null;
+}
+
+/**
+ * Zero-based column of a cell reference such as "AB12"
+ */
+function columnIndex(ref) {
+    const letters = /^([A-Z]+)\d*$/.exec(ref || '')?.[1];
+    if (!letters) {
+        return null;
+    }
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters other than tab and newlines are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function unescapeXml(text) {
+    return text.replace(/&(?:#x([0-9a-fA-F]+)|#(\d+)|(amp|lt|gt|quot|apos));/g, (entity, hex, decimal, name) => {
+        if (hex) return String.fromCodePoint(parseInt(hex, 16));
+        if (decimal) return String.fromCodePoint(parseInt(decimal, 10));
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[name];
+    });
+}
+
+/**
+ * Pack files into an uncompressed ZIP archive
+ * @param {Array} files - [{ name, data: Uint8Array }]
+ */
+function buildZip(files) {
+    const { time, date } = dosDateTime(new Date());
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = new TextEncoder().encode(file.name);
+        const crc = crc32(file.data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, ZIP_LOCAL_HEADER, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, ZIP_CENTRAL_HEADER, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 20, true);
+        header.setUint16(12, time, true);
+        header.setUint16(14, date, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, file.data.length, true);
+        header.setUint32(24, file.data.length, true);
+        header.setUint16(28, name.length, true);
+        header.setUint32(42, offset, true);
+
+        parts.push(new Uint8Array(local.buffer), name, file.data);
+        central.push(new Uint8Array(header.buffer), name);
+        offset += 30 + name.length + file.data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, ZIP_END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return concatBytes([...parts, ...central, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * Entries of a ZIP archive by name, from its central directory
+ * @returns {Map<string, Object>} name -> { flags, method, compressedSize, localOffset }
+ */
+function readZipDirectory(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - ZIP_END_SEARCH); i--) {
+        if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('the file is not an XLSX workbook');
+    }
+
+    const entries = new Map();
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+
+    for (let i = 0; i < count; i++) {
+        if (position + 46 > bytes.length || view.getUint32(position, true) !== ZIP_CENTRAL_HEADER) {
+            throw new Error('the workbook is damaged');
+        }
+        const nameLength = view.getUint16(position + 28, true);
+        const name = new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+        entries.set(name, {
+            flags: view.getUint16(position + 8, true),
+            method: view.getUint16(position + 10, true),
+            compressedSize: view.getUint32(position + 20, true),
+            localOffset: view.getUint32(position + 42, true),
+        });
+        position += 46 + nameLength + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+    }
+
+    return entries;
+}
+
+async function inflateEntry(bytes, entry) {
+    if (entry.flags & 1) {
+        throw new Error('the workbook is encrypted');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const start = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+    const data = bytes.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) {
+        return data;
+    }
+    if (entry.method !== 8) {
+        throw new Error(`the workbook uses an unsupported compression method (${entry.method})`);
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function dosDateTime(now) {
+    return {
+        time: (now.getUTCHours() << 11) | (now.getUTCMinutes() << 5) | Math.floor(now.getUTCSeconds() / 2),
+        date: ((now.getUTCFullYear() - 1980) << 9) | ((now.getUTCMonth() + 1) << 5) | now.getUTCDate(),
+    };
+}
+
+let crcTable = null;
+
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}